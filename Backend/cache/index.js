@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const createMemoryCache = require('./memory');
+const createMongoCache = require('./mongo');
+
+// RESPONSE_CACHE turns response caching on: `user` shares answers only
+// between one user's identical prompts, `global` across everyone. Entries
+// live for RESPONSE_CACHE_TTL seconds in MongoDB, or in memory with
+// RESPONSE_CACHE_STORE=memory.
+const SCOPES = ['user', 'global'];
+const scope = SCOPES.includes(process.env.RESPONSE_CACHE) ? process.env.RESPONSE_CACHE : null;
+const ttlSeconds = parseInt(process.env.RESPONSE_CACHE_TTL) || 24 * 60 * 60;
+
+const configureStore = () => {
+  const memory = createMemoryCache({ maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000 });
+  return process.env.RESPONSE_CACHE_STORE === 'memory' ? memory : createMongoCache({ fallback: memory });
+};
+
+const store = configureStore();
+
+// Unicode form and runs of whitespace don't change what a prompt asks for.
+// Case does: code, identifiers and quoted text depend on it.
+const normalizePrompt = (prompt) => prompt.normalize('NFKC').trim().replace(/\s+/g, ' ');
+
+// Key for a turn: the normalized prompt, the model and everything else that
+// shapes its answer. Earlier turns are part of it, so a prompt only hits the
+// cache when it continues an identical conversation.
+const keyFor = ({ userId, prompt, model, system, generationConfig, history }) => {
+  const material = JSON.stringify({
+    scope: scope === 'user' ? String(userId) : 'global',
+    prompt: normalizePrompt(prompt),
+    model,
+    system: system || null,
+    generationConfig,
+    history: history.map(({ role, content }) => [role, content])
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+};
+
+module.exports = {
+  enabled: Boolean(scope),
+  scope,
+  ttlSeconds,
+  store: store.name,
+  normalizePrompt,
+  keyFor,
+
+  get: (key) => store.get(key),
+
+  // Cache a fresh response; a failure here never fails the request
+  async set(key, { userId, ...value }) {
+    try {
+      await store.set(key, { ...value, user: scope === 'user' ? userId : null }, ttlSeconds);
+    } catch (error) {
+      console.error('Response cache error:', error.message);
+    }
+  },
+
+  clearUser: (userId) => store.clearUser(userId)
+};
@@ -0,0 +1,40 @@
+// Keeps entries in process memory. Used when MongoDB is unavailable, and
+// lost on restart; the oldest entries go first once maxEntries is reached.
+const createMemoryCache = ({ maxEntries = 1000 } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      entry.hits += 1;
+      return entry;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { ...value, hits: 0, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async clearUser(userId) {
+      for (const [key, entry] of entries) {
+        if (entry.user && String(entry.user) === String(userId)) {
+          entries.delete(key);
+        }
+      }
+    }
+  };
+};
+
+module.exports = createMemoryCache;
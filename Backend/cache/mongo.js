@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const CachedResponse = require('../models/CachedResponse');
+
+// Keeps entries in a TTL collection. While the database is unreachable,
+// reads and writes go to `fallback` so chat keeps working without it.
+const createMongoCache = ({ fallback }) => {
+  const connected = () => mongoose.connection.readyState === 1;
+
+  // Run a database operation, or the fallback's when it can't be reached
+  const withFallback = async (operation, fallbackOperation) => {
+    if (!connected()) return fallbackOperation();
+
+    try {
+      return await operation();
+    } catch (error) {
+      console.error('Response cache error:', error.message);
+      return fallbackOperation();
+    }
+  };
+
+  return {
+    name: 'mongo',
+
+    get(key) {
+      return withFallback(
+        // The TTL monitor only runs once a minute, so check expiry here too
+        () => CachedResponse.findOneAndUpdate(
+          { key, expiresAt: { $gt: new Date() } },
+          { $inc: { hits: 1 } },
+          { new: true }
+        ).lean(),
+        () => fallback.get(key)
+      );
+    },
+
+    set(key, value, ttlSeconds) {
+      return withFallback(
+        () => CachedResponse.updateOne(
+          { key },
+          { ...value, hits: 0, expiresAt: new Date(Date.now() + ttlSeconds * 1000) },
+          { upsert: true }
+        ),
+        () => fallback.set(key, value, ttlSeconds)
+      );
+    },
+
+    async clearUser(userId) {
+      await fallback.clearUser(userId);
+      if (connected()) {
+        await CachedResponse.deleteMany({ user: userId });
+      }
+    }
+  };
+};
+
+module.exports = createMongoCache;
@@ -1,21 +1,37 @@
+require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-require('dotenv').config();
 const auth = require('./routes/auth')
+const oidc = require('./routes/oidc');
 const chat = require('./routes/chat');
+const conversations = require('./routes/conversations');
+const assets = require('./routes/assets');
+const usage = require('./routes/usage');
+const exportsRouter = require('./routes/exports');
+const shares = require('./routes/shares');
+const admin = require('./routes/admin');
+const account = require('./routes/account');
+const personas = require('./routes/personas');
+const templates = require('./routes/templates');
+const { purgeDueAccounts } = require('./utils/accounts');
+const requestId = require('./middleware/requestId');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { TooManyRequestsError } = require('./utils/errors');
 
 const app = express();
 
 // Basic middleware
+app.use(requestId);
 app.use(helmet());
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? process.env.FRONTEND_URL || true 
     : 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -23,7 +39,10 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  handler: (req, res, next) => {
+    next(new TooManyRequestsError('Too many requests, please try again later'));
+  }
 });
 app.use('/api/', limiter);
 
@@ -59,7 +78,27 @@ mongoose.connect(process.env.MONGODB_URI, {
 
 
 app.use('/api/auth', auth);
+app.use('/api/auth/oidc', oidc);
 app.use('/api/chat', chat);
+app.use('/api/conversations', conversations);
+app.use('/api/assets', assets);
+app.use('/api/usage', usage);
+app.use('/api/export', exportsRouter);
+app.use('/api/shares', shares);
+app.use('/api/admin', admin);
+app.use('/api/account', account);
+app.use('/api/personas', personas);
+app.use('/api/templates', templates);
+
+// Anything not answered above: unknown routes, then every error passed on
+app.use('/api', notFound);
+app.use(errorHandler);
+
+// Long-running servers purge deleted accounts themselves; on Vercel the cron
+// job in vercel.json calls /api/account/purge instead
+setInterval(() => {
+  purgeDueAccounts().catch((error) => console.error('Purge accounts error:', error.message));
+}, 60 * 60 * 1000).unref();
 
 // Export the app for Vercel
 
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development transport: writes each message to a JSON file under a local
+// directory, or prints it when no directory is given
+const createFileMailer = ({ directory, from }) => {
+  const root = directory ? path.resolve(directory) : null;
+  if (root) {
+    fs.mkdirSync(root, { recursive: true });
+  }
+
+  return {
+    name: root ? 'file' : 'console',
+
+    async send({ to, subject, text, html }) {
+      const message = { from, to, subject, text, html, date: new Date().toISOString() };
+
+      if (!root) {
+        console.log(`Mail to ${to}: ${subject}\n${text}`);
+        return;
+      }
+
+      const filename = `${Date.now()}-${to.replace(/[^a-z0-9.@-]/gi, '_')}.json`;
+      await fs.promises.writeFile(path.join(root, filename), JSON.stringify(message, null, 2));
+    }
+  };
+};
+
+module.exports = createFileMailer;
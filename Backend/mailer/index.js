@@ -0,0 +1,30 @@
+const createSmtpMailer = require('./smtp');
+const createFileMailer = require('./file');
+
+// MAIL_TRANSPORT=smtp sends real mail; `file` writes messages to MAIL_DIR and
+// `console` (the default) logs them, which is enough for local development
+const configureMailer = () => {
+  const from = process.env.MAIL_FROM || 'Gemini ChatBot <no-reply@localhost>';
+
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        console.error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+        process.exit(1);
+      }
+      return createSmtpMailer({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from
+      });
+    case 'file':
+      return createFileMailer({ directory: process.env.MAIL_DIR || 'mail', from });
+    default:
+      return createFileMailer({ from });
+  }
+};
+
+module.exports = configureMailer();
@@ -0,0 +1,21 @@
+const nodemailer = require('nodemailer');
+
+// Sends mail through any SMTP server
+const createSmtpMailer = ({ host, port, secure, user, pass, from }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text, html }) {
+      await transport.sendMail({ from, to, subject, text, html });
+    }
+  };
+};
+
+module.exports = createSmtpMailer;
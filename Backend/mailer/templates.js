@@ -0,0 +1,48 @@
+// Plain-text and HTML bodies for the emails the app sends
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (paragraphs, url, action) => `
+  <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+    ${paragraphs.map((text) => `<p>${escapeHtml(text)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 16px; background: #9333ea; color: #fff; border-radius: 8px; text-decoration: none;">${action}</a></p>
+    <p style="color: #6b7280; font-size: 12px;">If the button does not work, paste this link into your browser:<br>${escapeHtml(url)}</p>
+  </div>
+`;
+
+const passwordResetEmail = ({ username, url, expiresInMinutes }) => {
+  const paragraphs = [
+    `Hi ${username},`,
+    'Someone asked to reset the password for your Gemini ChatBot account. If that was you, use the link below to choose a new one.',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.`
+  ];
+
+  return {
+    subject: 'Reset your Gemini ChatBot password',
+    text: `${paragraphs.join('\n\n')}\n\n${url}\n`,
+    html: layout(paragraphs, url, 'Reset password')
+  };
+};
+
+const verificationEmail = ({ username, url, expiresInHours }) => {
+  const paragraphs = [
+    `Hi ${username},`,
+    'Thanks for signing up for Gemini ChatBot. Please confirm your email address to start chatting.',
+    `The link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`
+  ];
+
+  return {
+    subject: 'Confirm your email for Gemini ChatBot',
+    text: `${paragraphs.join('\n\n')}\n\n${url}\n`,
+    html: layout(paragraphs, url, 'Verify email')
+  };
+};
+
+module.exports = {
+  passwordResetEmail,
+  verificationEmail
+};
@@ -1,27 +1,50 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../utils/tokens');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { unverifiedAllowed } = require('./verification');
 
+// Failures here are all 401s, which the client answers by refreshing its
+// token, except the email check, which is a 403 with code EMAIL_NOT_VERIFIED
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
-      return res.status(401).json({ message: 'No token, authorization denied' });
+      throw new UnauthorizedError('No token, authorization denied', 'AUTH_REQUIRED');
+    }
+
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (error) {
+      throw error.name === 'TokenExpiredError'
+        ? new UnauthorizedError('Token has expired', 'AUTH_TOKEN_EXPIRED')
+        : new UnauthorizedError('Token is not valid');
+    }
+
+    // The session check makes logout and revocation take effect immediately
+    const session = await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive()) {
+      throw new UnauthorizedError('Session has been revoked', 'AUTH_SESSION_REVOKED');
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user || !user.isActive) {
-      return res.status(401).json({ message: 'Token is not valid' });
+      throw new UnauthorizedError('Token is not valid');
+    }
+
+    if (!user.emailVerified && !unverifiedAllowed(req)) {
+      throw new ForbiddenError('Please verify your email address first', 'EMAIL_NOT_VERIFIED');
     }
 
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(401).json({ message: 'Token is not valid' });
+    next(error);
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
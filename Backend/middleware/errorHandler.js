@@ -0,0 +1,53 @@
+const { ProviderError } = require('../providers/http');
+const { NotFoundError, toAppError } = require('../utils/errors');
+
+// The body every failed request gets: a message safe to show, a stable code,
+// the request's correlation id and any details such as validation errors
+const errorBody = (error, req) => ({
+  message: error.message,
+  code: error.code,
+  requestId: req.id,
+  ...error.details
+});
+
+// Log failures with the request id. Client errors are expected and only
+// noise in the logs, but a provider rejecting a request is worth a look.
+const logError = (req, error, appError) => {
+  if (appError.status < 500 && !(error instanceof ProviderError)) return;
+
+  console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, {
+    message: error.message,
+    status: error.status,
+    data: error.data,
+    stack: error.stack
+  });
+};
+
+// Unknown API routes
+const notFound = (req, res, next) => {
+  next(new NotFoundError('Route not found'));
+};
+
+// Registered after every router; answers anything passed to next(error).
+// Express recognises error middleware by its four parameters.
+const errorHandler = (error, req, res, next) => {
+  const appError = toAppError(error);
+  logError(req, error, appError);
+
+  // A response already under way, such as a stream, can only be cut off
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  if (appError.details.retryAfter) {
+    res.set('Retry-After', String(appError.details.retryAfter));
+  }
+  res.status(appError.status).json(errorBody(appError, req));
+};
+
+module.exports = {
+  errorBody,
+  logError,
+  notFound,
+  errorHandler
+};
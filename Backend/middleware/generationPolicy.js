@@ -0,0 +1,14 @@
+const { loadGenerationPolicy } = require('../utils/generation');
+
+// Load the generation limits in force onto req.generationPolicy for the
+// validators and handler that follow
+const generationPolicy = async (req, res, next) => {
+  try {
+    req.generationPolicy = await loadGenerationPolicy();
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = generationPolicy;
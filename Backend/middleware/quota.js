@@ -0,0 +1,62 @@
+const Quota = require('../models/Quota');
+const Usage = require('../models/Usage');
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Compare the user's token totals with their quota
+const quotaStatus = async (userId) => {
+  const quota = await Quota.effectiveFor(userId);
+  const used = await Usage.current(userId);
+
+  const period = (usedTokens, limitTokens) => ({
+    used: usedTokens,
+    limit: limitTokens,
+    remaining: limitTokens === null ? null : Math.max(limitTokens - usedTokens, 0)
+  });
+
+  const daily = period(used.day, quota?.dailyTokens ?? null);
+  const monthly = period(used.month, quota?.monthlyTokens ?? null);
+
+  return {
+    daily,
+    monthly,
+    action: quota?.action || 'block',
+    degradeModel: quota?.degradeModel || null,
+    exceeded: daily.remaining === 0 || monthly.remaining === 0
+  };
+};
+
+// Use after auth. Over-quota requests get a 429 with code QUOTA_EXCEEDED,
+// unless the quota degrades them to a cheaper model (set on req.quota)
+const checkQuota = ({ allowDegrade = true } = {}) => async (req, res, next) => {
+  try {
+    const status = await quotaStatus(req.user._id);
+    req.quota = { degradedModel: null };
+
+    if (!status.exceeded) {
+      return next();
+    }
+
+    if (allowDegrade && status.action === 'degrade' && status.degradeModel) {
+      req.quota.degradedModel = status.degradeModel;
+      return next();
+    }
+
+    throw new TooManyRequestsError(
+      status.daily.remaining === 0 ? 'Daily token quota exceeded' : 'Monthly token quota exceeded',
+      'QUOTA_EXCEEDED',
+      {
+        quota: {
+          daily: status.daily,
+          monthly: status.monthly
+        }
+      }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  quotaStatus,
+  checkQuota
+};
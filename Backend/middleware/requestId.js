@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Accept ids from a proxy in front of the API only when they look sane
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+// Give every request a correlation id, sent back in the X-Request-Id header
+// and in error bodies so a user's report can be matched to the server logs
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
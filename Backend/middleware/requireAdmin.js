@@ -0,0 +1,11 @@
+const { ForbiddenError } = require('../utils/errors');
+
+// Use after auth; only lets administrators through
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return next(new ForbiddenError('Admin access required'));
+  }
+  next();
+};
+
+module.exports = requireAdmin;
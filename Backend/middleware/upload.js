@@ -0,0 +1,62 @@
+const multer = require('multer');
+const { BadRequestError } = require('../utils/errors');
+const { matchesType } = require('../utils/fileTypes');
+
+const MAX_ATTACHMENTS = 4;
+
+// Allowed attachment types and their size limits in bytes
+const ATTACHMENT_LIMITS = {
+  'image/png': 5 * 1024 * 1024,
+  'image/jpeg': 5 * 1024 * 1024,
+  'image/webp': 5 * 1024 * 1024,
+  'application/pdf': 2 * 1024 * 1024,
+  'text/plain': 512 * 1024,
+  'text/markdown': 512 * 1024,
+  'text/csv': 512 * 1024
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: MAX_ATTACHMENTS,
+    fileSize: Math.max(...Object.values(ATTACHMENT_LIMITS))
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ATTACHMENT_LIMITS[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).array('attachments', MAX_ATTACHMENTS);
+
+const uploadErrorMessages = {
+  LIMIT_FILE_COUNT: `At most ${MAX_ATTACHMENTS} attachments are allowed`,
+  LIMIT_FILE_SIZE: 'Attachment is too large',
+  LIMIT_UNEXPECTED_FILE: 'Only PNG, JPEG, WebP, PDF and plain text attachments are allowed'
+};
+
+// Parse multipart prompts into req.files; JSON requests pass straight through
+const uploadAttachments = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      const message = uploadErrorMessages[error.code] || 'Invalid attachment upload';
+      return next(new BadRequestError(message, 'ATTACHMENT_INVALID'));
+    }
+
+    const oversized = (req.files || []).find((file) => file.size > ATTACHMENT_LIMITS[file.mimetype]);
+    if (oversized) {
+      const limitKb = Math.round(ATTACHMENT_LIMITS[oversized.mimetype] / 1024);
+      return next(new BadRequestError(`${oversized.originalname} exceeds the ${limitKb} KB limit for its type`, 'ATTACHMENT_INVALID'));
+    }
+
+    // The browser names the type from the file extension, so check the bytes
+    const mislabelled = (req.files || []).find((file) => !matchesType(file.buffer, file.mimetype));
+    if (mislabelled) {
+      return next(new BadRequestError(`${mislabelled.originalname} is not a valid ${mislabelled.mimetype} file`, 'ATTACHMENT_INVALID'));
+    }
+
+    next();
+  });
+};
+
+module.exports = uploadAttachments;
@@ -0,0 +1,11 @@
+const { validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+// Ends a list of express-validator chains: fails the request with a 400
+// VALIDATION_FAILED carrying every field error, or lets it through
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  next(errors.isEmpty() ? undefined : new ValidationError(errors.array()));
+};
+
+module.exports = validate;
@@ -0,0 +1,27 @@
+// What users with an unverified email address may do, set by
+// UNVERIFIED_ACCESS:
+//   full      - everything, verification is only a nudge
+//   read-only - browse existing data, but no new chats or other changes
+//   none      - nothing beyond the account routes
+// Account routes (/api/auth and /api/account) always stay open so users can
+// verify, resend the link, fix a mistyped address and sign out.
+const POLICIES = ['full', 'read-only', 'none'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const ACCOUNT_ROUTES = ['/api/auth', '/api/account'];
+
+const unverifiedAccess = POLICIES.includes(process.env.UNVERIFIED_ACCESS)
+  ? process.env.UNVERIFIED_ACCESS
+  : 'read-only';
+
+const unverifiedAllowed = (req) => {
+  if (ACCOUNT_ROUTES.includes(req.baseUrl) || unverifiedAccess === 'full') {
+    return true;
+  }
+
+  return unverifiedAccess === 'read-only' && READ_METHODS.includes(req.method);
+};
+
+module.exports = {
+  unverifiedAccess,
+  unverifiedAllowed
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const storage = require('../storage');
+
+const assetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ['generated', 'upload'],
+    required: true
+  },
+  storage: {
+    type: String,
+    enum: ['disk', 'gridfs'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    default: null
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  prompt: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the per-user gallery
+assetSchema.index({ user: 1, kind: 1, createdAt: -1 });
+assetSchema.index({ chat: 1 });
+
+// Store a file and record it in one step
+assetSchema.statics.store = async function({ buffer, mimeType, filename, ...fields }) {
+  const key = await storage.save({ buffer, mimeType, filename });
+
+  return this.create({
+    ...fields,
+    storage: storage.name,
+    key,
+    filename,
+    mimeType,
+    size: buffer.length
+  });
+};
+
+// Delete matching assets together with their stored files
+assetSchema.statics.purge = async function(filter) {
+  const assets = await this.find(filter).select('key');
+
+  await Promise.all(assets.map((asset) => storage.remove(asset.key)));
+  await this.deleteMany({ _id: { $in: assets.map((asset) => asset._id) } });
+};
+
+assetSchema.methods.createReadStream = function() {
+  return storage.createReadStream(this.key);
+};
+
+// Read the whole file into memory
+assetSchema.methods.readBuffer = async function() {
+  const chunks = [];
+  for await (const chunk of this.createReadStream()) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+module.exports = mongoose.model('Asset', assetSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A model response kept for reuse by identical prompts. MongoDB drops the
+// document once expiresAt passes.
+const cachedResponseSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Set for entries only the user who created them may reuse
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  response: {
+    type: String,
+    required: true
+  },
+  model: String,
+  provider: String,
+  hits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+cachedResponseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cachedResponseSchema.index({ user: 1 });
+
+module.exports = mongoose.model('CachedResponse', cachedResponseSchema);
@@ -6,6 +6,18 @@ const chatSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  // The turn this one follows; null for the first turn. Regenerated and
+  // edited turns share a parent with the versions they replace. Chats from
+  // before branching have no value at all (see utils/branches).
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
   prompt: {
     type: String,
     required: true,
@@ -24,13 +36,67 @@ const chatSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  attachments: [{
+    _id: false,
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset'
+    },
+    filename: String,
+    mimeType: String,
+    size: Number
+  }],
   tokens: {
     type: Number,
     default: 0
   },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
   model: {
     type: String,
-    default: 'claude-3-sonnet-20240229'
+    default: null
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  // Set when a fallback model answered instead of this one
+  requestedModel: {
+    type: String,
+    default: null
+  },
+  persona: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Persona',
+    default: null
+  },
+  // Kept so history still shows the name after the persona is deleted
+  personaName: {
+    type: String,
+    default: null
+  },
+  // The settings the response was generated with
+  generationConfig: {
+    temperature: Number,
+    topK: Number,
+    topP: Number,
+    maxOutputTokens: Number,
+    stopSequences: {
+      type: [String],
+      default: undefined
+    },
+    responseMimeType: String
+  },
+  // Served from the response cache instead of a model call
+  cached: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -38,5 +104,9 @@ const chatSchema = new mongoose.Schema({
 
 // Index for better query performance
 chatSchema.index({ user: 1, createdAt: -1 });
+chatSchema.index({ conversation: 1, createdAt: 1 });
+chatSchema.index({ conversation: 1, parent: 1 });
+// Full-text search over history; prompts weigh more than long responses
+chatSchema.index({ prompt: 'text', response: 'text' }, { weights: { prompt: 3, response: 1 } });
 
 module.exports = mongoose.model('Chat', chatSchema);
\ No newline at end of file
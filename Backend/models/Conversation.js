@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'New conversation'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last chat of the branch being shown; new prompts continue from it
+  currentChat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's most recent conversations
+conversationSchema.index({ user: 1, lastMessageAt: -1 });
+
+// Title a conversation after the prompt that started it
+conversationSchema.statics.titleFor = function(prompt) {
+  return prompt.length > 60 ? `${prompt.substring(0, 57)}...` : prompt;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
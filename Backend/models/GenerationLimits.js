@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Admin-set bounds and default for one generation parameter; null keeps the
+// built-in value
+const rangeSchema = new mongoose.Schema({
+  min: { type: Number, default: null },
+  max: { type: Number, default: null },
+  default: { type: Number, default: null }
+}, { _id: false });
+
+// Deployment-wide generation limits, stored as a single document
+const generationLimitsSchema = new mongoose.Schema({
+  temperature: { type: rangeSchema, default: () => ({}) },
+  topK: { type: rangeSchema, default: () => ({}) },
+  topP: { type: rangeSchema, default: () => ({}) },
+  maxOutputTokens: { type: rangeSchema, default: () => ({}) },
+  maxStopSequences: {
+    type: Number,
+    default: null
+  },
+  allowJsonMode: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('GenerationLimits', generationLimitsSchema);
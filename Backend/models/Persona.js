@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const generationSetting = {
+  type: Number,
+  default: null
+};
+
+// A named set of system instructions and default generation settings the
+// user can pick for their prompts
+const personaSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  systemInstruction: {
+    type: String,
+    default: '',
+    maxlength: 4000
+  },
+  // null leaves the deployment default in place
+  generationConfig: {
+    temperature: generationSetting,
+    topK: generationSetting,
+    topP: generationSetting,
+    maxOutputTokens: generationSetting
+  }
+}, {
+  timestamps: true
+});
+
+personaSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Persona', personaSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A reusable prompt with {{variable}} placeholders. Shared templates are
+// visible to every user; only the owner can change them.
+const promptTemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 300
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: 'General',
+    maxlength: 50
+  },
+  visibility: {
+    type: String,
+    enum: ['personal', 'shared'],
+    default: 'personal'
+  },
+  // One entry per placeholder in the body, in order of first appearance
+  variables: [{
+    _id: false,
+    name: String,
+    defaultValue: {
+      type: String,
+      default: ''
+    }
+  }],
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+promptTemplateSchema.index({ user: 1, usageCount: -1 });
+promptTemplateSchema.index({ visibility: 1, usageCount: -1 });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
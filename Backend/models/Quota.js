@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Token limits set by administrators. The document without a user is the
+// default for everyone; a per-user document overrides it.
+const quotaSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  dailyTokens: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  monthlyTokens: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // What happens once a limit is reached: refuse, or answer with degradeModel
+  action: {
+    type: String,
+    enum: ['block', 'degrade'],
+    default: 'block'
+  },
+  degradeModel: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+quotaSchema.index({ user: 1 }, { unique: true });
+
+// The quota that applies to a user, or null when usage is unlimited
+quotaSchema.statics.effectiveFor = async function(userId) {
+  const quotas = await this.find({ user: { $in: [userId, null] } });
+  return quotas.find((quota) => quota.user?.equals(userId))
+    || quotas.find((quota) => !quota.user)
+    || null;
+};
+
+module.exports = mongoose.model('Quota', quotaSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Token totals for one user over one day ("2026-10-19") or month ("2026-10")
+const usageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['day', 'month'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  requests: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+usageSchema.index({ user: 1, period: 1, key: 1 }, { unique: true });
+
+usageSchema.virtual('totalTokens').get(function() {
+  return this.promptTokens + this.completionTokens;
+});
+
+// Period keys in UTC so every server agrees on when a day starts
+usageSchema.statics.periodKeys = function(date = new Date()) {
+  const day = date.toISOString().substring(0, 10);
+  return { day, month: day.substring(0, 7) };
+};
+
+// Add one request's tokens to the user's daily and monthly totals
+usageSchema.statics.record = async function(userId, { promptTokens = 0, completionTokens = 0 }) {
+  const keys = this.periodKeys();
+
+  await Promise.all(['day', 'month'].map((period) => this.updateOne(
+    { user: userId, period, key: keys[period] },
+    { $inc: { promptTokens, completionTokens, requests: 1 } },
+    { upsert: true }
+  )));
+};
+
+// Current daily and monthly token totals for a user
+usageSchema.statics.current = async function(userId) {
+  const keys = this.periodKeys();
+  const records = await this.find({
+    user: userId,
+    $or: [
+      { period: 'day', key: keys.day },
+      { period: 'month', key: keys.month }
+    ]
+  });
+
+  const total = (period) => records.find((record) => record.period === period)?.totalTokens || 0;
+  return { day: total('day'), month: total('month') };
+};
+
+module.exports = mongoose.model('Usage', usageSchema);
@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyTotp } = require('../utils/totp');
+
+// Wrong second-factor codes allowed at sign-in before it locks, and for how long
+const MAX_TWO_FACTOR_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+const TWO_FACTOR_LOCK_MS = (parseInt(process.env.TWO_FACTOR_LOCK_MINUTES) || 15) * 60 * 1000;
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -17,22 +27,113 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // Accounts created through an identity provider may have no password
   password: {
     type: String,
-    required: true,
+    default: null,
     minlength: 6
   },
+  // Identity provider accounts linked to this user
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Accounts created before verification existed count as verified;
+  // registration sets this to false explicitly
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Last time a verification link was sent, for resend throttling
+  verificationSentAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP second factor. Secrets are only loaded when explicitly selected.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Set during enrollment until the first code confirms it
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last accepted TOTP step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      default: -1,
+      select: false
+    },
+    // Wrong codes in a row at sign-in; the last one allowed locks two-factor
+    // sign-in until lockedUntil
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when the user asks to delete their account; everything they own is
+  // purged once this time passes, unless they restore the account first
+  deletionScheduledAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+userSchema.index({ deletionScheduledAt: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(10);
@@ -45,7 +146,86 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// The user as sent to the client after sign-in and from /me
+userSchema.methods.toClientJSON = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    email: this.email,
+    role: this.role,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: this.twoFactor.enabled,
+    hasPassword: Boolean(this.password),
+    deletionScheduledAt: this.deletionScheduledAt
+  };
+};
+
+// Replace the recovery codes with a fresh set; returns the plain codes, which
+// are shown to the user once and never stored
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Check an authenticator code or an unused recovery code. Needs the
+// twoFactor secret, recoveryCodes and lastUsedStep selected; the caller saves
+// the user so the code cannot be used again. Returns 'totp', 'recovery' or null.
+userSchema.methods.verifySecondFactor = function(code) {
+  const step = verifyTotp(this.twoFactor.secret, code, { afterStep: this.twoFactor.lastUsedStep });
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const index = this.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(code));
+  if (index !== -1) {
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Count a two-factor sign-in attempt before its code is checked, so parallel
+// guesses cannot get past the limit. Resolves to the user with `fields`
+// selected, or null while sign-in is locked. Taking the last allowed attempt
+// starts the lock; a correct code resets the count (see
+// resetTwoFactorAttempts).
+userSchema.statics.startTwoFactorAttempt = async function(userId, fields) {
+  const now = new Date();
+
+  // A lock that has run out starts a fresh count
+  await this.updateOne(
+    { _id: userId, 'twoFactor.lockedUntil': { $lte: now } },
+    { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null } }
+  );
+
+  const user = await this.findOneAndUpdate(
+    { _id: userId, 'twoFactor.failedAttempts': { $lt: MAX_TWO_FACTOR_ATTEMPTS } },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select(fields);
+
+  if (user && user.twoFactor.failedAttempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+    user.twoFactor.lockedUntil = new Date(now.getTime() + TWO_FACTOR_LOCK_MS);
+    await this.updateOne({ _id: userId }, { $set: { 'twoFactor.lockedUntil': user.twoFactor.lockedUntil } });
+  }
+  return user;
+};
+
+// After a correct code; the caller saves the user
+userSchema.methods.resetTwoFactorAttempts = function() {
+  this.twoFactor.failedAttempts = 0;
+  this.twoFactor.lockedUntil = null;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use token sent to a user by email. Only its hash is stored, and it
+// is marked used the moment it is redeemed.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'oidc_login'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a new token, discarding any unused ones for the same purpose.
+// Returns the raw token, which is never stored.
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Redeem a token; resolves to the token document, or null when it is
+// unknown, expired or already used
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,108 @@
+const { ProviderError, postJson, parseEventStream } = require('./http');
+const { isImage, isText, textFromAttachment } = require('./attachments');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const toContentBlock = (attachment) => {
+  if (isText(attachment)) {
+    return { type: 'text', text: textFromAttachment(attachment) };
+  }
+
+  return {
+    type: isImage(attachment) ? 'image' : 'document',
+    source: { type: 'base64', media_type: attachment.mimeType, data: attachment.data }
+  };
+};
+
+// Plain strings unless the message carries attachments
+const toMessages = (messages) => messages.map(({ role, content, attachments }) => ({
+  role,
+  content: attachments?.length
+    ? [...attachments.map(toContentBlock), { type: 'text', text: content }]
+    : content
+}));
+
+const createAnthropicProvider = ({ apiKey }) => {
+  const headers = {
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION
+  };
+
+  const buildPayload = (model, messages, system, generationConfig, stream) => ({
+    model,
+    ...(system && { system }),
+    messages: toMessages(messages),
+    max_tokens: generationConfig.maxOutputTokens,
+    // Newer Claude models reject temperature combined with top_p/top_k
+    temperature: generationConfig.temperature,
+    // Claude has no JSON response mode; the prompt has to ask for JSON
+    ...(generationConfig.stopSequences?.length && { stop_sequences: generationConfig.stopSequences }),
+    stream
+  });
+
+  return {
+    name: 'anthropic',
+
+    async generate({ model, messages, system, generationConfig, signal }) {
+      const data = await postJson(
+        ANTHROPIC_API_URL,
+        buildPayload(model, messages, system, generationConfig, false),
+        { headers, signal }
+      );
+
+      const text = (data.content || [])
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+
+      if (!text) {
+        throw new ProviderError('Invalid response format from Anthropic API', 502, data);
+      }
+
+      return {
+        text,
+        usage: data.usage && {
+          promptTokens: data.usage.input_tokens || 0,
+          completionTokens: data.usage.output_tokens || 0
+        }
+      };
+    },
+
+    async stream({ model, messages, system, generationConfig, signal }) {
+      const body = await postJson(
+        ANTHROPIC_API_URL,
+        buildPayload(model, messages, system, generationConfig, true),
+        { headers, stream: true, signal }
+      );
+
+      return (async function* () {
+        // Input tokens arrive in message_start, output tokens in message_delta
+        let promptTokens = 0;
+
+        for await (const { event, data } of parseEventStream(body)) {
+          if (event === 'error') {
+            const parsed = JSON.parse(data);
+            throw new ProviderError(parsed.error?.message || 'Anthropic stream error', 502, parsed);
+          }
+
+          if (event === 'message_start') {
+            promptTokens = JSON.parse(data).message?.usage?.input_tokens || 0;
+          }
+
+          if (event === 'content_block_delta') {
+            const { delta } = JSON.parse(data);
+            if (delta?.type === 'text_delta' && delta.text) yield { text: delta.text };
+          }
+
+          if (event === 'message_delta') {
+            const { usage } = JSON.parse(data);
+            if (usage) yield { usage: { promptTokens, completionTokens: usage.output_tokens || 0 } };
+          }
+        }
+      })();
+    }
+  };
+};
+
+module.exports = createAnthropicProvider;
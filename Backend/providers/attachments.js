@@ -0,0 +1,17 @@
+// Helpers for turning prompt attachments ({ filename, mimeType, data }) with
+// base64 data into the shapes each provider understands
+
+const isImage = (attachment) => attachment.mimeType.startsWith('image/');
+
+const isText = (attachment) => attachment.mimeType.startsWith('text/');
+
+// Inline a text file into the prompt for providers without file inputs
+const textFromAttachment = (attachment) => (
+  `Attached file ${attachment.filename}:\n\n${Buffer.from(attachment.data, 'base64').toString('utf8')}`
+);
+
+module.exports = {
+  isImage,
+  isText,
+  textFromAttachment
+};
@@ -0,0 +1,81 @@
+const { ProviderError, postJson, parseEventStream } = require('./http');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Gemini calls the assistant role "model" and takes files as inline_data
+const toContents = (messages) => messages.map((message) => ({
+  role: message.role === 'assistant' ? 'model' : 'user',
+  parts: [
+    { text: message.content },
+    ...(message.attachments || []).map((attachment) => ({
+      inline_data: { mime_type: attachment.mimeType, data: attachment.data }
+    }))
+  ]
+}));
+
+const extractText = (data) => (data.candidates?.[0]?.content?.parts || [])
+  .map((part) => part.text || '')
+  .join('');
+
+const extractUsage = (data) => data.usageMetadata && {
+  promptTokens: data.usageMetadata.promptTokenCount || 0,
+  completionTokens: data.usageMetadata.candidatesTokenCount || 0
+};
+
+const createGeminiProvider = ({ apiKey }) => {
+  const headers = { 'x-goog-api-key': apiKey };
+
+  const buildPayload = (messages, system, { stopSequences, ...generationConfig }) => ({
+    contents: toContents(messages),
+    ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+    generationConfig: {
+      ...generationConfig,
+      ...(stopSequences?.length && { stopSequences })
+    }
+  });
+
+  return {
+    name: 'gemini',
+
+    async generate({ model, messages, system, generationConfig, signal }) {
+      const data = await postJson(
+        `${GEMINI_BASE_URL}/${model}:generateContent`,
+        buildPayload(messages, system, generationConfig),
+        { headers, signal }
+      );
+
+      const text = extractText(data);
+      if (!text) {
+        throw new ProviderError('Invalid response format from Gemini API', 502, data);
+      }
+
+      return { text, usage: extractUsage(data) };
+    },
+
+    async stream({ model, messages, system, generationConfig, signal }) {
+      const body = await postJson(
+        `${GEMINI_BASE_URL}/${model}:streamGenerateContent?alt=sse`,
+        buildPayload(messages, system, generationConfig),
+        { headers, stream: true, signal }
+      );
+
+      return (async function* () {
+        for await (const { data } of parseEventStream(body)) {
+          const event = JSON.parse(data);
+          if (event.error) {
+            throw new ProviderError(event.error.message || 'Gemini stream error', 502, event);
+          }
+
+          const text = extractText(event);
+          if (text) yield { text };
+
+          // Every chunk carries running totals; the last one wins
+          const usage = extractUsage(event);
+          if (usage) yield { usage };
+        }
+      })();
+    }
+  };
+};
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,115 @@
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+
+// Error raised when a provider rejects a request or returns an unusable reply.
+// `retryAfter` is how long, in milliseconds, the provider asked us to wait.
+class ProviderError extends Error {
+  constructor(message, status, data, { retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.data = data;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Pull a readable message out of the error bodies the providers return
+const errorMessage = (data, fallback) => {
+  if (typeof data?.error === 'string') return data.error;
+  return data?.error?.message || data?.message || fallback;
+};
+
+// The wait a provider asked for, from a Retry-After header (seconds or an
+// HTTP date) or Gemini's RetryInfo detail such as "30s"
+const retryAfterMs = (headers, data) => {
+  const header = headers?.['retry-after'];
+  if (header) {
+    const seconds = Number(header);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    if (Number.isFinite(ms)) return Math.max(ms, 0);
+  }
+
+  const retryInfo = (data?.error?.details || []).find((detail) => detail?.retryDelay);
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+// Read a whole streamed body, parsing it as JSON when possible
+const readStreamBody = async (stream) => {
+  let raw = '';
+  for await (const chunk of stream) {
+    raw += chunk;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return { error: raw };
+  }
+};
+
+// POST a JSON payload; resolves with the parsed body, or the raw stream when
+// `stream` is set, once the provider has answered with a 200. A provider that
+// can't be reached at all fails with a 503.
+const postJson = async (url, payload, { headers = {}, stream = false, signal } = {}) => {
+  let response;
+  try {
+    response = await axios.post(url, payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      responseType: stream ? 'stream' : 'json',
+      signal,
+      validateStatus: () => true
+    });
+  } catch (error) {
+    if (axios.isCancel(error)) throw error;
+    throw new ProviderError(`Provider request failed: ${error.message}`, 503, null);
+  }
+
+  if (response.status !== 200) {
+    const data = stream ? await readStreamBody(response.data) : response.data;
+    throw new ProviderError(errorMessage(data, 'Provider request failed'), response.status, data, {
+      retryAfter: retryAfterMs(response.headers, data)
+    });
+  }
+
+  return response.data;
+};
+
+// Parse a Server-Sent Events byte stream into { event, data } objects
+async function* parseEventStream(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      let event = 'message';
+      const data = [];
+
+      block.split(/\r?\n/).forEach((line) => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).trim());
+        }
+      });
+
+      if (data.length > 0) {
+        yield { event, data: data.join('\n') };
+      }
+    }
+  }
+}
+
+module.exports = {
+  ProviderError,
+  errorMessage,
+  postJson,
+  parseEventStream
+};
@@ -0,0 +1,32 @@
+const { ProviderError, postJson } = require('../http');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const createGeminiImageGenerator = ({ apiKey, model }) => ({
+  name: 'gemini',
+  model,
+
+  async generate({ prompt, signal }) {
+    const data = await postJson(`${GEMINI_BASE_URL}/${model}:generateContent`, {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: { responseModalities: ['TEXT', 'IMAGE'] }
+    }, {
+      headers: { 'x-goog-api-key': apiKey },
+      signal
+    });
+
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    const image = parts.find((part) => part.inlineData?.data);
+    if (!image) {
+      throw new ProviderError('Gemini did not return an image', 502, data);
+    }
+
+    return {
+      buffer: Buffer.from(image.inlineData.data, 'base64'),
+      mimeType: image.inlineData.mimeType || 'image/png',
+      caption: parts.map((part) => part.text || '').join('').trim()
+    };
+  }
+});
+
+module.exports = createGeminiImageGenerator;
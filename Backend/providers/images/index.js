@@ -0,0 +1,43 @@
+const createGeminiImageGenerator = require('./gemini');
+const createOpenAIImageGenerator = require('./openai');
+const createStubImageGenerator = require('./stub');
+const { callProvider } = require('../resilience');
+
+// IMAGE_PROVIDER picks the backend; without one, use Gemini when it is
+// configured and the offline stub otherwise
+const configureImageGenerator = () => {
+  const name = process.env.IMAGE_PROVIDER
+    || (process.env.GEMINI_API_KEY ? 'gemini' : 'stub');
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiImageGenerator({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_IMAGE_MODEL || 'gemini-2.0-flash-preview-image-generation'
+      });
+    case 'openai':
+      return createOpenAIImageGenerator({
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_IMAGE_MODEL || 'gpt-image-1'
+      });
+    case 'stub':
+      return createStubImageGenerator();
+    default:
+      console.error(`Unknown IMAGE_PROVIDER "${name}", falling back to the stub generator`);
+      return createStubImageGenerator();
+  }
+};
+
+const generator = configureImageGenerator();
+
+// Image calls get the same timeouts, retries and circuit breaker as text;
+// generation is slow, so each attempt gets longer
+module.exports = {
+  ...generator,
+  generate: ({ signal, ...request }) => callProvider(
+    `${generator.name} images`,
+    (attemptSignal) => generator.generate({ ...request, signal: attemptSignal }),
+    { signal, timeoutMs: parseInt(process.env.IMAGE_TIMEOUT_MS) || 120000 }
+  )
+};
@@ -0,0 +1,37 @@
+const { ProviderError, postJson } = require('../http');
+
+const createOpenAIImageGenerator = ({ baseUrl, apiKey, model }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/images/generations`;
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate({ prompt, signal }) {
+      const data = await postJson(url, {
+        model,
+        prompt,
+        n: 1,
+        size: '1024x1024',
+        // gpt-image models always return base64; DALL-E needs asking
+        ...(model.startsWith('dall-e') && { response_format: 'b64_json' })
+      }, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        signal
+      });
+
+      const image = data.data?.[0];
+      if (!image?.b64_json) {
+        throw new ProviderError('Image API did not return an image', 502, data);
+      }
+
+      return {
+        buffer: Buffer.from(image.b64_json, 'base64'),
+        mimeType: 'image/png',
+        caption: image.revised_prompt || ''
+      };
+    }
+  };
+};
+
+module.exports = createOpenAIImageGenerator;
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+const escapeXml = (value) => value.replace(/[<>&'"]/g, (char) => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  '\'': '&apos;',
+  '"': '&quot;'
+}[char]));
+
+// Offline generator: a gradient SVG derived from the prompt, so the same
+// prompt always produces the same picture
+const createStubImageGenerator = () => ({
+  name: 'stub',
+  model: 'stub',
+
+  async generate({ prompt }) {
+    const hash = crypto.createHash('sha256').update(prompt).digest();
+    const from = `hsl(${hash[0] * 360 / 256}, 70%, 55%)`;
+    const to = `hsl(${hash[1] * 360 / 256}, 70%, 35%)`;
+    const label = escapeXml(prompt.length > 40 ? `${prompt.substring(0, 37)}...` : prompt);
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${from}"/>
+      <stop offset="100%" stop-color="${to}"/>
+    </linearGradient>
+  </defs>
+  <rect width="512" height="512" fill="url(#bg)"/>
+  <circle cx="${128 + hash[2]}" cy="${128 + hash[3]}" r="${48 + hash[4] / 4}" fill="rgba(255,255,255,0.25)"/>
+  <text x="256" y="480" font-family="sans-serif" font-size="20" fill="#fff" text-anchor="middle">${label}</text>
+</svg>`;
+
+    return {
+      buffer: Buffer.from(svg),
+      mimeType: 'image/svg+xml',
+      caption: 'Placeholder image from the offline stub generator'
+    };
+  }
+});
+
+module.exports = createStubImageGenerator;
@@ -0,0 +1,137 @@
+const createGeminiProvider = require('./gemini');
+const createAnthropicProvider = require('./anthropic');
+const createOpenAIProvider = require('./openai');
+const { ProviderError } = require('./http');
+const { callProvider, isUnavailable } = require('./resilience');
+
+// Comma-separated env list, e.g. GEMINI_MODELS=gemini-2.0-flash,gemini-1.5-pro
+const splitList = (value, fallback) => (value || fallback)
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// Each provider is enabled by its credentials and exposes the listed models
+const configureProviders = () => {
+  const configured = [];
+
+  if (process.env.GEMINI_API_KEY) {
+    if (process.env.GEMINI_API_KEY.startsWith('AIza')) {
+      configured.push({
+        provider: createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY }),
+        models: splitList(process.env.GEMINI_MODELS, 'gemini-2.0-flash')
+      });
+    } else {
+      console.error('Invalid Gemini API key, Gemini models disabled');
+    }
+  }
+
+  if (process.env.ANTHROPIC_API_KEY) {
+    configured.push({
+      provider: createAnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY }),
+      models: splitList(process.env.ANTHROPIC_MODELS, 'claude-sonnet-4-5')
+    });
+  }
+
+  // OPENAI_BASE_URL alone is enough for keyless local servers like Ollama
+  if (process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL) {
+    configured.push({
+      provider: createOpenAIProvider({
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY
+      }),
+      models: splitList(process.env.OPENAI_MODELS, 'gpt-4o-mini')
+    });
+  }
+
+  return configured;
+};
+
+const models = new Map();
+configureProviders().forEach(({ provider, models: ids }) => {
+  ids.forEach((id) => {
+    if (!models.has(id)) {
+      models.set(id, { id, providerName: provider.name, provider });
+    }
+  });
+});
+
+if (models.size === 0) {
+  console.error('No LLM provider configured');
+  process.exit(1);
+}
+
+const defaultModelId = models.has(process.env.DEFAULT_MODEL)
+  ? process.env.DEFAULT_MODEL
+  : models.keys().next().value;
+
+// FALLBACK_MODEL answers when the requested model's provider is unavailable
+const fallbackModelId = models.has(process.env.FALLBACK_MODEL) ? process.env.FALLBACK_MODEL : null;
+if (process.env.FALLBACK_MODEL && !fallbackModelId) {
+  console.error(`Fallback model "${process.env.FALLBACK_MODEL}" is not configured, fallback disabled`);
+}
+
+// Look up an allowed model, falling back to the default when none is given
+const getModel = (id) => (id ? models.get(id) : models.get(defaultModelId));
+
+// Try `model`, then the fallback model if the first is unavailable. Resolves
+// with the result and the model that produced it.
+const withFallback = async (model, operation, signal) => {
+  const candidates = [model];
+  if (fallbackModelId && fallbackModelId !== model.id) {
+    candidates.push(models.get(fallbackModelId));
+  }
+
+  let lastError;
+  for (const candidate of candidates) {
+    try {
+      const result = await callProvider(
+        candidate.providerName,
+        (attemptSignal) => operation(candidate, attemptSignal),
+        { signal }
+      );
+      return { result, model: candidate };
+    } catch (error) {
+      if (signal?.aborted || !isUnavailable(error)) throw error;
+      console.error(`Model ${candidate.id} unavailable:`, error.message);
+      lastError = error;
+    }
+  }
+  throw lastError;
+};
+
+// Generate a whole reply; resolves with { text, usage, model }
+const generateText = async (model, { signal, ...request }) => {
+  const { result, model: answeredBy } = await withFallback(
+    model,
+    (candidate, attemptSignal) => candidate.provider.generate({ ...request, model: candidate.id, signal: attemptSignal }),
+    signal
+  );
+  return { ...result, model: answeredBy };
+};
+
+// Start streaming a reply; resolves with { events, model } once a provider
+// has accepted the request
+const streamText = async (model, { signal, ...request }) => {
+  const { result: events, model: answeredBy } = await withFallback(
+    model,
+    (candidate, attemptSignal) => candidate.provider.stream({ ...request, model: candidate.id, signal: attemptSignal }),
+    signal
+  );
+  return { events, model: answeredBy };
+};
+
+const listModels = () => Array.from(models.values()).map(({ id, providerName }) => ({
+  id,
+  provider: providerName,
+  isDefault: id === defaultModelId
+}));
+
+module.exports = {
+  getModel,
+  listModels,
+  defaultModelId,
+  fallbackModelId,
+  generateText,
+  streamText,
+  ProviderError
+};
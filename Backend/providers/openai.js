@@ -0,0 +1,89 @@
+const { ProviderError, postJson, parseEventStream } = require('./http');
+const { isImage, isText, textFromAttachment } = require('./attachments');
+
+const toContentPart = (attachment) => {
+  if (isImage(attachment)) {
+    return { type: 'image_url', image_url: { url: `data:${attachment.mimeType};base64,${attachment.data}` } };
+  }
+
+  if (isText(attachment)) {
+    return { type: 'text', text: textFromAttachment(attachment) };
+  }
+
+  throw new ProviderError(`${attachment.mimeType} attachments are not supported by this model`, 400);
+};
+
+// Plain strings unless the message carries attachments
+const toMessages = (messages) => messages.map(({ role, content, attachments }) => ({
+  role,
+  content: attachments?.length
+    ? [{ type: 'text', text: content }, ...attachments.map(toContentPart)]
+    : content
+}));
+
+// Works with OpenAI and compatible servers such as Ollama or llama.cpp
+const createOpenAIProvider = ({ baseUrl, apiKey }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  const buildPayload = (model, messages, system, generationConfig, stream) => ({
+    model,
+    // System instructions travel as a leading system message
+    messages: [...(system ? [{ role: 'system', content: system }] : []), ...toMessages(messages)],
+    max_tokens: generationConfig.maxOutputTokens,
+    temperature: generationConfig.temperature,
+    top_p: generationConfig.topP,
+    ...(generationConfig.stopSequences?.length && { stop: generationConfig.stopSequences }),
+    ...(generationConfig.responseMimeType === 'application/json' && { response_format: { type: 'json_object' } }),
+    stream,
+    // Ask for a final usage chunk when streaming
+    ...(stream && { stream_options: { include_usage: true } })
+  });
+
+  const extractUsage = (data) => data.usage && {
+    promptTokens: data.usage.prompt_tokens || 0,
+    completionTokens: data.usage.completion_tokens || 0
+  };
+
+  return {
+    name: 'openai',
+
+    async generate({ model, messages, system, generationConfig, signal }) {
+      const data = await postJson(url, buildPayload(model, messages, system, generationConfig, false), { headers, signal });
+
+      const text = data.choices?.[0]?.message?.content;
+      if (!text) {
+        throw new ProviderError('Invalid response format from OpenAI-compatible API', 502, data);
+      }
+
+      return { text, usage: extractUsage(data) };
+    },
+
+    async stream({ model, messages, system, generationConfig, signal }) {
+      const body = await postJson(
+        url,
+        buildPayload(model, messages, system, generationConfig, true),
+        { headers, stream: true, signal }
+      );
+
+      return (async function* () {
+        for await (const { data } of parseEventStream(body)) {
+          if (data === '[DONE]') return;
+
+          const event = JSON.parse(data);
+          if (event.error) {
+            throw new ProviderError(event.error.message || 'OpenAI-compatible stream error', 502, event);
+          }
+
+          const text = event.choices?.[0]?.delta?.content;
+          if (text) yield { text };
+
+          const usage = extractUsage(event);
+          if (usage) yield { usage };
+        }
+      })();
+    }
+  };
+};
+
+module.exports = createOpenAIProvider;
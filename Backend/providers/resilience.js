@@ -0,0 +1,190 @@
+const { ProviderError } = require('./http');
+
+// Integer env setting; unset or invalid values use the default
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// PROVIDER_TIMEOUT_MS bounds each attempt until the provider answers (for
+// streams, until the first byte). Transient failures are retried up to
+// PROVIDER_MAX_RETRIES times with exponential backoff and jitter.
+const TIMEOUT_MS = envInt('PROVIDER_TIMEOUT_MS', 60000);
+const MAX_RETRIES = envInt('PROVIDER_MAX_RETRIES', 2);
+const RETRY_BASE_MS = envInt('PROVIDER_RETRY_BASE_MS', 500);
+// A provider asking for a longer wait than this is treated as unavailable
+const RETRY_MAX_MS = envInt('PROVIDER_RETRY_MAX_MS', 10000);
+
+// After CIRCUIT_FAILURE_THRESHOLD failures in a row a provider's circuit
+// opens and calls fail at once; after CIRCUIT_RESET_MS one trial call is let
+// through, and its outcome closes or reopens the circuit
+const CIRCUIT_FAILURE_THRESHOLD = envInt('CIRCUIT_FAILURE_THRESHOLD', 5);
+const CIRCUIT_RESET_MS = envInt('CIRCUIT_RESET_MS', 30000);
+
+const UNAVAILABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Whether a failure means the provider is unavailable, as opposed to the
+// request being wrong; only these are retried or sent to a fallback model
+const isUnavailable = (error) => error instanceof ProviderError && UNAVAILABLE_STATUSES.includes(error.status);
+
+class CircuitBreaker {
+  constructor(name) {
+    this.name = name;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt < CIRCUIT_RESET_MS ? 'open' : 'half-open';
+  }
+
+  // Throws while the circuit is open or its trial call is still running
+  acquire() {
+    const state = this.state;
+    if (state === 'closed') return;
+
+    if (state === 'open' || this.trialInFlight) {
+      const retryAfter = Math.max(CIRCUIT_RESET_MS - (Date.now() - this.openedAt), 0);
+      const error = new ProviderError(`${this.name} is temporarily unavailable`, 503, null, { retryAfter });
+      error.circuitOpen = true;
+      throw error;
+    }
+    this.trialInFlight = true;
+  }
+
+  // Let the next caller run the trial after one that ended without a verdict
+  release() {
+    this.trialInFlight = false;
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.openedAt !== null || this.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+      this.openedAt = Date.now();
+      console.error(`Circuit opened for ${this.name} after ${this.failures} failures`);
+    }
+  }
+}
+
+const breakers = new Map();
+
+const breakerFor = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+};
+
+// How long to wait before the next attempt, or null when the provider asked
+// for longer than we are willing to hold the request
+const retryDelay = (attempt, retryAfter) => {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter <= RETRY_MAX_MS ? retryAfter : null;
+  }
+  const backoff = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+// Wait between attempts; the abort listener goes once the wait is over so
+// long retry chains don't pile listeners onto the request's signal
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Run one attempt with its own timeout. The attempt's signal also follows the
+// caller's, so aborting the request still cancels a stream after it started;
+// a failed attempt drops that link so retries don't stack listeners.
+const attemptWithTimeout = async (name, operation, { signal, timeoutMs }) => {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    return await operation(controller.signal);
+  } catch (error) {
+    signal?.removeEventListener('abort', onAbort);
+    if (timedOut) {
+      throw new ProviderError(`${name} did not respond within ${Math.ceil(timeoutMs / 1000)}s`, 504, null);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Call a provider through its circuit breaker, retrying transient failures.
+// `operation` receives the AbortSignal for the attempt. Async iterables it
+// returns are watched so failures mid-stream count against the provider too.
+const callProvider = async (name, operation, { signal, timeoutMs = TIMEOUT_MS } = {}) => {
+  const breaker = breakerFor(name);
+
+  for (let attempt = 0; ; attempt += 1) {
+    breaker.acquire();
+
+    try {
+      const result = await attemptWithTimeout(name, operation, { signal, timeoutMs });
+      breaker.success();
+      return result?.[Symbol.asyncIterator] ? watchStream(breaker, result, signal) : result;
+    } catch (error) {
+      if (signal?.aborted) {
+        breaker.release();
+        throw error;
+      }
+      if (!isUnavailable(error)) {
+        // The provider answered, so it is up even though the request failed
+        breaker.success();
+        throw error;
+      }
+
+      breaker.failure();
+      const delay = retryDelay(attempt, error.retryAfter);
+      if (attempt >= MAX_RETRIES || delay === null || breaker.state !== 'closed') {
+        throw error;
+      }
+
+      console.error(`${name} attempt ${attempt + 1} failed, retrying in ${Math.round(delay)}ms:`, error.message);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+async function* watchStream(breaker, events, signal) {
+  try {
+    yield* events;
+  } catch (error) {
+    if (!signal?.aborted && isUnavailable(error)) {
+      breaker.failure();
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  isUnavailable,
+  callProvider,
+  breakerFor
+};
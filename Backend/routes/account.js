@@ -0,0 +1,164 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { revokeAllSessions } = require('../utils/tokens');
+const { sendVerificationEmail } = require('../utils/emails');
+const { deletionDate, purgeDueAccounts } = require('../utils/accounts');
+const { BadRequestError, UnauthorizedError, ConflictError, duplicateKeyField, asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+const profileConflict = (field) => (field === 'email'
+  ? new ConflictError('Email is already in use', 'EMAIL_IN_USE')
+  : new ConflictError('Username is already taken', 'USERNAME_TAKEN'));
+
+// Update username and/or email. Changing the email takes the current
+// password, as whoever controls it can reset the password; a new email has
+// to be verified again.
+router.patch('/profile', [
+  auth,
+  body('username').optional().trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('currentPassword').optional().isString(),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const username = req.body.username ?? user.username;
+  const email = req.body.email ?? user.email;
+
+  const taken = await User.findOne({
+    _id: { $ne: user._id },
+    $or: [{ email }, { username }]
+  });
+
+  if (taken) {
+    throw profileConflict(taken.email === email ? 'email' : 'username');
+  }
+
+  const emailChanged = email !== user.email;
+  if (emailChanged && user.password && !await user.comparePassword(req.body.currentPassword || '')) {
+    throw new BadRequestError('Current password is incorrect', 'AUTH_INVALID_CREDENTIALS');
+  }
+
+  user.username = username;
+  user.email = email;
+  if (emailChanged) {
+    user.emailVerified = false;
+    user.emailVerifiedAt = null;
+  }
+
+  try {
+    await user.save();
+  } catch (error) {
+    // Another request took the name or email since the check above
+    const field = duplicateKeyField(error);
+    throw field === null ? error : profileConflict(field);
+  }
+
+  if (emailChanged) {
+    await sendVerificationEmail(user);
+  }
+
+  res.json({
+    message: emailChanged
+      ? 'Profile updated. Check your inbox to verify your new email.'
+      : 'Profile updated successfully',
+    data: { user: user.toClientJSON() }
+  });
+}));
+
+// Change the password, signing out every other session. Accounts created
+// through an identity provider can set a first password without one.
+router.put('/password', [
+  auth,
+  body('currentPassword').optional().isString(),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.password && !await user.comparePassword(req.body.currentPassword || '')) {
+    throw new BadRequestError('Current password is incorrect', 'AUTH_INVALID_CREDENTIALS');
+  }
+
+  user.password = req.body.newPassword;
+  await user.save();
+  await revokeAllSessions(user._id, 'password', req.session._id);
+
+  res.json({
+    message: 'Password changed successfully',
+    data: { user: user.toClientJSON() }
+  });
+}));
+
+// Schedule the account for deletion. Confirmed with the password, or the
+// username for accounts without one. Other sessions are signed out; signing
+// back in during the grace period allows a restore.
+router.delete('/', [
+  auth,
+  body('password').optional().isString(),
+  body('confirm').optional().isString(),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.deletionScheduledAt) {
+    throw new BadRequestError('Account is already scheduled for deletion', 'DELETION_ALREADY_SCHEDULED');
+  }
+
+  if (user.password && !await user.comparePassword(req.body.password || '')) {
+    throw new BadRequestError('Password is incorrect', 'AUTH_INVALID_CREDENTIALS');
+  }
+  if (!user.password && req.body.confirm !== user.username) {
+    throw new BadRequestError('Type your username to confirm', 'CONFIRMATION_MISMATCH');
+  }
+
+  user.deletionScheduledAt = deletionDate();
+  await user.save();
+  await revokeAllSessions(user._id, 'revoked', req.session._id);
+
+  res.json({
+    message: 'Account scheduled for deletion',
+    data: { user: user.toClientJSON() }
+  });
+}));
+
+// Undo a scheduled deletion during the grace period
+router.post('/restore', auth, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user.deletionScheduledAt) {
+    throw new BadRequestError('Account is not scheduled for deletion', 'DELETION_NOT_SCHEDULED');
+  }
+
+  user.deletionScheduledAt = null;
+  await user.save();
+
+  res.json({
+    message: 'Account restored successfully',
+    data: { user: user.toClientJSON() }
+  });
+}));
+
+// Purge accounts past their grace period. Called by the scheduled job in
+// vercel.json, which sends CRON_SECRET as a bearer token.
+router.get('/purge', asyncHandler(async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  const provided = req.header('Authorization')?.replace('Bearer ', '') || '';
+
+  if (!secret || provided.length !== secret.length
+    || !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(secret))) {
+    throw new UnauthorizedError('Unauthorized');
+  }
+
+  const purged = await purgeDueAccounts();
+
+  res.json({
+    message: 'Deleted accounts purged successfully',
+    data: { purged }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,279 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Conversation = require('../models/Conversation');
+const Session = require('../models/Session');
+const Usage = require('../models/Usage');
+const GenerationLimits = require('../models/GenerationLimits');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const validate = require('../middleware/validate');
+const { quotaStatus } = require('../middleware/quota');
+const { revokeAllSessions } = require('../utils/tokens');
+const { escapeRegExp } = require('../utils/highlight');
+const { BadRequestError, NotFoundError, asyncHandler } = require('../utils/errors');
+const {
+  DEFAULT_GENERATION_CONFIG,
+  GENERATION_LIMITS,
+  GENERATION_FIELDS,
+  MAX_STOP_SEQUENCES,
+  loadGenerationPolicy
+} = require('../utils/generation');
+
+const router = express.Router();
+
+// Every admin route needs a signed-in administrator
+router.use(auth, requireAdmin);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const serializeUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor.enabled,
+  createdAt: user.createdAt
+});
+
+// Documents created per UTC day since `since`, as { 'YYYY-MM-DD': count }
+const countPerDay = async (Model, since) => {
+  const rows = await Model.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(rows.map((row) => [row._id, row.count]));
+};
+
+// Totals plus new users and chats per day
+router.get('/overview', [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be 1-365'),
+  validate
+], asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  const today = new Date(Usage.periodKeys().day);
+  const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const [users, activeUsers, chats, conversations, usersPerDay, chatsPerDay] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ isActive: true }),
+    Chat.countDocuments(),
+    Conversation.countDocuments(),
+    countPerDay(User, since),
+    countPerDay(Chat, since)
+  ]);
+
+  // Fill in the days with no activity
+  const daily = Array.from({ length: days }, (_, index) => {
+    const date = new Date(since.getTime() + index * DAY_MS).toISOString().substring(0, 10);
+    return { date, users: usersPerDay[date] || 0, chats: chatsPerDay[date] || 0 };
+  });
+
+  res.json({
+    message: 'Overview retrieved successfully',
+    data: {
+      totals: { users, activeUsers, chats, conversations },
+      daily
+    }
+  });
+}));
+
+// List and search users by username or email
+router.get('/users', [
+  query('q').optional().isString().trim().isLength({ max: 100 }),
+  query('status').optional().isIn(['active', 'inactive']).withMessage('Status must be active or inactive'),
+  query('role').optional().isIn(['user', 'admin']).withMessage('Role must be user or admin'),
+  validate
+], asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegExp(req.query.q), 'i');
+    filter.$or = [{ username: pattern }, { email: pattern }];
+  }
+  if (req.query.status) {
+    filter.isActive = req.query.status === 'active';
+  }
+  if (req.query.role) {
+    filter.role = req.query.role;
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    User.countDocuments(filter)
+  ]);
+
+  res.json({
+    message: 'Users retrieved successfully',
+    data: {
+      users: users.map(serializeUser),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        limit,
+        count: total
+      }
+    }
+  });
+}));
+
+// One user with their activity, quota status and recent daily usage
+router.get('/users/:id', [
+  param('id').isMongoId().withMessage('Invalid user id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const [chats, conversations, sessions, quota, usage] = await Promise.all([
+    Chat.countDocuments({ user: user._id }),
+    Conversation.countDocuments({ user: user._id }),
+    Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    quotaStatus(user._id),
+    Usage.find({ user: user._id, period: 'day' }).sort({ key: -1 }).limit(30)
+  ]);
+
+  res.json({
+    message: 'User retrieved successfully',
+    data: {
+      user: serializeUser(user),
+      stats: { chats, conversations, activeSessions: sessions },
+      quota,
+      usage: usage.map((record) => ({
+        date: record.key,
+        promptTokens: record.promptTokens,
+        completionTokens: record.completionTokens,
+        requests: record.requests
+      }))
+    }
+  });
+}));
+
+// Deactivate, reactivate, or change the role of a user. Admins cannot lock
+// themselves out this way.
+router.patch('/users/:id', [
+  param('id').isMongoId().withMessage('Invalid user id'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('role').optional().isIn(['user', 'admin']).withMessage('Role must be user or admin'),
+  validate
+], asyncHandler(async (req, res) => {
+  const isSelf = req.user._id.equals(req.params.id);
+  if (isSelf && (req.body.isActive === false || req.body.role === 'user')) {
+    throw new BadRequestError('You cannot deactivate or demote your own account', 'CANNOT_MODIFY_SELF');
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (req.body.isActive !== undefined) {
+    user.isActive = req.body.isActive;
+  }
+  if (req.body.role !== undefined) {
+    user.role = req.body.role;
+  }
+  await user.save();
+
+  // Sign a deactivated user out everywhere right away
+  if (req.body.isActive === false) {
+    await revokeAllSessions(user._id, 'revoked');
+  }
+
+  res.json({
+    message: 'User updated successfully',
+    data: { user: serializeUser(user) }
+  });
+}));
+
+// Sign a user out of every device
+router.delete('/users/:id/sessions', [
+  param('id').isMongoId().withMessage('Invalid user id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.exists({ _id: req.params.id });
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const result = await revokeAllSessions(req.params.id, 'revoked');
+
+  res.json({
+    message: 'Sessions revoked successfully',
+    data: { revoked: result.modifiedCount }
+  });
+}));
+
+// Admin ranges must sit inside the provider bounds, with min <= default <= max
+const limitValidators = [
+  ...GENERATION_FIELDS.flatMap((field) => {
+    const { min, max, integer } = GENERATION_LIMITS[field];
+    return ['min', 'max', 'default'].map((key) => {
+      const chain = body(`${field}.${key}`).optional({ nullable: true });
+      return (integer ? chain.isInt({ min, max }) : chain.isFloat({ min, max }))
+        .withMessage(`${field} ${key} must be between ${min} and ${max}`)
+        .toFloat();
+    });
+  }),
+  body('maxStopSequences').optional({ nullable: true }).isInt({ min: 0, max: MAX_STOP_SEQUENCES })
+    .withMessage(`Stop sequences limit must be 0-${MAX_STOP_SEQUENCES}`)
+    .toInt(),
+  body('allowJsonMode').optional().isBoolean().withMessage('allowJsonMode must be a boolean'),
+  body().custom((value) => GENERATION_FIELDS.every((field) => {
+    const min = value[field]?.min ?? GENERATION_LIMITS[field].min;
+    const max = value[field]?.max ?? GENERATION_LIMITS[field].max;
+    const fallback = value[field]?.default ?? null;
+    return min <= max && (fallback === null || (fallback >= min && fallback <= max));
+  })).withMessage('Each minimum must not exceed its maximum, with the default in between')
+];
+
+// The generation limits in force, with what the admin has set
+router.get('/generation-limits', asyncHandler(async (req, res) => {
+  const [limits, policy] = await Promise.all([GenerationLimits.findOne(), loadGenerationPolicy()]);
+
+  res.json({
+    message: 'Generation limits retrieved successfully',
+    data: {
+      limits,
+      policy,
+      bounds: GENERATION_LIMITS,
+      defaults: DEFAULT_GENERATION_CONFIG,
+      maxStopSequences: MAX_STOP_SEQUENCES
+    }
+  });
+}));
+
+// Replace the deployment-wide generation limits; null restores a built-in value
+router.put('/generation-limits', limitValidators, validate, asyncHandler(async (req, res) => {
+  const update = {
+    maxStopSequences: req.body.maxStopSequences ?? null,
+    allowJsonMode: req.body.allowJsonMode ?? true
+  };
+  GENERATION_FIELDS.forEach((field) => {
+    update[field] = {
+      min: req.body[field]?.min ?? null,
+      max: req.body[field]?.max ?? null,
+      default: req.body[field]?.default ?? null
+    };
+  });
+
+  const limits = await GenerationLimits.findOneAndUpdate({}, update, { new: true, upsert: true });
+
+  res.json({
+    message: 'Generation limits updated successfully',
+    data: {
+      limits,
+      policy: await loadGenerationPolicy()
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const Asset = require('../models/Asset');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { NotFoundError, asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+// List the user's assets, e.g. ?kind=generated for the image gallery
+router.get('/', [
+  auth,
+  query('kind').optional().isIn(['generated', 'upload']).withMessage('Invalid asset kind'),
+  validate
+], asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 24;
+  const skip = (page - 1) * limit;
+
+  const filter = { user: req.user._id };
+  if (req.query.kind) {
+    filter.kind = req.query.kind;
+  }
+
+  const assets = await Asset.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select('chat kind filename mimeType size prompt model createdAt');
+
+  const total = await Asset.countDocuments(filter);
+
+  res.json({
+    message: 'Assets retrieved successfully',
+    data: {
+      assets: assets.map((asset) => ({
+        ...asset.toObject(),
+        url: `/api/assets/${asset._id}`
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        limit,
+        count: total
+      }
+    }
+  });
+}));
+
+// Serve the stored file to its owner
+router.get('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid asset id'),
+  validate
+], asyncHandler(async (req, res, next) => {
+  const asset = await Asset.findOne({ _id: req.params.id, user: req.user._id });
+  if (!asset) {
+    throw new NotFoundError('Asset not found');
+  }
+
+  res.set({
+    'Content-Type': asset.mimeType,
+    'Cache-Control': 'private, max-age=86400',
+    // SVGs from the stub generator must never run as documents
+    'Content-Security-Policy': 'default-src \'none\'; style-src \'unsafe-inline\'',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  asset.createReadStream()
+    .on('error', (error) => {
+      console.error('Read asset error:', error.message);
+      next(new NotFoundError('Asset file not found'));
+    })
+    .pipe(res);
+}));
+
+module.exports = router;
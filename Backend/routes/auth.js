@@ -1,134 +1,434 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param } = require('express-validator');
+const QRCode = require('qrcode');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const mailer = require('../mailer');
+const { passwordResetEmail } = require('../mailer/templates');
+const { unverifiedAccess } = require('../middleware/verification');
+const { generateSecret, otpauthUrl, verifyTotp } = require('../utils/totp');
+const { clientUrl } = require('../utils/urls');
+const { sendVerificationEmail } = require('../utils/emails');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  asyncHandler
+} = require('../utils/errors');
+const {
+  createSession,
+  refreshSession,
+  revokeAllSessions,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/tokens');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const VERIFICATION_RESEND_SECONDS = parseInt(process.env.VERIFICATION_RESEND_SECONDS) || 60;
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
 // Register
 router.post('/register', [
   body('username').trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { username, email, password } = req.body;
+
+  // Check if user already exists
+  const existingUser = await User.findOne({ 
+    $or: [{ email }, { username }] 
+  });
+  
+  if (existingUser) {
+    throw new BadRequestError('User already exists with this email or username', 'ACCOUNT_EXISTS');
+  }
+
+  // Create new user; they can sign in right away, but what they may do
+  // until the address is confirmed depends on UNVERIFIED_ACCESS
+  const user = new User({ username, email, password, emailVerified: false });
+  await user.save();
+  await sendVerificationEmail(user);
 
-    const { username, email, password } = req.body;
+  // Start a session with short-lived access and rotating refresh tokens
+  const { token, refreshToken } = await createSession(user, req);
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ 
-      $or: [{ email }, { username }] 
+  res.status(201).json({
+    message: 'User created successfully',
+    token,
+    refreshToken,
+    user: user.toClientJSON(),
+    unverifiedAccess
+  });
+}));
+
+// Login
+router.post('/login', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('password').exists().withMessage('Password is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Find user
+  const user = await User.findOne({ email });
+  if (!user) {
+    throw new BadRequestError('Invalid credentials', 'AUTH_INVALID_CREDENTIALS');
+  }
+
+  // Check password
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    throw new BadRequestError('Invalid credentials', 'AUTH_INVALID_CREDENTIALS');
+  }
+
+  if (!user.isActive) {
+    throw new ForbiddenError('This account has been deactivated', 'ACCOUNT_DEACTIVATED');
+  }
+
+  // With 2FA on, the password only earns a short-lived challenge that
+  // POST /login/2fa exchanges for a session
+  if (user.twoFactor.enabled) {
+    return res.json({
+      message: 'Two-factor code required',
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user._id)
     });
-    
-    if (existingUser) {
-      return res.status(400).json({ 
-        message: 'User already exists with this email or username' 
-      });
-    }
+  }
 
-    // Create new user
-    const user = new User({ username, email, password });
-    await user.save();
+  // Start a session with short-lived access and rotating refresh tokens
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: user.toClientJSON()
+  });
+}));
+
+// Second login step: an authenticator or recovery code for the challenge
+router.post('/login/2fa', [
+  body('challengeToken').isString().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Code is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const userId = verifyTwoFactorChallenge(req.body.challengeToken);
+  if (!userId) {
+    throw new UnauthorizedError('Login attempt expired, please sign in again', 'AUTH_CHALLENGE_EXPIRED');
+  }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || '123',
-      { expiresIn: '7d' }
+  const account = await User.findById(userId);
+  if (!account || !account.isActive || !account.twoFactor.enabled) {
+    throw new UnauthorizedError('Login attempt expired, please sign in again', 'AUTH_CHALLENGE_EXPIRED');
+  }
+
+  // Each wrong code counts against the account, not the challenge, since
+  // the password step hands out new challenges
+  const user = await User.startTwoFactorAttempt(account._id, TWO_FACTOR_FIELDS);
+  if (!user) {
+    const lockedFor = (account.twoFactor.lockedUntil || Date.now()) - Date.now();
+    throw new TooManyRequestsError(
+      'Too many incorrect codes, please try again later',
+      'AUTH_TOO_MANY_ATTEMPTS',
+      { retryAfter: Math.max(Math.ceil(lockedFor / 1000), 1) }
     );
+  }
 
-    res.status(201).json({
-      message: 'User created successfully',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ message: 'Server error during registration' });
+  const method = user.verifySecondFactor(req.body.code);
+  if (!method) {
+    throw new BadRequestError('Invalid authentication code', 'AUTH_INVALID_CODE');
   }
-});
+  user.resetTwoFactorAttempts();
+  await user.save();
 
-// Login
-router.post('/login', [
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: user.toClientJSON(),
+    ...(method === 'recovery' && { recoveryCodesLeft: user.twoFactor.recoveryCodes.length })
+  });
+}));
+
+// Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', [
+  body('refreshToken').isString().withMessage('Refresh token is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const result = await refreshSession(req.body.refreshToken, req);
+  if (!result) {
+    throw new UnauthorizedError('Invalid refresh token', 'AUTH_INVALID_REFRESH_TOKEN');
+  }
+
+  const user = await User.findById(result.session.user);
+  if (!user || !user.isActive) {
+    await result.session.revoke('revoked');
+    throw new UnauthorizedError('Invalid refresh token', 'AUTH_INVALID_REFRESH_TOKEN');
+  }
+
+  res.json({
+    message: 'Token refreshed successfully',
+    token: result.token,
+    refreshToken: result.refreshToken
+  });
+}));
+
+router.post('/logout', auth, asyncHandler(async (req, res) => {
+  await req.session.revoke('logout');
+  res.json({ message: 'Logged out successfully' });
+}));
+
+// Confirm an email address with the token from a verification link
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const verificationToken = await UserToken.consume(req.body.token, 'email_verification');
+  if (!verificationToken) {
+    throw new BadRequestError('This verification link is invalid or has expired', 'LINK_INVALID');
+  }
+
+  const user = await User.findById(verificationToken.user);
+  if (!user) {
+    throw new BadRequestError('This verification link is invalid or has expired', 'LINK_INVALID');
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  res.json({ message: 'Email verified successfully' });
+}));
+
+// Send another verification link, at most once per VERIFICATION_RESEND_SECONDS
+router.post('/resend-verification', auth, asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    throw new BadRequestError('Email is already verified', 'EMAIL_ALREADY_VERIFIED');
+  }
+
+  const elapsed = req.user.verificationSentAt
+    ? (Date.now() - req.user.verificationSentAt.getTime()) / 1000
+    : Infinity;
+
+  if (elapsed < VERIFICATION_RESEND_SECONDS) {
+    const retryAfter = Math.ceil(VERIFICATION_RESEND_SECONDS - elapsed);
+    throw new TooManyRequestsError(
+      `Please wait ${retryAfter} seconds before requesting another email`,
+      'RATE_LIMITED',
+      { retryAfter }
+    );
+  }
+
+  await sendVerificationEmail(req.user);
+
+  res.json({ message: 'Verification email sent' });
+}));
+
+// Email a password reset link. The response is the same whether or not the
+// address belongs to an account, so it cannot be used to probe for users.
+router.post('/forgot-password', [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').exists().withMessage('Password is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email });
 
-    const { email, password } = req.body;
+  if (user && user.isActive) {
+    const token = await UserToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    const email = passwordResetEmail({
+      username: user.username,
+      url: clientUrl(`/reset-password?token=${token}`),
+      expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+    });
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    try {
+      await mailer.send({ to: user.email, ...email });
+    } catch (error) {
+      console.error('Password reset mail error:', error.message);
     }
+  }
+
+  res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+}));
+
+// Set a new password with a reset token and sign out every session
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  validate
+], asyncHandler(async (req, res) => {
+  const resetToken = await UserToken.consume(req.body.token, 'password_reset');
+  if (!resetToken) {
+    throw new BadRequestError('This reset link is invalid or has expired', 'LINK_INVALID');
+  }
+
+  const user = await User.findById(resetToken.user);
+  if (!user || !user.isActive) {
+    throw new BadRequestError('This reset link is invalid or has expired', 'LINK_INVALID');
+  }
+
+  user.password = req.body.password;
+  // Following the emailed link proves the address works too
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  await revokeAllSessions(user._id, 'password');
+
+  res.json({ message: 'Password reset successfully' });
+}));
+
+// List the user's active sessions
+router.get('/sessions', auth, asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.json({
+    sessions: sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.equals(req.session._id)
+    }))
+  });
+}));
+
+// Revoke one of the user's sessions
+router.delete('/sessions/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid session id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null
+  });
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+  if (!session) {
+    throw new NotFoundError('Session not found');
+  }
+
+  await session.revoke('revoked');
+
+  res.json({ message: 'Session revoked successfully' });
+}));
+
+// Start 2FA enrollment: a new secret to add to an authenticator app
+router.post('/2fa/setup', auth, asyncHandler(async (req, res) => {
+  if (req.user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  const url = otpauthUrl({ secret, account: req.user.email, issuer: 'Gemini ChatBot' });
+
+  await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': secret });
+
+  res.json({
+    message: 'Scan the QR code with your authenticator app',
+    data: {
+      secret,
+      otpauthUrl: url,
+      qrCode: await QRCode.toDataURL(url)
     }
+  });
+}));
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+// Finish enrollment with a first code; returns the recovery codes once
+router.post('/2fa/enable', [
+  auth,
+  body('code').isString().trim().notEmpty().withMessage('Code is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+  if (user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw new BadRequestError('Start two-factor setup first', 'TWO_FACTOR_SETUP_REQUIRED');
+  }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error during login' });
+  const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+  if (step === null) {
+    throw new BadRequestError('Invalid authentication code', 'AUTH_INVALID_CODE');
   }
-});
 
-router.post('/logout', auth, async (req, res) => {
-  try {
-    // Invalidate the token by not returning it
-    res.json({ message: 'Logged out successfully' });
-  } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({ message: 'Server error during logout' });
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.lastUsedStep = step;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.json({
+    message: 'Two-factor authentication enabled',
+    data: { recoveryCodes }
+  });
+}));
+
+// Turn 2FA off; needs the password (if the account has one) and a current
+// or recovery code
+router.post('/2fa/disable', [
+  auth,
+  body('password').optional().isString(),
+  body('code').isString().trim().notEmpty().withMessage('Code is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+  if (!user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
   }
-});
 
+  // Accounts that only sign in through an identity provider have no
+  // password, so for them the code alone confirms it is the owner
+  if (user.password && !await user.comparePassword(req.body.password || '')) {
+    throw new BadRequestError('Incorrect password', 'AUTH_INVALID_CREDENTIALS');
+  }
 
-// Get current user
-router.get('/me', auth, async (req, res) => {
-  try {
-    res.json({
-      user: {
-        id: req.user._id,
-        username: req.user.username,
-        email: req.user.email
-      }
-    });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (!user.verifySecondFactor(req.body.code)) {
+    throw new BadRequestError('Invalid authentication code', 'AUTH_INVALID_CODE');
   }
-});
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = null;
+  user.twoFactor.secret = null;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = -1;
+  await user.save();
+
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+// Get current user
+router.get('/me', auth, asyncHandler(async (req, res) => {
+  // req.user is loaded without the password hash, which hasPassword needs
+  const user = await User.findById(req.user._id);
+
+  res.json({
+    user: user.toClientJSON(),
+    unverifiedAccess
+  });
+}));
 
 module.exports = router;
\ No newline at end of file
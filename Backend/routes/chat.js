@@ -1,232 +1,709 @@
 const express = require('express');
-const axios = require('axios');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query } = require('express-validator');
 const Chat = require('../models/Chat');
+const Conversation = require('../models/Conversation');
+const Asset = require('../models/Asset');
+const Usage = require('../models/Usage');
+const ShareLink = require('../models/ShareLink');
+const Persona = require('../models/Persona');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { errorBody, logError } = require('../middleware/errorHandler');
+const uploadAttachments = require('../middleware/upload');
+const { checkQuota } = require('../middleware/quota');
+const generationPolicy = require('../middleware/generationPolicy');
+const { getModel, listModels, defaultModelId, fallbackModelId, generateText, streamText } = require('../providers');
+const { searchTerms, buildSnippet } = require('../utils/highlight');
+const { generationValidators, outputValidators, buildGenerationConfig } = require('../utils/generation');
+const { loadTree, currentLeaf, pathTo } = require('../utils/branches');
+const imageGenerator = require('../providers/images');
+const responseCache = require('../cache');
+const { AppError, NotFoundError, toAppError, asyncHandler } = require('../utils/errors');
 
 const router = express.Router();
 
-// Gemini AI API configuration
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+// Number of earlier turns replayed to the model when continuing a conversation
+const MAX_HISTORY_TURNS = 20;
 
-// Validate API key
-if (!GEMINI_API_KEY || !GEMINI_API_KEY.startsWith('AIza')) {
-  console.error('Invalid or missing Gemini API key');
-  process.exit(1);
-}
+const promptFields = [
+  body('prompt').trim().isLength({ min: 1, max: 2000 }).withMessage('Prompt must be 1-2000 characters'),
+  body('conversationId').optional().isMongoId().withMessage('Invalid conversation id'),
+  // Regenerate or edit: the new turn becomes another version of this chat
+  body('siblingOf').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid chat id')
+    .custom((value, { req }) => Boolean(req.body.conversationId))
+    .withMessage('A conversation is required to add a version')
+];
 
-// Update the text chat route
-router.post('/text', [
+// Image generation has no cheaper model to fall back to
+const imageValidators = [auth, checkQuota({ allowDegrade: false }), ...promptFields, validate];
+
+// Text prompts may arrive as multipart form data carrying attachments
+const promptValidators = [
   auth,
-  body('prompt').trim().isLength({ min: 1, max: 2000 }).withMessage('Prompt must be 1-2000 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  checkQuota(),
+  uploadAttachments,
+  generationPolicy,
+  ...promptFields,
+  ...generationValidators(),
+  ...outputValidators,
+  body('model').optional().isString().custom((value) => Boolean(getModel(value))).withMessage('Model is not available'),
+  body('personaId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid persona id'),
+  // Ask the model even when a cached answer exists; the fresh one replaces it
+  body('bypassCache').optional().isBoolean().withMessage('bypassCache must be true or false').toBoolean(),
+  validate
+];
+
+// The requested model, unless the user's quota has degraded them
+const selectModel = (req) => {
+  if (req.quota?.degradedModel) {
+    return getModel(req.quota.degradedModel) || getModel();
+  }
+  return getModel(req.body.model);
+};
+
+// The user's chosen persona; null when none was picked, undefined when the
+// id doesn't belong to them
+const resolvePersona = async (userId, personaId) => {
+  if (!personaId) return null;
+  const persona = await Persona.findOne({ _id: personaId, user: userId });
+  return persona || undefined;
+};
+
+// The model that answered a turn, and the one asked for when a fallback
+// stood in for it
+const modelFields = (requested, answeredBy) => ({
+  model: answeredBy.id,
+  provider: answeredBy.providerName,
+  requestedModel: answeredBy.id === requested.id ? null : requested.id
+});
 
-    const { prompt } = req.body;
-
-    const payload = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 1024,
-      }
-    };
+// Persona fields recorded on each turn
+const personaFields = (persona) => ({
+  persona: persona?._id || null,
+  personaName: persona?.name || null
+});
 
-    const geminiResponse = await axios.post(GEMINI_API_URL, payload, {
-      headers: { 
-        'Content-Type': 'application/json',
-        'x-goog-api-key': GEMINI_API_KEY
-      },
-      validateStatus: function (status) {
-        return status < 500;
+// Cached answers cost no provider tokens
+const CACHED_USAGE = { promptTokens: 0, completionTokens: 0 };
+
+// Look a text turn up in the response cache. Returns the key a fresh answer
+// should be stored under (null when the turn can't be cached) and any hit.
+// Turns with files are never cached.
+const lookupCache = async (req, { model, persona, generationConfig, messages, files }) => {
+  if (!responseCache.enabled || files.length > 0) {
+    return { cacheKey: null, cached: null };
+  }
+
+  const cacheKey = responseCache.keyFor({
+    userId: req.user._id,
+    prompt: req.body.prompt,
+    model: model.id,
+    system: persona?.systemInstruction,
+    generationConfig,
+    history: messages.slice(0, -1)
+  });
+  const cached = req.body.bypassCache ? null : await responseCache.get(cacheKey);
+  return { cacheKey, cached };
+};
+
+// Provider token counts when available, otherwise a rough estimate of four
+// characters per token so aborted streams still count
+const tokenFields = (usage, messages, response) => {
+  const promptChars = messages.reduce((sum, message) => sum + message.content.length, 0);
+  const promptTokens = usage?.promptTokens ?? Math.ceil(promptChars / 4);
+  const completionTokens = usage?.completionTokens ?? Math.ceil(response.length / 4);
+
+  return { promptTokens, completionTokens, tokens: promptTokens + completionTokens };
+};
+
+// Images have no token counts, so each one is charged a fixed number of
+// completion tokens to count toward quotas like a text reply
+const IMAGE_TOKEN_COST = parseInt(process.env.IMAGE_TOKEN_COST) || 1000;
+
+const imageTokenFields = (prompt) => {
+  const promptTokens = Math.ceil(prompt.length / 4);
+  return { promptTokens, completionTokens: IMAGE_TOKEN_COST, tokens: promptTokens + IMAGE_TOKEN_COST };
+};
+
+// Load the requested conversation, or start a new one titled after the
+// prompt. A new one is left unsaved: saveTurn stores it with its first turn,
+// so a failed or abandoned reply leaves no empty conversation behind.
+const resolveConversation = async (userId, conversationId, prompt) => {
+  if (conversationId) {
+    return Conversation.findOne({ _id: conversationId, user: userId });
+  }
+
+  return new Conversation({
+    user: userId,
+    title: Conversation.titleFor(prompt)
+  });
+};
+
+// Where the new turn goes in the conversation's tree: beside `siblingOf`
+// when regenerating or editing, otherwise after the branch being shown.
+// Returns null when `siblingOf` isn't part of the conversation.
+const resolveBranch = async (conversation, siblingOf) => {
+  const tree = await loadTree(conversation._id, 'prompt response type parent attachments createdAt');
+
+  if (!siblingOf) {
+    return { tree, parent: currentLeaf(tree, conversation), sibling: null };
+  }
+
+  const sibling = tree.byId.get(String(siblingOf));
+  return sibling ? { tree, parent: tree.parentOf.get(String(siblingOf)), sibling } : null;
+};
+
+// A new version keeps the files of the one it replaces unless new ones were
+// uploaded; they are re-read in the shape multer gives uploads
+const branchFiles = async (branch, uploaded = []) => {
+  if (uploaded.length > 0 || !branch.sibling?.attachments.length) {
+    return uploaded;
+  }
+
+  const assets = await Asset.find({ _id: { $in: branch.sibling.attachments.map((attachment) => attachment.asset) } });
+  return Promise.all(assets.map(async (asset) => ({
+    originalname: asset.filename,
+    mimetype: asset.mimeType,
+    buffer: await asset.readBuffer()
+  })));
+};
+
+// The chat created just before a pre-branching chat, i.e. its implied parent
+const previousChatId = (tree, chat) => {
+  const earlier = [...tree.byId.values()].filter((other) => other.createdAt < chat.createdAt);
+  return earlier.length > 0 ? earlier[earlier.length - 1]._id : null;
+};
+
+// Ids of every version at the new chat's place in the tree, oldest first
+const versionIds = (branch, chat) => [...(branch.tree.children.get(branch.parent) || []), String(chat._id)];
+
+// Replay the text turns of the branch being continued as user/assistant pairs
+// followed by the new prompt and any files sent with it
+const buildMessages = (branch, prompt, files = []) => {
+  const previousTurns = pathTo(branch.tree, branch.parent)
+    .filter((turn) => turn.type === 'text')
+    .slice(-MAX_HISTORY_TURNS);
+
+  const messages = [];
+
+  previousTurns.forEach((turn) => {
+    messages.push({ role: 'user', content: turn.prompt });
+    messages.push({ role: 'assistant', content: turn.response });
+  });
+
+  messages.push({
+    role: 'user',
+    content: prompt,
+    attachments: files.map((file) => ({
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      data: file.buffer.toString('base64')
+    }))
+  });
+  return messages;
+};
+
+// Persist a finished turn with its uploaded files, make it the end of the
+// conversation's current branch and bump its activity timestamp. A new
+// conversation is inserted here too.
+const saveTurn = async (conversation, fields, files = []) => {
+  const assets = await Promise.all(files.map((file) => Asset.store({
+    user: fields.user,
+    kind: 'upload',
+    buffer: file.buffer,
+    mimeType: file.mimetype,
+    filename: file.originalname
+  })));
+
+  const chat = new Chat({
+    conversation: conversation._id,
+    ...fields,
+    attachments: assets.map((asset) => ({
+      asset: asset._id,
+      filename: asset.filename,
+      mimeType: asset.mimeType,
+      size: asset.size
+    }))
+  });
+  await chat.save();
+
+  if (assets.length > 0) {
+    await Asset.updateMany({ _id: { $in: assets.map((asset) => asset._id) } }, { chat: chat._id });
+  }
+
+  if (chat.tokens > 0) {
+    await Usage.record(chat.user, {
+      promptTokens: chat.promptTokens,
+      completionTokens: chat.completionTokens
+    });
+  }
+
+  conversation.lastMessageAt = chat.createdAt;
+  conversation.currentChat = chat._id;
+  await conversation.save();
+
+  return chat;
+};
+
+// Write one Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Once a stream has started its status is sent, so failures are reported as
+// an `error` event with the same body the error middleware would send
+const endWithError = (req, res, error) => {
+  sendEvent(res, 'error', errorBody(error, req));
+  res.end();
+};
+
+// List the models this deployment allows, with the generation limits and
+// response cache settings in force
+router.get('/models', [auth, generationPolicy], (req, res) => {
+  res.json({
+    message: 'Models retrieved successfully',
+    data: {
+      models: listModels(),
+      defaultModel: defaultModelId,
+      generation: req.generationPolicy,
+      fallbackModel: fallbackModelId,
+      cache: {
+        enabled: responseCache.enabled,
+        scope: responseCache.scope,
+        ttlSeconds: responseCache.ttlSeconds
       }
+    }
+  });
+});
+
+// Update the text chat route
+router.post('/text', promptValidators, asyncHandler(async (req, res) => {
+  const { prompt, conversationId, personaId, siblingOf } = req.body;
+  const model = selectModel(req);
+
+  const persona = await resolvePersona(req.user._id, personaId);
+  if (persona === undefined) {
+    throw new NotFoundError('Persona not found');
+  }
+
+  const conversation = await resolveConversation(req.user._id, conversationId, prompt);
+  if (!conversation) {
+    throw new NotFoundError('Conversation not found');
+  }
+
+  const branch = await resolveBranch(conversation, siblingOf);
+  if (!branch) {
+    throw new NotFoundError('Chat not found');
+  }
+
+  const files = await branchFiles(branch, req.files);
+  const generationConfig = buildGenerationConfig(req.generationPolicy, persona?.generationConfig, req.body);
+  const messages = buildMessages(branch, prompt, files);
+  const { cacheKey, cached } = await lookupCache(req, { model, persona, generationConfig, messages, files });
+  const { text: response, usage, model: answeredBy } = cached
+    ? { text: cached.response, usage: CACHED_USAGE, model }
+    : await generateText(model, {
+      messages,
+      system: persona?.systemInstruction,
+      generationConfig
     });
 
-    if (geminiResponse.status !== 200) {
-      console.error('Gemini API Error:', {
-        status: geminiResponse.status,
-        data: geminiResponse.data
+  // Only answers from the requested model are cached under its key
+  if (cacheKey && !cached && answeredBy.id === model.id) {
+    await responseCache.set(cacheKey, {
+      userId: req.user._id,
+      response,
+      model: model.id,
+      provider: model.providerName
+    });
+  }
+
+  const chat = await saveTurn(conversation, {
+    user: req.user._id,
+    prompt,
+    response,
+    type: 'text',
+    ...modelFields(model, answeredBy),
+    ...personaFields(persona),
+    generationConfig,
+    cached: Boolean(cached),
+    parent: branch.parent,
+    ...tokenFields(usage, messages, response)
+  }, files);
+
+  res.json({
+    message: 'Text response generated successfully',
+    data: {
+      id: chat._id,
+      conversationId: conversation._id,
+      prompt: chat.prompt,
+      response: chat.response,
+      type: chat.type,
+      attachments: chat.attachments,
+      model: chat.model,
+      requestedModel: chat.requestedModel,
+      persona: chat.persona,
+      personaName: chat.personaName,
+      generationConfig: chat.generationConfig,
+      parentId: chat.parent,
+      siblingIds: versionIds(branch, chat),
+      cached: chat.cached,
+      degraded: Boolean(req.quota.degradedModel),
+      tokens: {
+        prompt: chat.promptTokens,
+        completion: chat.completionTokens
+      },
+      createdAt: chat.createdAt
+    }
+  });
+}));
+
+// Streaming text chat route, relaying model chunks as Server-Sent Events
+router.post('/text/stream', promptValidators, asyncHandler(async (req, res) => {
+  const abortController = new AbortController();
+  let clientGone = false;
+
+  // Stop the upstream request as soon as the browser goes away
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientGone = true;
+      abortController.abort();
+    }
+  });
+
+  try {
+    const { prompt, conversationId, personaId, siblingOf } = req.body;
+    const model = selectModel(req);
+
+    const persona = await resolvePersona(req.user._id, personaId);
+    if (persona === undefined) {
+      throw new NotFoundError('Persona not found');
+    }
+
+    const conversation = await resolveConversation(req.user._id, conversationId, prompt);
+    if (!conversation) {
+      throw new NotFoundError('Conversation not found');
+    }
+
+    const branch = await resolveBranch(conversation, siblingOf);
+    if (!branch) {
+      throw new NotFoundError('Chat not found');
+    }
+
+    const files = await branchFiles(branch, req.files);
+    const generationConfig = buildGenerationConfig(req.generationPolicy, persona?.generationConfig, req.body);
+    const messages = buildMessages(branch, prompt, files);
+    const { cacheKey, cached } = await lookupCache(req, { model, persona, generationConfig, messages, files });
+
+    // A cached answer is replayed as a single chunk; otherwise this resolves
+    // once a provider has accepted the request
+    const { events, model: answeredBy } = cached
+      ? { events: [{ text: cached.response, usage: CACHED_USAGE }], model }
+      : await streamText(model, {
+        messages,
+        system: persona?.systemInstruction,
+        generationConfig,
+        signal: abortController.signal
       });
-      throw new Error(geminiResponse.data.error?.message || 'Failed to get response from Gemini');
+
+    // Known up front so a client that stops the stream, and so never sees
+    // `done`, can still find the turn that gets saved
+    const chatId = new mongoose.Types.ObjectId();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    sendEvent(res, 'start', {
+      chatId,
+      conversationId: conversation._id,
+      model: answeredBy.id,
+      requestedModel: modelFields(model, answeredBy).requestedModel,
+      personaName: persona?.name || null,
+      cached: Boolean(cached),
+      degraded: Boolean(req.quota.degradedModel)
+    });
+
+    let response = '';
+    let usage = null;
+
+    try {
+      for await (const event of events) {
+        if (event.usage) {
+          usage = event.usage;
+        }
+        if (event.text) {
+          response += event.text;
+          sendEvent(res, 'chunk', { text: event.text });
+        }
+      }
+    } catch (streamError) {
+      // A client abort surfaces here too; keep whatever text it already saw
+      if (!clientGone) {
+        const interrupted = new AppError('The response stream was interrupted', 502, 'STREAM_INTERRUPTED');
+        logError(req, streamError, interrupted);
+        return endWithError(req, res, interrupted);
+      }
     }
 
-    const response = geminiResponse.data.candidates?.[0]?.content?.parts?.[0]?.text;
     if (!response) {
-      throw new Error('Invalid response format from Gemini API');
+      if (!clientGone) {
+        endWithError(req, res, new AppError('The model returned an empty response', 502, 'EMPTY_RESPONSE'));
+      }
+      return;
+    }
+
+    // A reply cut short by the client is kept in history but never cached
+    if (cacheKey && !cached && !clientGone && answeredBy.id === model.id) {
+      await responseCache.set(cacheKey, {
+        userId: req.user._id,
+        response,
+        model: model.id,
+        provider: model.providerName
+      });
     }
 
-    const chat = new Chat({
+    const chat = await saveTurn(conversation, {
+      _id: chatId,
       user: req.user._id,
       prompt,
       response,
       type: 'text',
-      model: 'gemini-pro'
-    });
-
-    await chat.save();
-
-    res.json({
-      message: 'Text response generated successfully',
-      data: {
+      ...modelFields(model, answeredBy),
+      ...personaFields(persona),
+      generationConfig,
+      cached: Boolean(cached),
+      parent: branch.parent,
+      ...tokenFields(usage, messages, response)
+    }, files);
+
+    if (!clientGone) {
+      sendEvent(res, 'done', {
         id: chat._id,
+        conversationId: conversation._id,
         prompt: chat.prompt,
         response: chat.response,
         type: chat.type,
+        attachments: chat.attachments,
+        model: chat.model,
+        requestedModel: chat.requestedModel,
+        persona: chat.persona,
+        personaName: chat.personaName,
+        generationConfig: chat.generationConfig,
+        parentId: chat.parent,
+        siblingIds: versionIds(branch, chat),
+        cached: chat.cached,
+        tokens: {
+          prompt: chat.promptTokens,
+          completion: chat.completionTokens
+        },
         createdAt: chat.createdAt
-      }
-    });
-
+      });
+      res.end();
+    }
   } catch (error) {
-    console.error('Text chat error:', {
-      message: error.message,
-      status: error.response?.status,
-      data: error.response?.data
-    });
+    if (clientGone) return;
 
-    let statusCode = 500;
-    let errorMessage = 'Error generating text response';
-
-    if (error.response) {
-      switch (error.response.status) {
-        case 400:
-          statusCode = 400;
-          errorMessage = 'Invalid request to Gemini API';
-          break;
-        case 401:
-          statusCode = 401;
-          errorMessage = 'Invalid API key';
-          break;
-        case 429:
-          statusCode = 429;
-          errorMessage = 'Rate limit exceeded';
-          break;
-      }
-    }
+    // Before the stream starts the error middleware answers as usual
+    if (!res.headersSent) throw error;
 
-    res.status(statusCode).json({
-      message: errorMessage,
-      error: error.message
-    });
+    const appError = toAppError(error);
+    logError(req, error, appError);
+    endWithError(req, res, appError);
   }
-});
-// Image description route using Gemini
-router.post('/image', [
-  auth,
-  body('prompt').trim().isLength({ min: 1, max: 2000 }).withMessage('Prompt must be 1-2000 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+}));
 
-    const { prompt } = req.body;
+// Image generation route
+router.post('/image', imageValidators, asyncHandler(async (req, res) => {
+  const { prompt, conversationId, siblingOf } = req.body;
 
-    const imagePrompt = `Describe in vivid detail the image I want: "${prompt}". Include specifics like colors, composition, lighting, style, and atmosphere.`;
+  const conversation = await resolveConversation(req.user._id, conversationId, prompt);
+  if (!conversation) {
+    throw new NotFoundError('Conversation not found');
+  }
 
-    const payload = {
-      contents: [{ parts: [{ text: imagePrompt }] }]
-    };
+  const branch = await resolveBranch(conversation, siblingOf);
+  if (!branch) {
+    throw new NotFoundError('Chat not found');
+  }
 
-    const geminiResponse = await axios.post(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, payload, {
-      headers: { 'Content-Type': 'application/json' }
-    });
+  const image = await imageGenerator.generate({ prompt });
+
+  const asset = await Asset.store({
+    user: req.user._id,
+    kind: 'generated',
+    buffer: image.buffer,
+    mimeType: image.mimeType,
+    filename: `image-${Date.now()}`,
+    prompt,
+    model: imageGenerator.model
+  });
+
+  const chat = await saveTurn(conversation, {
+    user: req.user._id,
+    prompt,
+    response: image.caption || `Generated image for "${prompt}"`,
+    type: 'image',
+    imageUrl: `/api/assets/${asset._id}`,
+    model: imageGenerator.model,
+    provider: imageGenerator.name,
+    parent: branch.parent,
+    ...imageTokenFields(prompt)
+  });
+
+  asset.chat = chat._id;
+  await asset.save();
+
+  res.json({
+    message: 'Image generated successfully',
+    data: {
+      id: chat._id,
+      conversationId: conversation._id,
+      prompt: chat.prompt,
+      response: chat.response,
+      type: chat.type,
+      imageUrl: chat.imageUrl,
+      model: chat.model,
+      parentId: chat.parent,
+      siblingIds: versionIds(branch, chat),
+      createdAt: chat.createdAt
+    }
+  });
+}));
 
-    const response = geminiResponse.data.candidates[0]?.content?.parts[0]?.text || 'No response from Gemini';
-    const imageUrl = `https://picsum.photos/512/512?random=${Date.now()}`;
+// Search prompts and responses, with optional type, model and date filters
+router.get('/search', [
+  auth,
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be 1-200 characters'),
+  query('type').optional().isIn(['text', 'image']).withMessage('Type must be text or image'),
+  query('model').optional().isString().trim(),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { q, type, model, from, to } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  const skip = (page - 1) * limit;
+
+  const filter = {
+    user: req.user._id,
+    $text: { $search: q }
+  };
+  if (type) filter.type = type;
+  if (model) filter.model = model;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    // A bare date for "to" includes that whole day
+    if (to) filter.createdAt.$lte = /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(`${to}T23:59:59.999Z`) : new Date(to);
+  }
 
-    const chat = new Chat({
-      user: req.user._id,
-      prompt,
-      response,
-      type: 'image',
-      imageUrl,
-      model: 'gemini-pro'
-    });
+  const chats = await Chat.find(filter, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select('conversation prompt response type model createdAt');
 
-    await chat.save();
+  const total = await Chat.countDocuments(filter);
+  const terms = searchTerms(q);
 
-    res.json({
-      message: 'Image description generated successfully',
-      data: {
+  res.json({
+    message: 'Search completed successfully',
+    data: {
+      results: chats.map((chat) => ({
         id: chat._id,
-        prompt: chat.prompt,
-        response: chat.response,
+        conversationId: chat.conversation,
         type: chat.type,
-        imageUrl: chat.imageUrl,
-        createdAt: chat.createdAt
+        model: chat.model,
+        createdAt: chat.createdAt,
+        score: chat.get('score'),
+        // Stemmed matches may not appear verbatim, so fall back to the prompt
+        promptSnippet: buildSnippet(chat.prompt, terms) || [{ text: chat.prompt.substring(0, 160), match: false }],
+        responseSnippet: buildSnippet(chat.response, terms)
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        limit,
+        count: total
       }
-    });
-  } catch (error) {
-    console.error('Image generation error:', error.message);
-    res.status(500).json({
-      message: 'Error generating image description',
-      error: error.message
-    });
-  }
-});
+    }
+  });
+}));
 
 // Get chat history
-router.get('/history', auth, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    const chats = await Chat.find({ user: req.user._id })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('-user');
-
-    const total = await Chat.countDocuments({ user: req.user._id });
-
-    res.json({
-      message: 'Chat history retrieved successfully',
-      data: {
-        chats,
-        pagination: {
-          current: page,
-          total: Math.ceil(total / limit),
-          limit,
-          count: total
-        }
+router.get('/history', auth, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const chats = await Chat.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select('-user');
+
+  const total = await Chat.countDocuments({ user: req.user._id });
+
+  res.json({
+    message: 'Chat history retrieved successfully',
+    data: {
+      chats,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        limit,
+        count: total
       }
-    });
-  } catch (error) {
-    console.error('Get history error:', error.message);
-    res.status(500).json({ message: 'Error retrieving chat history' });
+    }
+  });
+}));
+
+// Get a single chat
+router.get('/:id', auth, asyncHandler(async (req, res) => {
+  const chat = await Chat.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  }).select('-user');
+
+  if (!chat) {
+    throw new NotFoundError('Chat not found');
   }
-});
+
+  res.json({
+    message: 'Chat retrieved successfully',
+    data: { chat }
+  });
+}));
 
 // Delete chat
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const chat = await Chat.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user._id
-    });
+router.delete('/:id', auth, asyncHandler(async (req, res) => {
+  const chat = await Chat.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!chat) {
+    throw new NotFoundError('Chat not found');
+  }
 
-    if (!chat) {
-      return res.status(404).json({ message: 'Chat not found' });
-    }
+  await Asset.purge({ chat: chat._id });
+  await ShareLink.deleteMany({ chat: chat._id });
 
-    res.json({ message: 'Chat deleted successfully' });
-  } catch (error) {
-    console.error('Delete chat error:', error.message);
-    res.status(500).json({ message: 'Error deleting chat' });
+  // Later turns move up to the deleted chat's parent so branches stay whole
+  if (chat.conversation) {
+    const tree = await loadTree(chat.conversation, 'parent createdAt');
+    const parent = chat.parent === undefined ? previousChatId(tree, chat) : chat.parent;
+
+    await Chat.updateMany({ conversation: chat.conversation, parent: chat._id }, { parent });
+    await Conversation.updateOne({ _id: chat.conversation, currentChat: chat._id }, { currentChat: parent });
   }
-});
+
+  res.json({ message: 'Chat deleted successfully' });
+}));
 
 module.exports = router;
\ No newline at end of file
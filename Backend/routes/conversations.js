@@ -0,0 +1,152 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Chat = require('../models/Chat');
+const Conversation = require('../models/Conversation');
+const Asset = require('../models/Asset');
+const ShareLink = require('../models/ShareLink');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { NotFoundError, asyncHandler } = require('../utils/errors');
+const { loadTree, latestLeaf, activeBranch } = require('../utils/branches');
+
+const router = express.Router();
+
+// List conversations, most recently active first
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const conversations = await Conversation.find({ user: req.user._id })
+    .sort({ lastMessageAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select('-user');
+
+  const total = await Conversation.countDocuments({ user: req.user._id });
+
+  res.json({
+    message: 'Conversations retrieved successfully',
+    data: {
+      conversations,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        limit,
+        count: total
+      }
+    }
+  });
+}));
+
+// Get a conversation with the turns of the branch being shown, each listing
+// the ids of its alternative versions
+router.get('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid conversation id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  }).select('-user');
+
+  if (!conversation) {
+    throw new NotFoundError('Conversation not found');
+  }
+
+  const { currentChatId, chats } = await activeBranch(conversation);
+
+  res.json({
+    message: 'Conversation retrieved successfully',
+    data: {
+      conversation,
+      currentChatId,
+      chats
+    }
+  });
+}));
+
+// Rename a conversation
+router.patch('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid conversation id'),
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+  validate
+], asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    { title: req.body.title },
+    { new: true }
+  ).select('-user');
+
+  if (!conversation) {
+    throw new NotFoundError('Conversation not found');
+  }
+
+  res.json({
+    message: 'Conversation updated successfully',
+    data: { conversation }
+  });
+}));
+
+// Show the branch through a given chat, continuing down its newest versions
+router.patch('/:id/branch', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid conversation id'),
+  body('chatId').isMongoId().withMessage('Invalid chat id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  }).select('-user');
+
+  if (!conversation) {
+    throw new NotFoundError('Conversation not found');
+  }
+
+  const tree = await loadTree(conversation._id, 'parent createdAt');
+  if (!tree.byId.has(req.body.chatId)) {
+    throw new NotFoundError('Chat not found');
+  }
+
+  conversation.currentChat = latestLeaf(tree, req.body.chatId);
+  await conversation.save();
+
+  const { currentChatId, chats } = await activeBranch(conversation);
+
+  res.json({
+    message: 'Branch selected successfully',
+    data: {
+      conversation,
+      currentChatId,
+      chats
+    }
+  });
+}));
+
+// Delete a conversation and all of its turns
+router.delete('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid conversation id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!conversation) {
+    throw new NotFoundError('Conversation not found');
+  }
+
+  const chatIds = await Chat.find({ conversation: conversation._id, user: req.user._id }).distinct('_id');
+  await Asset.purge({ chat: { $in: chatIds } });
+  await Chat.deleteMany({ _id: { $in: chatIds } });
+  await ShareLink.deleteMany({ $or: [{ conversation: conversation._id }, { chat: { $in: chatIds } }] });
+
+  res.json({ message: 'Conversation deleted successfully' });
+}));
+
+module.exports = router;
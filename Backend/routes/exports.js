@@ -0,0 +1,292 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query } = require('express-validator');
+const Chat = require('../models/Chat');
+const Conversation = require('../models/Conversation');
+const Asset = require('../models/Asset');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { NotFoundError, asyncHandler } = require('../utils/errors');
+const { apiUrl } = require('../utils/urls');
+const { matchesType } = require('../utils/fileTypes');
+const {
+  EXPORT_SCHEMA,
+  EXPORT_VERSION,
+  assetIdFromUrl,
+  buildExport,
+  exportedAssetIds,
+  toMarkdown,
+  writePdf
+} = require('../utils/exporters');
+
+const router = express.Router();
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+// Import limits; prompts match what the chat route accepts
+const MAX_IMPORT_CONVERSATIONS = 1000;
+const MAX_IMPORT_CHATS = 5000;
+const MAX_PROMPT_LENGTH = 2000;
+const MAX_RESPONSE_LENGTH = 100000;
+const MAX_IMPORT_ATTACHMENTS = 4;
+
+// Stored files an import may bring along: what uploads and the image
+// generators produce
+const IMPORTABLE_ASSET_TYPES = [
+  'image/png', 'image/jpeg', 'image/webp', 'image/svg+xml',
+  'application/pdf', 'text/plain', 'text/markdown', 'text/csv'
+];
+
+// Resolves the assets imported chats refer to. A reference to one of the
+// user's own assets is kept; a file carried in the export is stored again for
+// the user, once; anything else is dropped, as it would point at another
+// account's file or at nothing.
+const assetImporter = (userId, exportedAssets = []) => {
+  const files = new Map(exportedAssets.map((asset) => [asset.id, asset]));
+  const resolved = new Map();
+
+  const restore = async (assetId, chatId) => {
+    if (await Asset.exists({ _id: assetId, user: userId })) {
+      return assetId;
+    }
+
+    const file = files.get(assetId);
+    if (!file) return null;
+
+    const asset = await Asset.store({
+      user: userId,
+      chat: chatId,
+      kind: file.kind === 'generated' ? 'generated' : 'upload',
+      buffer: Buffer.from(file.data, 'base64'),
+      mimeType: file.mimeType,
+      filename: file.filename || null
+    });
+    return asset._id;
+  };
+
+  return (assetId, chatId) => {
+    if (!assetId || !mongoose.isValidObjectId(assetId)) return null;
+
+    const key = String(assetId);
+    if (!resolved.has(key)) {
+      resolved.set(key, restore(key, chatId));
+    }
+    return resolved.get(key);
+  };
+};
+
+// An imported image URL: stored images go through the asset importer and
+// external links are kept as they are
+const importImageUrl = async (url, importAsset) => {
+  const assetId = assetIdFromUrl(url);
+  if (assetId) {
+    const importedId = await importAsset(assetId);
+    return importedId ? `/api/assets/${importedId}` : null;
+  }
+  return typeof url === 'string' && /^https?:\/\//.test(url) ? url : null;
+};
+
+// Key used to spot chats that already exist when importing
+const chatKey = (chat) => `${new Date(chat.createdAt).toISOString()}\u0000${chat.prompt}\u0000${chat.response}`;
+
+const isImportableChat = (chat) => chat
+  && typeof chat.prompt === 'string' && chat.prompt.trim()
+  && typeof chat.response === 'string' && chat.response
+  && ['text', 'image'].includes(chat.type || 'text')
+  && !Number.isNaN(new Date(chat.createdAt).getTime());
+
+// Export one conversation (?conversationId=) or the whole history
+router.get('/', [
+  auth,
+  query('format').isIn(Object.keys(EXPORT_FORMATS)).withMessage('Format must be markdown, json or pdf'),
+  query('conversationId').optional().isMongoId().withMessage('Invalid conversation id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { format, conversationId } = req.query;
+  const chatFilter = { user: req.user._id };
+  let conversations;
+
+  if (conversationId) {
+    const conversation = await Conversation.findOne({ _id: conversationId, user: req.user._id });
+    if (!conversation) {
+      throw new NotFoundError('Conversation not found');
+    }
+    conversations = [conversation];
+    chatFilter.conversation = conversation._id;
+  } else {
+    conversations = await Conversation.find({ user: req.user._id }).sort({ createdAt: 1 });
+  }
+
+  const chats = await Chat.find(chatFilter).sort({ createdAt: 1 });
+  const data = buildExport({ conversations, chats });
+
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const filename = `chat-export-${data.exportedAt.substring(0, 10)}.${extension}`;
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+
+  if (format === 'pdf') {
+    return writePdf(data, res, { apiBase: apiUrl(req, '') });
+  }
+  if (format === 'markdown') {
+    return res.send(toMarkdown(data, { apiBase: apiUrl(req, '') }));
+  }
+
+  // JSON exports carry the stored files so an import elsewhere keeps them
+  const assets = await Asset.find({ _id: { $in: exportedAssetIds(data) }, user: req.user._id });
+  data.assets = await Promise.all(assets.map(async (asset) => ({
+    id: asset._id,
+    kind: asset.kind,
+    filename: asset.filename,
+    mimeType: asset.mimeType,
+    data: (await asset.readBuffer()).toString('base64')
+  })));
+
+  res.send(JSON.stringify(data, null, 2));
+}));
+
+// Restore a JSON export, skipping chats that are already present. Version 1
+// files are linear; later ones carry each chat's parent, and version 3 the
+// stored files the chats use.
+router.post('/import', [
+  auth,
+  body('schema').equals(EXPORT_SCHEMA).withMessage('Not a chat export file'),
+  body('version').isInt({ min: 1, max: EXPORT_VERSION }).withMessage(`Unsupported export version, expected ${EXPORT_VERSION} or lower`),
+  body('conversations')
+    .isArray({ max: MAX_IMPORT_CONVERSATIONS }).withMessage(`Export must have at most ${MAX_IMPORT_CONVERSATIONS} conversations`).bail()
+    .custom((conversations) => conversations.reduce((count, group) => count + (group?.chats?.length || 0), 0) <= MAX_IMPORT_CHATS)
+    .withMessage(`Export must have at most ${MAX_IMPORT_CHATS} chats`),
+  body('conversations.*').isObject().withMessage('Invalid conversation'),
+  body('conversations.*.title').optional({ nullable: true }).isString().withMessage('Conversation title must be text'),
+  body('conversations.*.chats').optional().isArray().withMessage('Conversation chats must be a list'),
+  body('conversations.*.chats.*').isObject().withMessage('Invalid chat'),
+  body('conversations.*.chats.*.prompt').optional({ nullable: true }).isString().isLength({ max: MAX_PROMPT_LENGTH })
+    .withMessage(`Prompts must be text of at most ${MAX_PROMPT_LENGTH} characters`),
+  body('conversations.*.chats.*.response').optional({ nullable: true }).isString().isLength({ max: MAX_RESPONSE_LENGTH })
+    .withMessage(`Responses must be text of at most ${MAX_RESPONSE_LENGTH} characters`),
+  body('conversations.*.chats.*.model').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('conversations.*.chats.*.provider').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('conversations.*.chats.*.imageUrl').optional({ nullable: true }).isString().isLength({ max: 2048 }),
+  body('conversations.*.chats.*.tokens').optional({ nullable: true }).isObject().withMessage('Token counts must be an object'),
+  body('conversations.*.chats.*.tokens.prompt').optional().isInt({ min: 0 }).withMessage('Token counts must be whole numbers').toInt(),
+  body('conversations.*.chats.*.tokens.completion').optional().isInt({ min: 0 }).withMessage('Token counts must be whole numbers').toInt(),
+  body('conversations.*.chats.*.attachments').optional({ nullable: true }).isArray({ max: MAX_IMPORT_ATTACHMENTS })
+    .withMessage(`Chats have at most ${MAX_IMPORT_ATTACHMENTS} attachments`),
+  body('conversations.*.chats.*.attachments.*').isObject().withMessage('Invalid attachment'),
+  body('conversations.*.chats.*.attachments.*.assetId').optional({ nullable: true }).isMongoId().withMessage('Invalid asset id'),
+  body('conversations.*.chats.*.attachments.*.filename').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('conversations.*.chats.*.attachments.*.mimeType').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('conversations.*.chats.*.attachments.*.size').optional({ nullable: true }).isInt({ min: 0 }),
+  body('assets').optional().isArray().withMessage('Assets must be a list'),
+  body('assets.*.id').isMongoId().withMessage('Invalid asset id'),
+  body('assets.*.mimeType').isIn(IMPORTABLE_ASSET_TYPES).withMessage('Unsupported asset type'),
+  body('assets.*.filename').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('assets.*.data').isBase64().withMessage('Asset data must be base64'),
+  body('assets.*').custom(({ data, mimeType }) => typeof data !== 'string' || matchesType(Buffer.from(data, 'base64'), mimeType))
+    .withMessage('Asset data does not match its type'),
+  validate
+], asyncHandler(async (req, res) => {
+  const existing = await Chat.find({ user: req.user._id }).select('prompt response createdAt');
+  const storedIds = new Map(existing.map((chat) => [chatKey(chat), chat._id]));
+  const importAsset = assetImporter(req.user._id, req.body.assets);
+
+  let imported = 0;
+  let skipped = 0;
+  let conversationsCreated = 0;
+
+  for (const group of req.body.conversations) {
+    // Exported ids mapped to stored ones, so versions keep their parents
+    const ids = new Map();
+    const chats = [];
+    let previousId = null;
+
+    (Array.isArray(group?.chats) ? group.chats : []).forEach((chat) => {
+      if (!isImportableChat(chat)) {
+        skipped++;
+        return;
+      }
+
+      const key = chatKey(chat);
+      if (storedIds.has(key)) {
+        skipped++;
+        ids.set(String(chat.id), storedIds.get(key));
+        previousId = storedIds.get(key);
+        return;
+      }
+
+      const _id = new mongoose.Types.ObjectId();
+      const parent = req.body.version >= 2
+        ? (chat.parentId && ids.get(String(chat.parentId))) || null
+        : previousId;
+
+      storedIds.set(key, _id);
+      ids.set(String(chat.id), _id);
+      previousId = _id;
+      chats.push({ ...chat, _id, parent });
+    });
+
+    if (chats.length === 0) continue;
+
+    const title = typeof group.title === 'string' && group.title.trim()
+      ? group.title.trim().substring(0, 100)
+      : 'Imported conversation';
+    const createdAt = new Date(group.createdAt || chats[0].createdAt);
+
+    // Reuse the conversation from an earlier import of the same file
+    let conversation = await Conversation.findOne({ user: req.user._id, title, createdAt });
+    if (!conversation) {
+      conversation = new Conversation({ user: req.user._id, title, createdAt });
+      conversationsCreated++;
+    }
+
+    await Chat.insertMany(await Promise.all(chats.map(async (chat) => ({
+      _id: chat._id,
+      parent: chat.parent,
+      user: req.user._id,
+      conversation: conversation._id,
+      prompt: chat.prompt,
+      response: chat.response,
+      type: chat.type || 'text',
+      imageUrl: await importImageUrl(chat.imageUrl, (assetId) => importAsset(assetId, chat._id)),
+      attachments: await Promise.all((chat.attachments || []).map(async ({ assetId, filename, mimeType, size }) => ({
+        asset: await importAsset(assetId, chat._id),
+        filename,
+        mimeType,
+        size
+      }))),
+      model: chat.model || null,
+      provider: chat.provider || null,
+      promptTokens: chat.tokens?.prompt || 0,
+      completionTokens: chat.tokens?.completion || 0,
+      tokens: (chat.tokens?.prompt || 0) + (chat.tokens?.completion || 0),
+      createdAt: new Date(chat.createdAt)
+    }))));
+
+    const lastChatAt = new Date(Math.max(...chats.map((chat) => new Date(chat.createdAt).getTime())));
+    if (conversation.isNew || lastChatAt > conversation.lastMessageAt) {
+      conversation.lastMessageAt = lastChatAt;
+    }
+    conversation.currentChat = ids.get(String(group.currentChatId)) || previousId;
+    await conversation.save();
+
+    imported += chats.length;
+  }
+
+  res.json({
+    message: 'Chat history imported successfully',
+    data: {
+      imported,
+      skipped,
+      conversationsCreated
+    }
+  });
+}));
+
+module.exports = router;
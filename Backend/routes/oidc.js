@@ -0,0 +1,232 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const OidcState = require('../models/OidcState');
+const validate = require('../middleware/validate');
+const { BadRequestError, asyncHandler } = require('../utils/errors');
+const { clientUrl, apiUrl } = require('../utils/urls');
+const { createSession, signTwoFactorChallenge } = require('../utils/tokens');
+const {
+  getProvider,
+  listProviders,
+  createLoginParams,
+  stateBinding,
+  stateMatchesBinding,
+  authorizationUrl,
+  exchangeCode,
+  verifyIdToken
+} = require('../utils/oidc');
+
+const router = express.Router();
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+const STATE_COOKIE = 'oidc_state';
+
+// Errors whose message is safe to show on the client's callback page
+class SignInError extends Error {}
+
+const redirectUri = (req, provider) => apiUrl(req, `/api/auth/oidc/${provider.id}/callback`);
+
+// The state cookie only travels to these routes. SameSite=Lax still sends
+// it on the provider's top-level redirect to the callback.
+const stateCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: apiUrl(req, '').startsWith('https:'),
+  path: '/api/auth/oidc'
+});
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '').split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.substring(name.length + 1)) : null;
+};
+
+// Send the browser back to the client app with a one-time login code or an
+// error message
+const redirectToClient = (res, params) => {
+  res.redirect(clientUrl(`/oauth/callback?${new URLSearchParams(params)}`));
+};
+
+// A username derived from the identity, made unique with a random suffix
+const uniqueUsername = async (claims) => {
+  const base = (claims.preferred_username || claims.email.split('@')[0])
+    .replace(/[^a-zA-Z0-9_.-]/g, '')
+    .substring(0, 24)
+    .padEnd(3, '_');
+
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}-${crypto.randomBytes(2).toString('hex')}`;
+  }
+  return username;
+};
+
+// Find the user for an external identity: an already linked account, else
+// an account with the same verified email (which gets linked), else a new
+// passwordless account
+const findOrCreateUser = async (provider, claims) => {
+  const linked = await User.findOne({
+    identities: { $elemMatch: { provider: provider.id, subject: claims.sub } }
+  });
+  if (linked) {
+    return linked;
+  }
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  if (!claims.email || !emailVerified) {
+    throw new SignInError(`Your ${provider.name} account has no verified email address`);
+  }
+
+  const email = claims.email.toLowerCase();
+  const identity = { provider: provider.id, subject: claims.sub, email };
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    existing.identities.push(identity);
+    // The provider has confirmed the address for us
+    if (!existing.emailVerified) {
+      existing.emailVerified = true;
+      existing.emailVerifiedAt = new Date();
+    }
+    await existing.save();
+    return existing;
+  }
+
+  const user = new User({
+    username: await uniqueUsername({ ...claims, email }),
+    email,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    identities: [identity]
+  });
+  await user.save();
+  return user;
+};
+
+// Identity providers configured on this server, for the sign-in buttons
+router.get('/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// Begin an authorization code + PKCE sign-in
+router.get('/:provider/start', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return redirectToClient(res, { error: 'Unknown sign-in provider' });
+  }
+
+  try {
+    const { state, nonce, codeVerifier, codeChallenge } = createLoginParams();
+
+    await OidcState.create({
+      state,
+      provider: provider.id,
+      codeVerifier,
+      nonce,
+      expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS)
+    });
+
+    res.cookie(STATE_COOKIE, stateBinding(state), { ...stateCookieOptions(req), maxAge: LOGIN_STATE_TTL_MS });
+    res.redirect(await authorizationUrl(provider, {
+      redirectUri: redirectUri(req, provider),
+      state,
+      nonce,
+      codeChallenge
+    }));
+  } catch (error) {
+    console.error('OIDC start error:', error.message);
+    redirectToClient(res, { error: `Could not reach ${provider.name}` });
+  }
+});
+
+// The provider redirects here with a code. Tokens never go in a URL: the
+// client gets a short-lived one-time code to trade at POST /exchange.
+router.get('/:provider/callback', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return redirectToClient(res, { error: 'Unknown sign-in provider' });
+  }
+
+  // The cookie is single use, whatever the outcome
+  const binding = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+
+  try {
+    if (req.query.error) {
+      throw new SignInError(req.query.error === 'access_denied'
+        ? 'Sign-in was cancelled'
+        : `${provider.name} sign-in failed`);
+    }
+
+    // Only the browser that started this login may finish it
+    if (!stateMatchesBinding(req.query.state, binding)) {
+      throw new SignInError('Sign-in expired, please try again');
+    }
+
+    const loginState = await OidcState.findOneAndDelete({
+      state: String(req.query.state || ''),
+      provider: provider.id,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!loginState || !req.query.code) {
+      throw new SignInError('Sign-in expired, please try again');
+    }
+
+    const tokens = await exchangeCode(provider, {
+      code: String(req.query.code),
+      codeVerifier: loginState.codeVerifier,
+      redirectUri: redirectUri(req, provider)
+    });
+    const claims = await verifyIdToken(provider, tokens.id_token, loginState.nonce);
+
+    const user = await findOrCreateUser(provider, claims);
+    if (!user.isActive) {
+      throw new SignInError('This account has been deactivated');
+    }
+
+    const code = await UserToken.issue(user._id, 'oidc_login', LOGIN_CODE_TTL_MS);
+    redirectToClient(res, { code });
+  } catch (error) {
+    console.error('OIDC callback error:', error.message);
+    redirectToClient(res, {
+      error: error instanceof SignInError ? error.message : `${provider.name} sign-in failed`
+    });
+  }
+});
+
+// Trade the one-time code from the callback for a session, or for a 2FA
+// challenge when the account has it enabled
+router.post('/exchange', [
+  body('code').isString().notEmpty().withMessage('Code is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const loginToken = await UserToken.consume(req.body.code, 'oidc_login');
+  const user = loginToken && await User.findById(loginToken.user);
+  if (!user || !user.isActive) {
+    throw new BadRequestError('Sign-in expired, please try again', 'AUTH_LOGIN_EXPIRED');
+  }
+
+  if (user.twoFactor.enabled) {
+    return res.json({
+      message: 'Two-factor code required',
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user._id)
+    });
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: user.toClientJSON()
+  });
+}));
+
+module.exports = router;
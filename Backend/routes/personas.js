@@ -0,0 +1,149 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Persona = require('../models/Persona');
+const auth = require('../middleware/auth');
+const generationPolicy = require('../middleware/generationPolicy');
+const validate = require('../middleware/validate');
+const { BadRequestError, ConflictError, NotFoundError, duplicateKeyField, asyncHandler } = require('../utils/errors');
+const { GENERATION_FIELDS, generationValidators } = require('../utils/generation');
+
+const router = express.Router();
+
+// Each user keeps a short list of personas
+const MAX_PERSONAS = 20;
+
+const serializePersona = (persona) => ({
+  id: persona._id,
+  name: persona.name,
+  systemInstruction: persona.systemInstruction,
+  generationConfig: GENERATION_FIELDS.reduce((config, field) => {
+    config[field] = persona.generationConfig?.[field] ?? null;
+    return config;
+  }, {}),
+  createdAt: persona.createdAt,
+  updatedAt: persona.updatedAt
+});
+
+const personaFields = (optional) => [
+  optional
+    ? body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters')
+    : body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('systemInstruction').optional().isString().isLength({ max: 4000 })
+    .withMessage('System instructions must be at most 4000 characters'),
+  body('generationConfig').optional({ nullable: true }).isObject().withMessage('Invalid generation settings'),
+  ...generationValidators('generationConfig.')
+];
+
+// Check a name isn't already used by another of the user's personas
+const nameTaken = (userId, name, exceptId = null) => Persona.exists({
+  user: userId,
+  name,
+  ...(exceptId && { _id: { $ne: exceptId } })
+});
+
+const personaExists = () => new ConflictError('A persona with this name already exists', 'PERSONA_EXISTS');
+
+// Save, reporting a name another request took since nameTaken as a conflict
+// too; the unique index on user and name catches it
+const savePersona = async (persona) => {
+  try {
+    await persona.save();
+  } catch (error) {
+    throw duplicateKeyField(error) === null ? error : personaExists();
+  }
+};
+
+// List the user's personas
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const personas = await Persona.find({ user: req.user._id }).sort({ name: 1 });
+
+  res.json({
+    message: 'Personas retrieved successfully',
+    data: { personas: personas.map(serializePersona) }
+  });
+}));
+
+// Create a persona
+router.post('/', [auth, generationPolicy, ...personaFields(false), validate], asyncHandler(async (req, res) => {
+  const { name, systemInstruction, generationConfig } = req.body;
+
+  if (await Persona.countDocuments({ user: req.user._id }) >= MAX_PERSONAS) {
+    throw new BadRequestError(`You can keep up to ${MAX_PERSONAS} personas`, 'PERSONA_LIMIT_REACHED');
+  }
+
+  if (await nameTaken(req.user._id, name)) {
+    throw personaExists();
+  }
+
+  const persona = new Persona({
+    user: req.user._id,
+    name,
+    systemInstruction: systemInstruction || '',
+    generationConfig: generationConfig || {}
+  });
+  await savePersona(persona);
+
+  res.status(201).json({
+    message: 'Persona created successfully',
+    data: { persona: serializePersona(persona) }
+  });
+}));
+
+// Update a persona's name, instructions or settings
+router.patch('/:id', [
+  auth,
+  generationPolicy,
+  param('id').isMongoId().withMessage('Invalid persona id'),
+  ...personaFields(true),
+  validate
+], asyncHandler(async (req, res) => {
+  const persona = await Persona.findOne({ _id: req.params.id, user: req.user._id });
+  if (!persona) {
+    throw new NotFoundError('Persona not found');
+  }
+
+  const { name, systemInstruction, generationConfig } = req.body;
+
+  if (name !== undefined && name !== persona.name) {
+    if (await nameTaken(req.user._id, name, persona._id)) {
+      throw personaExists();
+    }
+    persona.name = name;
+  }
+
+  if (systemInstruction !== undefined) {
+    persona.systemInstruction = systemInstruction;
+  }
+
+  // Only the settings present in the request change; null clears one
+  if (generationConfig) {
+    GENERATION_FIELDS.forEach((field) => {
+      if (generationConfig[field] !== undefined) {
+        persona.generationConfig[field] = generationConfig[field];
+      }
+    });
+  }
+
+  await savePersona(persona);
+
+  res.json({
+    message: 'Persona updated successfully',
+    data: { persona: serializePersona(persona) }
+  });
+}));
+
+// Delete a persona; past chats keep the recorded name
+router.delete('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid persona id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const persona = await Persona.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+  if (!persona) {
+    throw new NotFoundError('Persona not found');
+  }
+
+  res.json({ message: 'Persona deleted successfully' });
+}));
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, param, query } = require('express-validator');
+const Chat = require('../models/Chat');
+const Conversation = require('../models/Conversation');
+const Asset = require('../models/Asset');
+const ShareLink = require('../models/ShareLink');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { NotFoundError, asyncHandler } = require('../utils/errors');
+const { loadTree, currentLeaf, pathTo } = require('../utils/branches');
+
+const router = express.Router();
+
+const serializeShare = (share) => ({
+  id: share._id,
+  token: share.token,
+  conversationId: share.conversation,
+  chatId: share.chat,
+  expiresAt: share.expiresAt,
+  views: share.views,
+  createdAt: share.createdAt
+});
+
+// Find an active share by its public token. Links of deactivated owners and
+// of accounts waiting out their deletion grace period count as gone.
+const findActiveShare = async (token) => {
+  const share = await ShareLink.findOne({ token });
+  if (!share || !share.isActive()) return null;
+
+  const ownerActive = await User.exists({ _id: share.user, isActive: true, deletionScheduledAt: null });
+  return ownerActive ? share : null;
+};
+
+// Chats visible through a share: the single chat, or the branch of the
+// conversation its owner is currently showing
+const sharedChats = async (share) => {
+  if (share.chat) {
+    return Chat.find({ _id: share.chat, user: share.user });
+  }
+
+  const conversation = await Conversation.findOne({ _id: share.conversation, user: share.user }).select('currentChat');
+  if (!conversation) return [];
+
+  const tree = await loadTree(conversation._id);
+  return pathTo(tree, currentLeaf(tree, conversation));
+};
+
+// Point stored assets at the public asset route for this share
+const publicAssetUrl = (token, url) => (url && url.startsWith('/api/assets/')
+  ? `/api/shares/public/${token}/assets/${url.substring('/api/assets/'.length)}`
+  : url);
+
+// Create a share link for a conversation or a single chat
+router.post('/', [
+  auth,
+  body('conversationId').optional().isMongoId().withMessage('Invalid conversation id'),
+  body('chatId').optional().isMongoId().withMessage('Invalid chat id'),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('Expiry must be 1-365 days'),
+  body().custom((value) => Boolean(value.conversationId) !== Boolean(value.chatId))
+    .withMessage('Provide either a conversation or a chat to share'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { conversationId, chatId, expiresInDays } = req.body;
+
+  const target = conversationId
+    ? await Conversation.exists({ _id: conversationId, user: req.user._id })
+    : await Chat.exists({ _id: chatId, user: req.user._id });
+
+  if (!target) {
+    throw new NotFoundError(conversationId ? 'Conversation not found' : 'Chat not found');
+  }
+
+  const share = new ShareLink({
+    user: req.user._id,
+    token: crypto.randomBytes(24).toString('base64url'),
+    conversation: conversationId || null,
+    chat: chatId || null,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+  });
+
+  await share.save();
+
+  res.status(201).json({
+    message: 'Share link created successfully',
+    data: { share: serializeShare(share) }
+  });
+}));
+
+// List the user's active share links, optionally for one conversation
+router.get('/', [
+  auth,
+  query('conversationId').optional().isMongoId().withMessage('Invalid conversation id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const filter = {
+    user: req.user._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+  if (req.query.conversationId) {
+    filter.conversation = req.query.conversationId;
+  }
+
+  const shares = await ShareLink.find(filter).sort({ createdAt: -1 });
+
+  res.json({
+    message: 'Share links retrieved successfully',
+    data: { shares: shares.map(serializeShare) }
+  });
+}));
+
+// Revoke a share link
+router.delete('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid share id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const share = await ShareLink.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (!share) {
+    throw new NotFoundError('Share link not found');
+  }
+
+  res.json({ message: 'Share link revoked successfully' });
+}));
+
+// Public read-only view; the author's identity is never included
+router.get('/public/:token', asyncHandler(async (req, res) => {
+  const share = await findActiveShare(req.params.token);
+  if (!share) {
+    throw new NotFoundError('This link is invalid or has expired');
+  }
+
+  const chats = await sharedChats(share);
+  const conversation = share.conversation
+    ? await Conversation.findById(share.conversation).select('title')
+    : null;
+
+  await ShareLink.updateOne({ _id: share._id }, { $inc: { views: 1 } });
+
+  res.json({
+    message: 'Shared conversation retrieved successfully',
+    data: {
+      title: conversation?.title || chats[0]?.prompt.substring(0, 60) || 'Shared chat',
+      sharedAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      chats: chats.map((chat) => ({
+        id: chat._id,
+        prompt: chat.prompt,
+        response: chat.response,
+        type: chat.type,
+        model: chat.model,
+        imageUrl: publicAssetUrl(share.token, chat.imageUrl),
+        attachments: (chat.attachments || []).map((attachment) => ({
+          filename: attachment.filename,
+          mimeType: attachment.mimeType,
+          url: attachment.asset ? publicAssetUrl(share.token, `/api/assets/${attachment.asset}`) : null
+        })),
+        createdAt: chat.createdAt
+      }))
+    }
+  });
+}));
+
+// Serve an asset that belongs to one of the shared chats
+router.get('/public/:token/assets/:assetId', [
+  param('assetId').isMongoId().withMessage('Invalid asset id'),
+  validate
+], asyncHandler(async (req, res, next) => {
+  const share = await findActiveShare(req.params.token);
+  if (!share) {
+    throw new NotFoundError('This link is invalid or has expired');
+  }
+
+  const chatIds = (await sharedChats(share)).map((chat) => chat._id);
+  const asset = await Asset.findOne({ _id: req.params.assetId, user: share.user, chat: { $in: chatIds } });
+  if (!asset) {
+    throw new NotFoundError('Asset not found');
+  }
+
+  res.set({
+    'Content-Type': asset.mimeType,
+    'Cache-Control': 'public, max-age=3600',
+    'Content-Security-Policy': 'default-src \'none\'; style-src \'unsafe-inline\'',
+    'X-Content-Type-Options': 'nosniff',
+    // Loaded by <img> from the client's origin
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+
+  asset.createReadStream()
+    .on('error', (error) => {
+      console.error('Read shared asset error:', error.message);
+      next(new NotFoundError('Asset file not found'));
+    })
+    .pipe(res);
+}));
+
+module.exports = router;
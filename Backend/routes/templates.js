@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const PromptTemplate = require('../models/PromptTemplate');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { BadRequestError, NotFoundError, asyncHandler } = require('../utils/errors');
+const { escapeRegExp } = require('../utils/highlight');
+const { TEMPLATE_SCHEMA, TEMPLATE_VERSION, buildVariables } = require('../utils/templates');
+
+const router = express.Router();
+
+// Templates one user may own
+const MAX_TEMPLATES = 200;
+
+const serializeTemplate = (template, userId) => ({
+  id: template._id,
+  title: template.title,
+  description: template.description,
+  body: template.body,
+  category: template.category,
+  visibility: template.visibility,
+  variables: template.variables,
+  usageCount: template.usageCount,
+  lastUsedAt: template.lastUsedAt,
+  author: template.user?.username || null,
+  isOwner: (template.user?._id || template.user).equals(userId),
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+// Templates a user can see: their own plus everyone's shared ones
+const visibleTo = (userId) => ({ $or: [{ user: userId }, { visibility: 'shared' }] });
+
+const templateFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+    field('body').isString().isLength({ min: 1, max: 2000 }).withMessage('Template must be 1-2000 characters'),
+    body('description').optional().isString().isLength({ max: 300 }).withMessage('Description must be at most 300 characters'),
+    body('category').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Category must be 1-50 characters'),
+    body('visibility').optional().isIn(['personal', 'shared']).withMessage('Visibility must be personal or shared'),
+    body('variables').optional().isArray().withMessage('Variables must be a list')
+  ];
+};
+
+// Shape an imported entry like a create request, or null when unusable
+const importableTemplate = (entry) => {
+  if (!entry || typeof entry.title !== 'string' || typeof entry.body !== 'string') return null;
+
+  const title = entry.title.trim().substring(0, 100);
+  if (!title || !entry.body || entry.body.length > 2000) return null;
+
+  return {
+    title,
+    body: entry.body,
+    description: typeof entry.description === 'string' ? entry.description.substring(0, 300) : '',
+    category: typeof entry.category === 'string' && entry.category.trim()
+      ? entry.category.trim().substring(0, 50)
+      : 'General',
+    variables: buildVariables(entry.body, entry.variables)
+  };
+};
+
+// List visible templates, most used first
+router.get('/', [
+  auth,
+  query('scope').optional().isIn(['all', 'personal', 'shared']).withMessage('Scope must be all, personal or shared'),
+  query('category').optional().trim().isLength({ max: 50 }),
+  query('q').optional().trim().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { scope = 'all', category, q } = req.query;
+  const filters = [visibleTo(req.user._id)];
+
+  if (scope === 'personal') filters.push({ user: req.user._id });
+  if (scope === 'shared') filters.push({ visibility: 'shared' });
+  if (category) filters.push({ category });
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), 'i');
+    filters.push({ $or: [{ title: pattern }, { description: pattern }] });
+  }
+
+  const [templates, categories] = await Promise.all([
+    PromptTemplate.find({ $and: filters })
+      .sort({ usageCount: -1, updatedAt: -1 })
+      .limit(MAX_TEMPLATES)
+      .populate('user', 'username'),
+    PromptTemplate.distinct('category', visibleTo(req.user._id))
+  ]);
+
+  res.json({
+    message: 'Templates retrieved successfully',
+    data: {
+      templates: templates.map((template) => serializeTemplate(template, req.user._id)),
+      categories: categories.sort()
+    }
+  });
+}));
+
+// Download the user's own templates as JSON
+router.get('/export', auth, asyncHandler(async (req, res) => {
+  const templates = await PromptTemplate.find({ user: req.user._id }).sort({ category: 1, title: 1 });
+  const exportedAt = new Date().toISOString();
+
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="prompt-templates-${exportedAt.substring(0, 10)}.json"`
+  });
+
+  res.send(JSON.stringify({
+    schema: TEMPLATE_SCHEMA,
+    version: TEMPLATE_VERSION,
+    exportedAt,
+    templates: templates.map(({ title, description, body: text, category, variables }) => ({
+      title,
+      description,
+      body: text,
+      category,
+      variables
+    }))
+  }, null, 2));
+}));
+
+// Add templates from a JSON export as personal templates, skipping ones the
+// user already has with the same title and body
+router.post('/import', [
+  auth,
+  body('schema').equals(TEMPLATE_SCHEMA).withMessage('Not a template export file'),
+  body('version').isInt({ min: 1, max: TEMPLATE_VERSION }).withMessage(`Unsupported export version, expected ${TEMPLATE_VERSION} or lower`),
+  body('templates').isArray().withMessage('Export has no templates'),
+  validate
+], asyncHandler(async (req, res) => {
+  const existing = await PromptTemplate.find({ user: req.user._id }).select('title body');
+  const seen = new Set(existing.map((template) => `${template.title}\u0000${template.body}`));
+  let room = MAX_TEMPLATES - existing.length;
+
+  const templates = [];
+  let skipped = 0;
+
+  req.body.templates.forEach((entry) => {
+    const template = importableTemplate(entry);
+    const key = template && `${template.title}\u0000${template.body}`;
+
+    if (!template || seen.has(key) || room <= 0) {
+      skipped++;
+      return;
+    }
+    seen.add(key);
+    room--;
+    templates.push({ ...template, user: req.user._id });
+  });
+
+  await PromptTemplate.insertMany(templates);
+
+  res.json({
+    message: 'Templates imported successfully',
+    data: {
+      imported: templates.length,
+      skipped
+    }
+  });
+}));
+
+// Create a template
+router.post('/', [auth, ...templateFields(false), validate], asyncHandler(async (req, res) => {
+  if (await PromptTemplate.countDocuments({ user: req.user._id }) >= MAX_TEMPLATES) {
+    throw new BadRequestError(`You can keep up to ${MAX_TEMPLATES} templates`, 'TEMPLATE_LIMIT_REACHED');
+  }
+
+  const { title, description, category, visibility, variables } = req.body;
+
+  const template = new PromptTemplate({
+    user: req.user._id,
+    title,
+    description: description || '',
+    body: req.body.body,
+    category: category || 'General',
+    visibility: visibility || 'personal',
+    variables: buildVariables(req.body.body, variables)
+  });
+  await template.save();
+
+  res.status(201).json({
+    message: 'Template created successfully',
+    data: { template: serializeTemplate(template, req.user._id) }
+  });
+}));
+
+// Update one of the user's templates
+router.patch('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid template id'),
+  ...templateFields(true),
+  validate
+], asyncHandler(async (req, res) => {
+  const template = await PromptTemplate.findOne({ _id: req.params.id, user: req.user._id });
+  if (!template) {
+    throw new NotFoundError('Template not found');
+  }
+
+  ['title', 'description', 'body', 'category', 'visibility'].forEach((field) => {
+    if (req.body[field] !== undefined) {
+      template[field] = req.body[field];
+    }
+  });
+
+  // Keep existing defaults for placeholders the request doesn't mention
+  template.variables = buildVariables(template.body, req.body.variables || template.variables);
+  await template.save();
+
+  res.json({
+    message: 'Template updated successfully',
+    data: { template: serializeTemplate(template, req.user._id) }
+  });
+}));
+
+// Count a use of a visible template
+router.post('/:id/use', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid template id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const template = await PromptTemplate.findOneAndUpdate(
+    { _id: req.params.id, ...visibleTo(req.user._id) },
+    { $inc: { usageCount: 1 }, lastUsedAt: new Date() },
+    { new: true }
+  );
+
+  if (!template) {
+    throw new NotFoundError('Template not found');
+  }
+
+  res.json({
+    message: 'Template use recorded successfully',
+    data: { usageCount: template.usageCount }
+  });
+}));
+
+// Delete one of the user's templates
+router.delete('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid template id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const template = await PromptTemplate.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+  if (!template) {
+    throw new NotFoundError('Template not found');
+  }
+
+  res.json({ message: 'Template deleted successfully' });
+}));
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Quota = require('../models/Quota');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const validate = require('../middleware/validate');
+const { quotaStatus } = require('../middleware/quota');
+const { NotFoundError, asyncHandler } = require('../utils/errors');
+const { getModel } = require('../providers');
+
+const router = express.Router();
+
+const quotaValidators = [
+  body('dailyTokens').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Daily tokens must be a non-negative integer'),
+  body('monthlyTokens').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Monthly tokens must be a non-negative integer'),
+  body('action').optional().isIn(['block', 'degrade']).withMessage('Action must be block or degrade'),
+  body('degradeModel').optional({ nullable: true }).custom((value) => Boolean(getModel(value))).withMessage('Degrade model is not available'),
+  body('action').custom((action, { req }) => action !== 'degrade' || Boolean(req.body.degradeModel))
+    .withMessage('A degrade model is required when the action is degrade')
+];
+
+// Create or replace the quota for a user, or the default when userId is null
+const saveQuota = (userId, { dailyTokens = null, monthlyTokens = null, action = 'block', degradeModel = null }) => Quota.findOneAndUpdate(
+  { user: userId },
+  { dailyTokens, monthlyTokens, action, degradeModel },
+  { new: true, upsert: true, runValidators: true }
+);
+
+// Current usage and remaining quota for the signed-in user
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const status = await quotaStatus(req.user._id);
+
+  res.json({
+    message: 'Usage retrieved successfully',
+    data: status
+  });
+}));
+
+// List the default quota and every per-user override
+router.get('/quotas', auth, requireAdmin, asyncHandler(async (req, res) => {
+  const quotas = await Quota.find()
+    .populate('user', 'username email')
+    .sort({ user: 1 });
+
+  res.json({
+    message: 'Quotas retrieved successfully',
+    data: { quotas }
+  });
+}));
+
+// Set the default quota for all users
+router.put('/quotas/default', [auth, requireAdmin, ...quotaValidators, validate], asyncHandler(async (req, res) => {
+  const quota = await saveQuota(null, req.body);
+
+  res.json({
+    message: 'Default quota updated successfully',
+    data: { quota }
+  });
+}));
+
+// Set a per-user quota override
+router.put('/quotas/users/:userId', [
+  auth,
+  requireAdmin,
+  param('userId').isMongoId().withMessage('Invalid user id'),
+  ...quotaValidators,
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.exists({ _id: req.params.userId });
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const quota = await saveQuota(req.params.userId, req.body);
+
+  res.json({
+    message: 'User quota updated successfully',
+    data: { quota }
+  });
+}));
+
+// Remove a per-user override so the default applies again
+router.delete('/quotas/users/:userId', [
+  auth,
+  requireAdmin,
+  param('userId').isMongoId().withMessage('Invalid user id'),
+  validate
+], asyncHandler(async (req, res) => {
+  const quota = await Quota.findOneAndDelete({ user: req.params.userId });
+  if (!quota) {
+    throw new NotFoundError('Quota not found');
+  }
+
+  res.json({ message: 'User quota removed successfully' });
+}));
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// Chats saved before conversations existed have none, so the sidebar, which
+// lists conversations, cannot show them. This wraps each one in a
+// conversation of its own, titled after its prompt:
+//
+//   node scripts/migrate-legacy-chats.js
+//
+// The conversation reuses the chat's id, so running it again (or after an
+// interruption) never creates duplicates.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Conversation = require('../models/Conversation');
+
+const migrate = async () => {
+  let migrated = 0;
+
+  for await (const chat of Chat.find({ conversation: null }).select('user prompt createdAt').cursor()) {
+    await Conversation.updateOne(
+      { _id: chat._id },
+      {
+        $setOnInsert: {
+          user: chat.user,
+          title: Conversation.titleFor(chat.prompt),
+          lastMessageAt: chat.createdAt,
+          currentChat: chat._id,
+          createdAt: chat.createdAt,
+          updatedAt: chat.createdAt
+        }
+      },
+      { upsert: true, timestamps: false }
+    );
+    await Chat.updateOne({ _id: chat._id, conversation: null }, { conversation: chat._id, parent: null });
+    migrated++;
+  }
+
+  return migrated;
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .then((migrated) => console.log(`Moved ${migrated} legacy chats into conversations`))
+  .catch((error) => {
+    console.error('Failed to migrate legacy chats:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,117 @@
+// Minimal OpenID Connect provider for trying the sign-in flow locally.
+// It signs in whoever types an email on its login page, so never expose it.
+//
+//   npm run mock-oidc
+//
+// then start the API with:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:4000
+//   OIDC_MOCK_CLIENT_ID=chatbot
+//   OIDC_MOCK_NAME=Mock IdP
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const KEY_ID = 'mock-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Without an email, show a login form; with one, approve straight away.
+// Pass email_verified=false to try an unverified identity.
+app.get('/authorize', (req, res) => {
+  const { email, email_verified: emailVerified = 'true', ...params } = req.query;
+
+  if (!email) {
+    const hidden = Object.entries(params)
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('');
+    return res.send(`<!doctype html><title>Mock IdP</title>
+      <form method="get" action="/authorize" style="font-family: sans-serif; margin: 4rem auto; max-width: 20rem;">
+        <h1>Mock IdP</h1>
+        ${hidden}
+        <p><input name="email" type="email" placeholder="you@example.com" required autofocus></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+        <button>Sign in</button>
+      </form>`);
+  }
+
+  if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+    return res.status(400).send('PKCE with S256 is required');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    email: String(email).toLowerCase(),
+    emailVerified: emailVerified === 'true',
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    nonce: params.nonce,
+    codeChallenge: params.code_challenge
+  });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('code', code);
+  redirect.searchParams.set('state', params.state);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+  if (!grant || grant.clientId !== req.body.client_id || grant.redirectUri !== req.body.redirect_uri
+    || grant.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign({
+    sub: crypto.createHash('sha256').update(grant.email).digest('hex').substring(0, 24),
+    email: grant.email,
+    email_verified: grant.emailVerified,
+    preferred_username: grant.email.split('@')[0],
+    nonce: grant.nonce
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: grant.clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider at ${ISSUER}`);
+});
@@ -0,0 +1,50 @@
+// Set token quotas from the command line, for everyone or for one user:
+//
+//   node scripts/set-quota.js default 100000 2000000
+//   node scripts/set-quota.js someone@example.com 50000 - gemini-1.5-flash
+//
+// Limits are daily and monthly tokens, "-" for no limit. With a model the
+// quota degrades to it once exceeded, otherwise it blocks.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Quota = require('../models/Quota');
+const User = require('../models/User');
+
+const [target, daily, monthly, degradeModel = null] = process.argv.slice(2);
+
+const parseLimit = (value) => (value === '-' ? null : Number(value));
+const validLimit = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+const dailyTokens = parseLimit(daily);
+const monthlyTokens = parseLimit(monthly);
+
+if (!target || !validLimit(dailyTokens) || !validLimit(monthlyTokens)) {
+  console.error('Usage: node scripts/set-quota.js <email|default> <daily|-> <monthly|-> [degrade model]');
+  process.exit(1);
+}
+
+const findUserId = async () => {
+  if (target === 'default') return null;
+
+  const user = await User.findOne({ email: target.toLowerCase() });
+  if (!user) {
+    throw new Error(`No user with email ${target}`);
+  }
+  return user._id;
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(findUserId)
+  .then((userId) => Quota.findOneAndUpdate(
+    { user: userId },
+    { dailyTokens, monthlyTokens, action: degradeModel ? 'degrade' : 'block', degradeModel },
+    { new: true, upsert: true, runValidators: true }
+  ))
+  .then(() => {
+    console.log(`Quota for ${target}: ${daily} daily, ${monthly} monthly${degradeModel ? `, then ${degradeModel}` : ''}`);
+  })
+  .catch((error) => {
+    console.error('Failed to set quota:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,30 @@
+// Grant or remove the admin role from the command line, e.g. to create the
+// first administrator:
+//
+//   node scripts/set-role.js someone@example.com admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const [email, role = 'admin'] = process.argv.slice(2);
+
+if (!email || !['user', 'admin'].includes(role)) {
+  console.error('Usage: node scripts/set-role.js <email> [user|admin]');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true }))
+  .then((user) => {
+    if (!user) {
+      console.error(`No user with email ${email}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${user.email} is now ${user.role}`);
+    }
+  })
+  .catch((error) => {
+    console.error('Failed to update role:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores files under a local directory, keyed by a random file name
+const createDiskStorage = ({ directory }) => {
+  const root = path.resolve(directory);
+  fs.mkdirSync(root, { recursive: true });
+
+  // Keys are generated here, but never trust them to stay inside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (path.dirname(filePath) !== root) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'disk',
+
+    async save({ buffer }) {
+      const key = crypto.randomBytes(16).toString('hex');
+      await fs.promises.writeFile(resolveKey(key), buffer);
+      return key;
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = createDiskStorage;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Stores files in a MongoDB GridFS bucket on the app's own connection
+const createGridFSStorage = ({ bucketName }) => {
+  // The connection is not open yet when this module loads
+  const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+
+  return {
+    name: 'gridfs',
+
+    save({ buffer, filename, mimeType }) {
+      return new Promise((resolve, reject) => {
+        const upload = bucket().openUploadStream(filename, { contentType: mimeType });
+        upload.on('error', reject);
+        upload.on('finish', () => resolve(upload.id.toString()));
+        upload.end(buffer);
+      });
+    },
+
+    createReadStream(key) {
+      return bucket().openDownloadStream(new mongoose.Types.ObjectId(key));
+    },
+
+    async remove(key) {
+      try {
+        await bucket().delete(new mongoose.Types.ObjectId(key));
+      } catch (error) {
+        // Already gone is fine
+        if (!/FileNotFound/i.test(error.message)) throw error;
+      }
+    }
+  };
+};
+
+module.exports = createGridFSStorage;
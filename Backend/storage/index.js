@@ -0,0 +1,14 @@
+const createDiskStorage = require('./disk');
+const createGridFSStorage = require('./gridfs');
+
+// FILE_STORAGE=disk keeps files under UPLOAD_DIR; GridFS is the default since
+// serverless deployments have no durable local disk
+const configureStorage = () => {
+  if (process.env.FILE_STORAGE === 'disk') {
+    return createDiskStorage({ directory: process.env.UPLOAD_DIR || 'uploads' });
+  }
+
+  return createGridFSStorage({ bucketName: 'files' });
+};
+
+module.exports = configureStorage();
@@ -0,0 +1,160 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const mailer = require('../mailer');
+const accountRouter = require('../routes/account');
+const requestId = require('../middleware/requestId');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createSession } = require('../utils/tokens');
+
+const PASSWORD = 'correct horse';
+
+// A Mongoose query the tests can await directly or after .select()
+const found = (doc) => ({
+  select: async () => doc,
+  then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+});
+
+const duplicateKeyError = (field) => Object.assign(new Error('E11000 duplicate key error'), {
+  code: 11000,
+  keyPattern: { [field]: 1 }
+});
+
+describe('PATCH /api/account/profile', () => {
+  let server;
+  let url;
+  let user;
+  let token;
+  let takenBy;
+  let saveError;
+
+  before(async () => {
+    const app = express();
+    app.use(requestId);
+    app.use(express.json());
+    app.use('/api/account', accountRouter);
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/account/profile`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(async () => {
+    user = User.hydrate({
+      _id: new User()._id,
+      username: 'user',
+      email: 'user@example.test',
+      password: 'hash',
+      emailVerified: true,
+      isActive: true
+    });
+    takenBy = null;
+    saveError = null;
+
+    mock.method(Session.prototype, 'save', async function() {
+      return this;
+    });
+    ({ token } = await createSession(user, { get: () => 'node-test', ip: '127.0.0.1' }));
+
+    mock.method(Session, 'findById', async () => new Session({
+      user: user._id,
+      tokenHash: 'hash',
+      expiresAt: new Date(Date.now() + 60000)
+    }));
+    mock.method(User, 'findById', () => found(user));
+    mock.method(User, 'findOne', async () => takenBy);
+    mock.method(User.prototype, 'save', async function() {
+      if (saveError) throw saveError;
+      return this;
+    });
+    mock.method(User.prototype, 'comparePassword', async (candidate) => candidate === PASSWORD);
+    mock.method(UserToken, 'issue', async () => 'verification-token');
+    mock.method(mailer, 'send', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const update = async (fields) => {
+    const response = await fetch(url, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(fields)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('changes the username without a password', async () => {
+    const { status, body } = await update({ username: 'renamed' });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.user.username, 'renamed');
+  });
+
+  it('changes the email with the current password and asks to verify it', async () => {
+    const { status, body } = await update({ email: 'new@example.test', currentPassword: PASSWORD });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.user.email, 'new@example.test');
+    assert.equal(body.data.user.emailVerified, false);
+    assert.equal(mailer.send.mock.callCount(), 1);
+  });
+
+  it('refuses an email change without the right password', async () => {
+    for (const fields of [{ email: 'new@example.test' }, { email: 'new@example.test', currentPassword: 'guess' }]) {
+      const { status, body } = await update(fields);
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'AUTH_INVALID_CREDENTIALS');
+    }
+    assert.equal(user.email, 'user@example.test');
+    assert.equal(User.prototype.save.mock.callCount(), 0);
+  });
+
+  it('lets accounts without a password change their email', async () => {
+    user.password = null;
+
+    const { status } = await update({ email: 'new@example.test' });
+
+    assert.equal(status, 200);
+  });
+
+  it('reports a name or email in use as a conflict', async () => {
+    takenBy = { email: 'other@example.test', username: 'taken' };
+
+    const { status, body } = await update({ username: 'taken' });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'USERNAME_TAKEN');
+  });
+
+  it('reports a duplicate saved by a concurrent request as a conflict', async () => {
+    saveError = duplicateKeyError('email');
+
+    const { status, body } = await update({ email: 'new@example.test', currentPassword: PASSWORD });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'EMAIL_IN_USE');
+  });
+
+  it('leaves other save failures alone', async () => {
+    saveError = new Error('connection lost');
+
+    const { status, body } = await update({ username: 'renamed' });
+
+    assert.equal(status, 500);
+    assert.equal(body.code, 'INTERNAL_ERROR');
+  });
+});
@@ -0,0 +1,277 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Chat = require('../models/Chat');
+const Conversation = require('../models/Conversation');
+const Asset = require('../models/Asset');
+const exportsRouter = require('../routes/exports');
+const requestId = require('../middleware/requestId');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createSession } = require('../utils/tokens');
+const { EXPORT_SCHEMA, EXPORT_VERSION } = require('../utils/exporters');
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+const query = (result) => ({
+  select: async () => result,
+  sort: async () => result
+});
+
+describe('chat export and import', () => {
+  let server;
+  let baseUrl;
+  let user;
+  let token;
+  // Assets the signed-in user owns, and what each test stored or inserted
+  let ownAssets;
+  let storedAssets;
+  let insertedChats;
+
+  before(async () => {
+    const app = express();
+    app.use(requestId);
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api/export', exportsRouter);
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/export`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(async () => {
+    user = new User({ username: 'user', email: 'user@example.test', emailVerified: true });
+    ownAssets = new Set();
+    storedAssets = [];
+    insertedChats = [];
+
+    mock.method(Session.prototype, 'save', async function() {
+      return this;
+    });
+    ({ token } = await createSession(user, { get: () => 'node-test', ip: '127.0.0.1' }));
+
+    mock.method(Session, 'findById', async () => new Session({
+      user: user._id,
+      tokenHash: 'hash',
+      expiresAt: new Date(Date.now() + 60000)
+    }));
+    mock.method(User, 'findById', () => query(user));
+    mock.method(Chat, 'find', () => query([]));
+    mock.method(Chat, 'insertMany', async (docs) => {
+      insertedChats.push(...docs);
+      return docs;
+    });
+    mock.method(Conversation, 'findOne', async () => null);
+    mock.method(Conversation.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(Asset, 'exists', async ({ _id, user: owner }) => (
+      String(owner) === String(user._id) && ownAssets.has(String(_id)) ? { _id } : null
+    ));
+    mock.method(Asset, 'store', async ({ buffer, ...fields }) => {
+      const asset = { _id: objectId(), buffer, ...fields };
+      storedAssets.push(asset);
+      return asset;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const chat = (fields = {}) => ({
+    id: objectId(),
+    parentId: null,
+    prompt: 'Draw a cat',
+    response: 'Here is a cat',
+    type: 'text',
+    attachments: [],
+    tokens: { prompt: 1, completion: 2 },
+    createdAt: new Date().toISOString(),
+    ...fields
+  });
+
+  const importExport = async (chats, extra = {}) => {
+    const response = await fetch(`${baseUrl}/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({
+        schema: EXPORT_SCHEMA,
+        version: EXPORT_VERSION,
+        conversations: [{ id: objectId(), title: 'Cats', createdAt: chats[0]?.createdAt, chats }],
+        ...extra
+      })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  describe('export', () => {
+    it('keeps asset paths relative and carries the files', async () => {
+      const assetId = objectId();
+      const conversation = new Conversation({ user: user._id, title: 'Cats' });
+      const stored = new Chat({
+        user: user._id,
+        conversation: conversation._id,
+        prompt: 'Draw a cat',
+        response: 'Here is a cat',
+        type: 'image',
+        imageUrl: `/api/assets/${assetId}`
+      });
+      conversation.currentChat = stored._id;
+
+      mock.method(Conversation, 'find', () => query([conversation]));
+      Chat.find.mock.mockImplementation(() => query([stored]));
+      mock.method(Asset, 'find', async () => [{
+        _id: assetId,
+        kind: 'generated',
+        filename: 'cat.png',
+        mimeType: 'image/png',
+        readBuffer: async () => PNG
+      }]);
+
+      const response = await fetch(`${baseUrl}?format=json`, { headers: { Authorization: `Bearer ${token}` } });
+      const data = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(data.conversations[0].chats[0].imageUrl, `/api/assets/${assetId}`);
+      assert.deepEqual(Asset.find.mock.calls[0].arguments[0]._id, { $in: [assetId] });
+      assert.equal(data.assets.length, 1);
+      assert.equal(Buffer.from(data.assets[0].data, 'base64').equals(PNG), true);
+    });
+  });
+
+  describe('import', () => {
+    it('stores carried files once for the user and points chats at them', async () => {
+      const imageId = objectId();
+      const fileId = objectId();
+      const first = chat({ type: 'image', imageUrl: `/api/assets/${imageId}` });
+      const second = chat({
+        parentId: first.id,
+        prompt: 'Again',
+        imageUrl: `/api/assets/${imageId}`,
+        attachments: [{ assetId: fileId, filename: 'notes.txt', mimeType: 'text/plain', size: 5 }]
+      });
+
+      const { status, body } = await importExport([first, second], {
+        assets: [
+          { id: imageId, kind: 'generated', filename: 'cat.png', mimeType: 'image/png', data: PNG.toString('base64') },
+          { id: fileId, kind: 'upload', filename: 'notes.txt', mimeType: 'text/plain', data: Buffer.from('notes').toString('base64') }
+        ]
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.data.imported, 2);
+      assert.equal(storedAssets.length, 2);
+
+      const image = storedAssets.find((asset) => asset.mimeType === 'image/png');
+      const file = storedAssets.find((asset) => asset.mimeType === 'text/plain');
+      assert.equal(String(image.user), String(user._id));
+      assert.equal(image.kind, 'generated');
+      assert.equal(image.buffer.equals(PNG), true);
+      assert.equal(file.buffer.toString(), 'notes');
+
+      assert.equal(insertedChats[0].imageUrl, `/api/assets/${image._id}`);
+      assert.equal(insertedChats[1].imageUrl, `/api/assets/${image._id}`);
+      assert.equal(String(insertedChats[1].attachments[0].asset), file._id);
+    });
+
+    it('keeps references to the user\'s own assets, including absolute ones from older exports', async () => {
+      const assetId = objectId();
+      ownAssets.add(assetId);
+
+      await importExport([chat({ type: 'image', imageUrl: `https://api.example.test/api/assets/${assetId}` })]);
+
+      assert.equal(insertedChats[0].imageUrl, `/api/assets/${assetId}`);
+      assert.equal(storedAssets.length, 0);
+    });
+
+    it('drops references to assets it cannot resolve', async () => {
+      await importExport([chat({
+        type: 'image',
+        imageUrl: `/api/assets/${objectId()}`,
+        attachments: [{ assetId: objectId(), filename: 'notes.txt', mimeType: 'text/plain', size: 5 }]
+      })]);
+
+      assert.equal(insertedChats[0].imageUrl, null);
+      assert.equal(insertedChats[0].attachments[0].asset, null);
+      assert.equal(insertedChats[0].attachments[0].filename, 'notes.txt');
+    });
+
+    it('keeps external image links', async () => {
+      await importExport([chat({ type: 'image', imageUrl: 'https://images.example.test/cat.png' })]);
+
+      assert.equal(insertedChats[0].imageUrl, 'https://images.example.test/cat.png');
+    });
+
+    it('rejects carried files whose content does not match their type', async () => {
+      const { status, body } = await importExport([chat()], {
+        assets: [{ id: objectId(), mimeType: 'image/png', data: Buffer.from('<script>').toString('base64') }]
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.message, 'Asset data does not match its type');
+      assert.equal(storedAssets.length, 0);
+    });
+
+    it('rejects carried files of other types', async () => {
+      const { status, body } = await importExport([chat()], {
+        assets: [{ id: objectId(), mimeType: 'text/html', data: Buffer.from('<script>').toString('base64') }]
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+      assert.equal(insertedChats.length, 0);
+    });
+  });
+
+  describe('import validation', () => {
+    const assertInvalid = ({ status, body }, field) => {
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+      assert.ok(body.errors.some((error) => error.path === field), `expected an error for ${field}`);
+      assert.equal(insertedChats.length, 0);
+    };
+
+    it('rejects attachments that are not a list of objects', async () => {
+      assertInvalid(await importExport([chat({ attachments: 'notes.txt' })]), 'conversations[0].chats[0].attachments');
+      assertInvalid(await importExport([chat({ attachments: ['notes.txt'] })]), 'conversations[0].chats[0].attachments[0]');
+      assertInvalid(
+        await importExport([chat({ attachments: [{ filename: 'notes.txt', size: 'big' }] })]),
+        'conversations[0].chats[0].attachments[0].size'
+      );
+    });
+
+    it('rejects token counts that are not whole numbers', async () => {
+      assertInvalid(await importExport([chat({ tokens: { prompt: 'many', completion: 2 } })]), 'conversations[0].chats[0].tokens.prompt');
+      assertInvalid(await importExport([chat({ tokens: { prompt: 1, completion: -2 } })]), 'conversations[0].chats[0].tokens.completion');
+    });
+
+    it('stores numeric token counts as numbers', async () => {
+      await importExport([chat({ tokens: { prompt: '3', completion: '4' } })]);
+
+      assert.equal(insertedChats[0].tokens, 7);
+    });
+
+    it('limits the prompt and response length', async () => {
+      assertInvalid(await importExport([chat({ prompt: 'a'.repeat(2001) })]), 'conversations[0].chats[0].prompt');
+      assertInvalid(await importExport([chat({ response: 'a'.repeat(100001) })]), 'conversations[0].chats[0].response');
+    });
+
+    it('limits how many chats one import brings', async () => {
+      const chats = Array.from({ length: 5001 }, () => ({}));
+
+      assertInvalid(await importExport(chats), 'conversations');
+    });
+  });
+});
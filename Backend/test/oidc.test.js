@@ -0,0 +1,200 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const ISSUER = 'https://id.example.test';
+const CLIENT_ID = 'chat-app';
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.OIDC_PROVIDERS = 'example';
+process.env.OIDC_EXAMPLE_ISSUER = `${ISSUER}/`;
+process.env.OIDC_EXAMPLE_CLIENT_ID = CLIENT_ID;
+
+const {
+  getProvider,
+  listProviders,
+  createLoginParams,
+  stateBinding,
+  stateMatchesBinding,
+  authorizationUrl,
+  exchangeCode,
+  verifyIdToken
+} = require('../utils/oidc');
+
+// The identity provider's signing key and its published key set
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'key-1';
+
+const discovery = {
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  jwks_uri: `${ISSUER}/jwks`
+};
+
+before(() => {
+  mock.method(axios, 'get', async (url) => {
+    if (url === `${ISSUER}/.well-known/openid-configuration`) return { data: discovery };
+    if (url === discovery.jwks_uri) return { data: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID }] } };
+    throw new Error(`Unexpected request to ${url}`);
+  });
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+const provider = () => getProvider('example');
+
+const signIdToken = (claims, options = {}) => jwt.sign(
+  { nonce: 'nonce-1', ...claims },
+  privateKey,
+  { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: CLIENT_ID, subject: 'user-1', expiresIn: '5m', ...options }
+);
+
+describe('providers', () => {
+  it('are read from the environment', () => {
+    assert.deepEqual(listProviders(), [{ id: 'example', name: 'example' }]);
+    assert.equal(provider().issuer, ISSUER);
+    assert.equal(getProvider('missing'), null);
+  });
+});
+
+describe('createLoginParams', () => {
+  it('derives the PKCE challenge from the verifier with S256', () => {
+    const { codeVerifier, codeChallenge } = createLoginParams();
+    const expected = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    assert.equal(codeChallenge, expected);
+  });
+
+  it('uses a verifier RFC 7636 accepts', () => {
+    const { codeVerifier } = createLoginParams();
+
+    assert.match(codeVerifier, /^[A-Za-z0-9\-._~]{43,128}$/);
+  });
+
+  it('makes fresh values for every login', () => {
+    const first = createLoginParams();
+    const second = createLoginParams();
+
+    for (const key of ['state', 'nonce', 'codeVerifier']) {
+      assert.notEqual(first[key], second[key]);
+    }
+  });
+});
+
+describe('state binding', () => {
+  it('accepts the state it was made for', () => {
+    const { state } = createLoginParams();
+
+    assert.equal(stateMatchesBinding(state, stateBinding(state)), true);
+  });
+
+  it('rejects a state from another login', () => {
+    const { state } = createLoginParams();
+    const other = createLoginParams().state;
+
+    assert.equal(stateMatchesBinding(other, stateBinding(state)), false);
+  });
+
+  it('rejects a missing, truncated or altered binding', () => {
+    const { state } = createLoginParams();
+    const binding = stateBinding(state);
+    const altered = `${binding[0] === 'A' ? 'B' : 'A'}${binding.substring(1)}`;
+
+    for (const value of [undefined, '', binding.substring(1), altered, state]) {
+      assert.equal(stateMatchesBinding(state, value), false);
+    }
+  });
+
+  it('rejects a missing state', () => {
+    assert.equal(stateMatchesBinding(undefined, stateBinding('')), false);
+  });
+});
+
+describe('authorizationUrl', () => {
+  it('sends the state, nonce and S256 challenge to the discovered endpoint', async () => {
+    const { state, nonce, codeChallenge } = createLoginParams();
+    const url = new URL(await authorizationUrl(provider(), {
+      redirectUri: 'https://app.example.test/api/auth/oidc/example/callback',
+      state,
+      nonce,
+      codeChallenge
+    }));
+
+    assert.equal(`${url.origin}${url.pathname}`, discovery.authorization_endpoint);
+    assert.equal(url.searchParams.get('state'), state);
+    assert.equal(url.searchParams.get('nonce'), nonce);
+    assert.equal(url.searchParams.get('code_challenge'), codeChallenge);
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+  });
+});
+
+describe('exchangeCode', () => {
+  it('sends the PKCE verifier with the code', async () => {
+    const post = mock.method(axios, 'post', async () => ({ status: 200, data: { id_token: 'token' } }));
+
+    await exchangeCode(provider(), { code: 'code-1', codeVerifier: 'verifier-1', redirectUri: 'https://app.example.test/cb' });
+
+    const [url, body] = post.mock.calls[0].arguments;
+    const params = new URLSearchParams(body);
+    assert.equal(url, discovery.token_endpoint);
+    assert.equal(params.get('code'), 'code-1');
+    assert.equal(params.get('code_verifier'), 'verifier-1');
+    assert.equal(params.has('client_secret'), false);
+    post.mock.restore();
+  });
+
+  it('fails when the provider refuses the code', async () => {
+    const post = mock.method(axios, 'post', async () => ({ status: 400, data: { error: 'invalid_grant' } }));
+
+    await assert.rejects(
+      exchangeCode(provider(), { code: 'used', codeVerifier: 'verifier-1', redirectUri: 'https://app.example.test/cb' }),
+      /invalid_grant/
+    );
+    post.mock.restore();
+  });
+});
+
+describe('verifyIdToken', () => {
+  it('returns the claims of a valid token', async () => {
+    const claims = await verifyIdToken(provider(), signIdToken({ email: 'user@example.test' }), 'nonce-1');
+
+    assert.equal(claims.sub, 'user-1');
+    assert.equal(claims.email, 'user@example.test');
+  });
+
+  it('rejects a token for another login', async () => {
+    await assert.rejects(verifyIdToken(provider(), signIdToken({}), 'nonce-2'), /nonce mismatch/);
+  });
+
+  it('rejects a token for another client or issuer', async () => {
+    await assert.rejects(verifyIdToken(provider(), signIdToken({}, { audience: 'other-app' }), 'nonce-1'), /audience/);
+    await assert.rejects(verifyIdToken(provider(), signIdToken({}, { issuer: 'https://evil.test' }), 'nonce-1'), /issuer/);
+  });
+
+  it('rejects an expired token', async () => {
+    await assert.rejects(verifyIdToken(provider(), signIdToken({}, { expiresIn: -10 }), 'nonce-1'), /expired/);
+  });
+
+  it('rejects a token signed with another key', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = jwt.sign({ nonce: 'nonce-1' }, otherKey, {
+      algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m'
+    });
+
+    await assert.rejects(verifyIdToken(provider(), forged, 'nonce-1'), /signature/);
+  });
+
+  it('rejects an unsigned token', async () => {
+    const unsigned = jwt.sign({ nonce: 'nonce-1' }, null, {
+      algorithm: 'none', keyid: KID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m'
+    });
+
+    await assert.rejects(verifyIdToken(provider(), unsigned, 'nonce-1'));
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Persona = require('../models/Persona');
+const GenerationLimits = require('../models/GenerationLimits');
+const personasRouter = require('../routes/personas');
+const requestId = require('../middleware/requestId');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createSession } = require('../utils/tokens');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), {
+  code: 11000,
+  keyPattern: { user: 1, name: 1 }
+});
+
+describe('persona names', () => {
+  let server;
+  let baseUrl;
+  let user;
+  let token;
+  let persona;
+  let nameTaken;
+  let saveError;
+
+  before(async () => {
+    const app = express();
+    app.use(requestId);
+    app.use(express.json());
+    app.use('/api/personas', personasRouter);
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/personas`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(async () => {
+    user = new User({ username: 'user', email: 'user@example.test', emailVerified: true });
+    persona = new Persona({ user: user._id, name: 'Tutor' });
+    nameTaken = false;
+    saveError = null;
+
+    mock.method(Session.prototype, 'save', async function() {
+      return this;
+    });
+    ({ token } = await createSession(user, { get: () => 'node-test', ip: '127.0.0.1' }));
+
+    mock.method(Session, 'findById', async () => new Session({
+      user: user._id,
+      tokenHash: 'hash',
+      expiresAt: new Date(Date.now() + 60000)
+    }));
+    mock.method(User, 'findById', () => ({ select: async () => user }));
+    mock.method(GenerationLimits, 'findOne', () => ({ lean: async () => null }));
+    mock.method(Persona, 'countDocuments', async () => 0);
+    mock.method(Persona, 'exists', async () => (nameTaken ? { _id: persona._id } : null));
+    mock.method(Persona, 'findOne', async () => persona);
+    mock.method(Persona.prototype, 'save', async function() {
+      if (saveError) throw saveError;
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const send = async (method, path, fields) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(fields)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const assertConflict = ({ status, body }) => {
+    assert.equal(status, 409);
+    assert.equal(body.code, 'PERSONA_EXISTS');
+  };
+
+  it('creates a persona with a free name', async () => {
+    const { status, body } = await send('POST', '/', { name: 'Editor' });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.persona.name, 'Editor');
+  });
+
+  it('refuses a name already in use', async () => {
+    nameTaken = true;
+
+    assertConflict(await send('POST', '/', { name: 'Editor' }));
+    assertConflict(await send('PATCH', `/${persona._id}`, { name: 'Editor' }));
+  });
+
+  it('reports a name a concurrent request saved first as a conflict', async () => {
+    saveError = duplicateKeyError();
+
+    assertConflict(await send('POST', '/', { name: 'Editor' }));
+    assertConflict(await send('PATCH', `/${persona._id}`, { name: 'Editor' }));
+  });
+
+  it('leaves other save failures alone', async () => {
+    saveError = new Error('connection lost');
+
+    const { status, body } = await send('POST', '/', { name: 'Editor' });
+
+    assert.equal(status, 500);
+    assert.equal(body.code, 'INTERNAL_ERROR');
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SECRETS = path.join(__dirname, '../utils/secrets');
+
+// Load the secrets in a fresh process, away from any .env file
+const loadSecrets = (env) => {
+  const { JWT_SECRET, OIDC_STATE_SECRET, ...rest } = process.env;
+  const result = spawnSync(process.execPath, [
+    '-e',
+    `process.stdout.write(JSON.stringify(require(${JSON.stringify(SECRETS)})))`
+  ], { cwd: os.tmpdir(), env: { ...rest, NODE_ENV: 'development', ...env }, encoding: 'utf8' });
+
+  return {
+    status: result.status,
+    stderr: result.stderr,
+    secrets: result.status === 0 ? JSON.parse(result.stdout) : null
+  };
+};
+
+describe('secrets', () => {
+  it('use JWT_SECRET, which also keys OIDC state by default', () => {
+    const { secrets } = loadSecrets({ JWT_SECRET: 'configured' });
+
+    assert.deepEqual(secrets, { JWT_SECRET: 'configured', OIDC_STATE_SECRET: 'configured' });
+  });
+
+  it('use OIDC_STATE_SECRET when set', () => {
+    const { secrets } = loadSecrets({ JWT_SECRET: 'configured', OIDC_STATE_SECRET: 'state' });
+
+    assert.equal(secrets.OIDC_STATE_SECRET, 'state');
+  });
+
+  it('refuse to start in production without JWT_SECRET', () => {
+    const { status, stderr } = loadSecrets({ NODE_ENV: 'production' });
+
+    assert.notEqual(status, 0);
+    assert.match(stderr, /JWT_SECRET must be set in production/);
+  });
+
+  it('never fall back to a fixed secret in development', () => {
+    const first = loadSecrets({}).secrets;
+    const second = loadSecrets({}).secrets;
+
+    assert.equal(first.JWT_SECRET.length, 64);
+    assert.notEqual(first.JWT_SECRET, second.JWT_SECRET);
+    assert.equal(first.OIDC_STATE_SECRET, first.JWT_SECRET);
+  });
+});
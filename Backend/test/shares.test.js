@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const ShareLink = require('../models/ShareLink');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const shares = require('../routes/shares');
+const requestId = require('../middleware/requestId');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const shareLink = (fields = {}) => new ShareLink({
+  user: new mongoose.Types.ObjectId(),
+  token: 'token-1',
+  chat: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+describe('ShareLink#isActive', () => {
+  it('holds for links without an expiry', () => {
+    assert.equal(shareLink().isActive(), true);
+  });
+
+  it('holds until the expiry', () => {
+    assert.equal(shareLink({ expiresAt: new Date(Date.now() + DAY_MS) }).isActive(), true);
+    assert.equal(shareLink({ expiresAt: new Date(Date.now() - 1000) }).isActive(), false);
+  });
+
+  it('ends when the link is revoked', () => {
+    assert.equal(shareLink({ revokedAt: new Date() }).isActive(), false);
+  });
+});
+
+describe('GET /api/shares/public/:token', () => {
+  let server;
+  let baseUrl;
+  let share;
+  let ownerActive;
+
+  before(async () => {
+    const app = express();
+    app.use(requestId);
+    app.use('/api/shares', shares);
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/shares`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    share = shareLink();
+    ownerActive = true;
+
+    mock.method(ShareLink, 'findOne', async ({ token }) => (token === share.token ? share : null));
+    mock.method(ShareLink, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(User, 'exists', async (filter) => {
+      assert.deepEqual(filter, { _id: share.user, isActive: true, deletionScheduledAt: null });
+      return ownerActive ? { _id: share.user } : null;
+    });
+    mock.method(Chat, 'find', async () => [{
+      _id: share.chat,
+      prompt: 'Hello',
+      response: 'Hi there',
+      type: 'text',
+      model: 'stub',
+      createdAt: new Date()
+    }]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const expectGone = async (token = share.token) => {
+    const response = await fetch(`${baseUrl}/public/${token}`);
+    const body = await response.json();
+
+    assert.equal(response.status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+    assert.equal(body.message, 'This link is invalid or has expired');
+    assert.equal(body.requestId, response.headers.get('x-request-id'));
+    assert.equal(ShareLink.updateOne.mock.callCount(), 0);
+  };
+
+  it('shows an active link and counts the view', async () => {
+    share.expiresAt = new Date(Date.now() + DAY_MS);
+
+    const response = await fetch(`${baseUrl}/public/${share.token}`);
+    const { data } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.chats.length, 1);
+    assert.equal(data.chats[0].prompt, 'Hello');
+    assert.equal(ShareLink.updateOne.mock.callCount(), 1);
+  });
+
+  it('hides an expired link', async () => {
+    share.expiresAt = new Date(Date.now() - 1000);
+    await expectGone();
+  });
+
+  it('hides a revoked link', async () => {
+    share.revokedAt = new Date();
+    await expectGone();
+  });
+
+  it('hides links of deactivated owners or accounts pending deletion', async () => {
+    ownerActive = false;
+    await expectGone();
+  });
+
+  it('hides unknown tokens', async () => {
+    await expectGone('unknown');
+  });
+});
@@ -0,0 +1,205 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.REFRESH_REUSE_GRACE_SECONDS = '10';
+
+const Session = require('../models/Session');
+const {
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/tokens');
+
+const GRACE_MS = 10 * 1000;
+
+const req = { id: 'req-1', ip: '127.0.0.1', get: () => 'node-test' };
+
+// Sessions live in memory as plain objects. Every read hands out its own
+// document, as MongoDB does, so concurrent refreshes see stale copies.
+let stored;
+
+const session = () => (stored ? Session.hydrate({ ...stored }) : null);
+
+const storeFields = (fields) => {
+  stored = { ...stored, ...fields };
+};
+
+const matches = (filter) => stored && Object.entries(filter).every(([key, value]) => (
+  key === '_id' ? stored._id.equals(value) : stored[key] === value
+));
+
+beforeEach(() => {
+  stored = null;
+  mock.method(Session.prototype, 'save', async function() {
+    stored = this.toObject();
+    return this;
+  });
+  mock.method(Session, 'findById', async (id) => (stored && stored._id.equals(id) ? session() : null));
+  mock.method(Session, 'findOneAndUpdate', async (filter, { $set }) => {
+    if (!matches(filter)) return null;
+    storeFields($set);
+    return session();
+  });
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const startSession = () => createSession({ _id: new mongoose.Types.ObjectId() }, req);
+
+describe('createSession', () => {
+  it('issues an access token for the session and a refresh token for it', async () => {
+    const { token, refreshToken } = await startSession();
+
+    const decoded = verifyAccessToken(token);
+    assert.equal(decoded.sessionId, stored._id.toString());
+    assert.equal(refreshToken.split('.')[0], stored._id.toString());
+    assert.equal(stored.previousTokenHash, null);
+  });
+});
+
+describe('refreshSession', () => {
+  it('rotates the refresh token', async () => {
+    const { refreshToken } = await startSession();
+    const firstHash = stored.tokenHash;
+
+    const result = await refreshSession(refreshToken, req);
+
+    assert.ok(result);
+    assert.notEqual(result.refreshToken, refreshToken);
+    assert.notEqual(stored.tokenHash, firstHash);
+    assert.equal(stored.previousTokenHash, firstHash);
+    assert.equal(verifyAccessToken(result.token).sessionId, stored._id.toString());
+  });
+
+  it('accepts the new refresh token after a rotation', async () => {
+    const { refreshToken } = await startSession();
+    const rotated = await refreshSession(refreshToken, req);
+
+    assert.ok(await refreshSession(rotated.refreshToken, req));
+    assert.equal(stored.revokedAt, null);
+  });
+
+  it('honours the replaced token within the grace window with the token it was replaced by', async () => {
+    const { refreshToken } = await startSession();
+    const rotated = await refreshSession(refreshToken, req);
+
+    const result = await refreshSession(refreshToken, req);
+
+    assert.ok(result);
+    assert.equal(result.refreshToken, rotated.refreshToken);
+    assert.equal(stored.revokedAt, null);
+  });
+
+  it('gives concurrent refreshes of the same token the same new token', async () => {
+    const { refreshToken } = await startSession();
+
+    const results = await Promise.all([
+      refreshSession(refreshToken, req),
+      refreshSession(refreshToken, req),
+      refreshSession(refreshToken, req)
+    ]);
+
+    results.forEach((result) => assert.ok(result));
+    assert.equal(new Set(results.map((result) => result.refreshToken)).size, 1);
+    assert.equal(Session.findOneAndUpdate.mock.callCount(), 3);
+    assert.equal(stored.revokedAt, null);
+
+    // Long after the race, whichever response the client kept still works
+    storeFields({ rotatedAt: new Date(Date.now() - GRACE_MS - 1000) });
+    assert.ok(await refreshSession(results[1].refreshToken, req));
+    assert.equal(stored.revokedAt, null);
+  });
+
+  it('does not rotate a session revoked during the refresh', async () => {
+    const { refreshToken } = await startSession();
+    Session.findById.mock.mockImplementationOnce(async () => {
+      const current = session();
+      storeFields({ revokedAt: new Date(), revokedReason: 'logout' });
+      return current;
+    });
+
+    assert.equal(await refreshSession(refreshToken, req), null);
+    assert.equal(stored.revokedReason, 'logout');
+  });
+
+  it('revokes the session when a replaced token comes back after the grace window', async () => {
+    const { refreshToken } = await startSession();
+    await refreshSession(refreshToken, req);
+    storeFields({ rotatedAt: new Date(Date.now() - GRACE_MS - 1000) });
+
+    const result = await refreshSession(refreshToken, req);
+
+    assert.equal(result, null);
+    assert.ok(stored.revokedAt);
+    assert.equal(stored.revokedReason, 'reuse');
+  });
+
+  it('revokes the session for a token two rotations old', async () => {
+    const { refreshToken } = await startSession();
+    const second = await refreshSession(refreshToken, req);
+    await refreshSession(second.refreshToken, req);
+
+    assert.equal(await refreshSession(refreshToken, req), null);
+    assert.equal(stored.revokedReason, 'reuse');
+  });
+
+  it('logs reuse with the user, session and request ids', async () => {
+    const { refreshToken } = await startSession();
+    await refreshSession(refreshToken, req);
+    storeFields({ rotatedAt: new Date(Date.now() - GRACE_MS - 1000) });
+
+    await refreshSession(refreshToken, req);
+
+    const [message, details] = console.warn.mock.calls.at(-1).arguments;
+    assert.match(message, /^\[req-1\] /);
+    assert.deepEqual(details, { userId: stored.user.toString(), sessionId: stored._id.toString() });
+  });
+
+  it('rejects every token once the session is revoked for reuse', async () => {
+    const { refreshToken } = await startSession();
+    const rotated = await refreshSession(refreshToken, req);
+    storeFields({ rotatedAt: new Date(Date.now() - GRACE_MS - 1000) });
+    await refreshSession(refreshToken, req);
+
+    assert.equal(await refreshSession(rotated.refreshToken, req), null);
+  });
+
+  it('rejects a token for an expired session', async () => {
+    const { refreshToken } = await startSession();
+    storeFields({ expiresAt: new Date(Date.now() - 1000) });
+
+    assert.equal(await refreshSession(refreshToken, req), null);
+    assert.equal(stored.revokedAt, null);
+  });
+
+  it('rejects malformed tokens without a lookup', async () => {
+    for (const token of [undefined, '', 'abc', 'not-an-id.secret', `${new mongoose.Types.ObjectId()}`]) {
+      assert.equal(await refreshSession(token, req), null);
+    }
+    assert.equal(Session.findById.mock.callCount(), 0);
+  });
+});
+
+describe('two-factor challenges', () => {
+  it('resolve to the user id', () => {
+    assert.equal(verifyTwoFactorChallenge(signTwoFactorChallenge('user-1')), 'user-1');
+  });
+
+  it('are not access tokens, and access tokens are not challenges', async () => {
+    const { token } = await startSession();
+
+    assert.equal(verifyTwoFactorChallenge(token), null);
+    assert.equal(verifyAccessToken(signTwoFactorChallenge('user-1')).sessionId, undefined);
+  });
+
+  it('reject tampered tokens', () => {
+    assert.equal(verifyTwoFactorChallenge(`${signTwoFactorChallenge('user-1')}x`), null);
+  });
+});
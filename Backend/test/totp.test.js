@@ -0,0 +1,171 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecret, hotp, verifyTotp, otpauthUrl } = require('../utils/totp');
+const User = require('../models/User');
+
+// RFC 4226 / RFC 6238 test secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+// A fixed clock in the middle of a step
+const NOW = 1700000000000 + STEP_MS / 2;
+const NOW_STEP = Math.floor(NOW / STEP_MS);
+
+beforeEach(() => {
+  mock.method(Date, 'now', () => NOW);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('hotp', () => {
+  it('matches the RFC 4226 test vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+    expected.forEach((code, counter) => {
+      assert.equal(hotp(RFC_SECRET, counter), code);
+    });
+  });
+
+  it('matches the RFC 6238 SHA-1 vectors, truncated to six digits', () => {
+    assert.equal(hotp(RFC_SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(hotp(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(hotp(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+  });
+});
+
+describe('generateSecret', () => {
+  it('makes a 160-bit base32 secret', () => {
+    const secret = generateSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateSecret());
+  });
+});
+
+describe('verifyTotp', () => {
+  it('accepts the current code and returns its step', () => {
+    assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, NOW_STEP)), NOW_STEP);
+  });
+
+  it('allows one step of clock drift either way', () => {
+    assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, NOW_STEP - 1)), NOW_STEP - 1);
+    assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, NOW_STEP + 1)), NOW_STEP + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, NOW_STEP - 2)), null);
+    assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, NOW_STEP + 2)), null);
+    assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, NOW_STEP - 1), { window: 0 }), null);
+  });
+
+  it('rejects steps at or before afterStep so a code cannot be replayed', () => {
+    const code = hotp(RFC_SECRET, NOW_STEP);
+
+    assert.equal(verifyTotp(RFC_SECRET, code, { afterStep: NOW_STEP }), null);
+    assert.equal(verifyTotp(RFC_SECRET, code, { afterStep: NOW_STEP - 1 }), NOW_STEP);
+    assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, NOW_STEP - 1), { afterStep: NOW_STEP }), null);
+  });
+
+  it('ignores spaces in the code', () => {
+    const code = hotp(RFC_SECRET, NOW_STEP);
+
+    assert.equal(verifyTotp(RFC_SECRET, `${code.substring(0, 3)} ${code.substring(3)}`), NOW_STEP);
+  });
+
+  it('rejects malformed codes', () => {
+    const code = hotp(RFC_SECRET, NOW_STEP);
+
+    for (const value of ['', code.substring(1), `${code}0`, 'abcdef', null, undefined]) {
+      assert.equal(verifyTotp(RFC_SECRET, value), null);
+    }
+  });
+
+  it('rejects a code for another secret', () => {
+    assert.equal(verifyTotp(generateSecret(), hotp(RFC_SECRET, NOW_STEP)), null);
+  });
+});
+
+describe('otpauthUrl', () => {
+  it('describes the secret for authenticator apps', () => {
+    const url = new URL(otpauthUrl({ secret: RFC_SECRET, account: 'user@example.test', issuer: 'Chat' }));
+
+    assert.equal(url.protocol, 'otpauth:');
+    assert.equal(url.host, 'totp');
+    assert.equal(decodeURIComponent(url.pathname), '/Chat:user@example.test');
+    assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(url.searchParams.get('digits'), '6');
+    assert.equal(url.searchParams.get('period'), '30');
+  });
+});
+
+describe('second factor', () => {
+  const enrolledUser = () => new User({
+    username: 'user',
+    email: 'user@example.test',
+    password: 'password',
+    twoFactor: { enabled: true, secret: RFC_SECRET }
+  });
+
+  it('accepts an authenticator code once', () => {
+    const user = enrolledUser();
+    const code = hotp(RFC_SECRET, NOW_STEP);
+
+    assert.equal(user.verifySecondFactor(code), 'totp');
+    assert.equal(user.twoFactor.lastUsedStep, NOW_STEP);
+    assert.equal(user.verifySecondFactor(code), null);
+  });
+
+  it('rejects an earlier code after a later one was used', () => {
+    const user = enrolledUser();
+
+    assert.equal(user.verifySecondFactor(hotp(RFC_SECRET, NOW_STEP + 1)), 'totp');
+    assert.equal(user.verifySecondFactor(hotp(RFC_SECRET, NOW_STEP)), null);
+  });
+
+  it('generates recovery codes that are stored only as hashes', () => {
+    const user = enrolledUser();
+    const codes = user.generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach((code) => assert.match(code, /^[a-f0-9]{5}-[a-f0-9]{5}$/));
+    assert.equal(user.twoFactor.recoveryCodes.length, 10);
+    codes.forEach((code) => assert.equal(user.twoFactor.recoveryCodes.includes(code), false));
+  });
+
+  it('accepts each recovery code once', () => {
+    const user = enrolledUser();
+    const [code] = user.generateRecoveryCodes();
+
+    assert.equal(user.verifySecondFactor(code), 'recovery');
+    assert.equal(user.twoFactor.recoveryCodes.length, 9);
+    assert.equal(user.verifySecondFactor(code), null);
+  });
+
+  it('accepts recovery codes regardless of case and dashes', () => {
+    const user = enrolledUser();
+    const [first, second] = user.generateRecoveryCodes();
+
+    assert.equal(user.verifySecondFactor(first.toUpperCase()), 'recovery');
+    assert.equal(user.verifySecondFactor(second.replace('-', '')), 'recovery');
+  });
+
+  it('drops the old recovery codes when new ones are generated', () => {
+    const user = enrolledUser();
+    const [old] = user.generateRecoveryCodes();
+    user.generateRecoveryCodes();
+
+    assert.equal(user.verifySecondFactor(old), null);
+  });
+
+  it('rejects unknown codes', () => {
+    const user = enrolledUser();
+    user.generateRecoveryCodes();
+
+    assert.equal(user.verifySecondFactor('00000-00000'), null);
+    assert.equal(user.verifySecondFactor(''), null);
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.TWO_FACTOR_MAX_ATTEMPTS = '5';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRouter = require('../routes/auth');
+const requestId = require('../middleware/requestId');
+const { errorHandler } = require('../middleware/errorHandler');
+const { generateSecret, hotp } = require('../utils/totp');
+const { signTwoFactorChallenge } = require('../utils/tokens');
+
+const MAX_ATTEMPTS = 5;
+const secret = generateSecret();
+
+const currentCode = () => hotp(secret, Math.floor(Date.now() / 30000));
+// Far outside the drift window, so never accepted
+const wrongCode = () => hotp(secret, Math.floor(Date.now() / 30000) - 10);
+
+// The user lives in memory; each read gets its own document
+let stored;
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((value, key) => value[key], object)[last] = value;
+};
+
+const matches = (filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = path === '_id' ? stored._id : getPath(stored, path);
+  if (path === '_id') return String(value) === String(condition);
+  if (condition?.$lt !== undefined) return value < condition.$lt;
+  if (condition?.$lte !== undefined) return value !== null && value <= condition.$lte;
+  return value === condition;
+});
+
+const applyUpdate = ({ $set = {}, $inc = {} }) => {
+  Object.entries($set).forEach(([path, value]) => setPath(stored, path, value));
+  Object.entries($inc).forEach(([path, value]) => setPath(stored, path, getPath(stored, path) + value));
+};
+
+const userDocument = () => User.hydrate({ ...stored, twoFactor: { ...stored.twoFactor } });
+
+describe('POST /api/auth/login/2fa', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const app = express();
+    app.use(requestId);
+    app.use(express.json());
+    app.use('/api/auth', authRouter);
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/auth/login/2fa`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId().toString(),
+      username: 'user',
+      email: 'user@example.test',
+      isActive: true,
+      twoFactor: {
+        enabled: true,
+        secret,
+        recoveryCodes: [],
+        lastUsedStep: -1,
+        failedAttempts: 0,
+        lockedUntil: null
+      }
+    };
+
+    mock.method(User, 'findById', async (id) => (String(id) === stored._id ? userDocument() : null));
+    mock.method(User, 'updateOne', async (filter, update) => {
+      if (!matches(filter)) return { modifiedCount: 0 };
+      applyUpdate(update);
+      return { modifiedCount: 1 };
+    });
+    mock.method(User, 'findOneAndUpdate', (filter, update) => ({
+      select: async () => {
+        if (!matches(filter)) return null;
+        applyUpdate(update);
+        return userDocument();
+      }
+    }));
+    mock.method(User.prototype, 'save', async function() {
+      const { twoFactor } = this.toObject();
+      stored.twoFactor = { ...stored.twoFactor, ...twoFactor };
+      return this;
+    });
+    mock.method(Session.prototype, 'save', async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const attempt = async (code, challengeToken = signTwoFactorChallenge(stored._id)) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken, code })
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  it('signs in with a correct code and clears earlier failures', async () => {
+    await attempt(wrongCode());
+    await attempt(wrongCode());
+
+    const { status, body } = await attempt(currentCode());
+
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.equal(stored.twoFactor.failedAttempts, 0);
+  });
+
+  it(`locks sign-in after ${MAX_ATTEMPTS} wrong codes, even with the right one`, async () => {
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      assert.equal((await attempt(wrongCode())).body.code, 'AUTH_INVALID_CODE');
+    }
+
+    const { status, headers, body } = await attempt(currentCode());
+
+    assert.equal(status, 429);
+    assert.equal(body.code, 'AUTH_TOO_MANY_ATTEMPTS');
+    assert.ok(Number(headers.get('retry-after')) > 14 * 60);
+    assert.ok(stored.twoFactor.lockedUntil > new Date());
+  });
+
+  it('counts failures across challenges', async () => {
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      await attempt(wrongCode(), signTwoFactorChallenge(stored._id));
+    }
+
+    assert.equal((await attempt(currentCode(), signTwoFactorChallenge(stored._id))).status, 429);
+  });
+
+  it('does not let parallel guesses past the limit', async () => {
+    const results = await Promise.all(Array.from({ length: MAX_ATTEMPTS * 2 }, () => attempt(wrongCode())));
+
+    assert.equal(results.filter((result) => result.body.code === 'AUTH_INVALID_CODE').length, MAX_ATTEMPTS);
+    assert.equal(results.filter((result) => result.status === 429).length, MAX_ATTEMPTS);
+  });
+
+  it('accepts codes again once the lock runs out', async () => {
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      await attempt(wrongCode());
+    }
+    stored.twoFactor.lockedUntil = new Date(Date.now() - 1000);
+
+    const { status } = await attempt(currentCode());
+
+    assert.equal(status, 200);
+    assert.equal(stored.twoFactor.failedAttempts, 0);
+    assert.equal(stored.twoFactor.lockedUntil, null);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const uploadAttachments = require('../middleware/upload');
+const requestId = require('../middleware/requestId');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const KB = 1024;
+
+// How each type starts, so fixtures pass the content check
+const HEADERS = {
+  'image/png': Buffer.from('89504e470d0a1a0a', 'hex'),
+  'image/jpeg': Buffer.from('ffd8ffe0', 'hex'),
+  'image/webp': Buffer.from('RIFF\0\0\0\0WEBP'),
+  'application/pdf': Buffer.from('%PDF-1.7\n')
+};
+
+const file = (name, type, size, content) => {
+  const header = HEADERS[type] || Buffer.alloc(0);
+  const body = content || Buffer.concat([header, Buffer.alloc(Math.max(size - header.length, 0), 'a')]);
+  return [new Blob([body], { type }), name];
+};
+
+describe('uploadAttachments', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const app = express();
+    app.use(requestId);
+    app.use(express.json());
+    app.post('/upload', uploadAttachments, (req, res) => {
+      res.json({
+        body: req.body,
+        files: (req.files || []).map(({ originalname, mimetype, size }) => ({ originalname, mimetype, size }))
+      });
+    });
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/upload`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const send = async (files, fields = { prompt: 'Describe this' }) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    files.forEach(([blob, name]) => form.append('attachments', blob, name));
+
+    const response = await fetch(url, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const assertRejected = ({ status, body }, message) => {
+    assert.equal(status, 400);
+    assert.equal(body.code, 'ATTACHMENT_INVALID');
+    assert.match(body.message, message);
+  };
+
+  it('accepts allowed types within their limits', async () => {
+    const { status, body } = await send([
+      file('photo.png', 'image/png', 100 * KB),
+      file('notes.txt', 'text/plain', 10 * KB)
+    ]);
+
+    assert.equal(status, 200);
+    assert.equal(body.body.prompt, 'Describe this');
+    assert.deepEqual(body.files.map((item) => item.mimetype), ['image/png', 'text/plain']);
+  });
+
+  it('lets JSON prompts through untouched', async () => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt: 'Hello' })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, { body: { prompt: 'Hello' }, files: [] });
+  });
+
+  it('rejects types that are not allowed', async () => {
+    assertRejected(await send([file('run.sh', 'application/x-sh', KB)]), /Only PNG, JPEG, WebP, PDF and plain text/);
+  });
+
+  it('rejects more than four attachments', async () => {
+    const files = Array.from({ length: 5 }, (_, index) => file(`${index}.txt`, 'text/plain', KB));
+
+    assertRejected(await send(files), /At most 4 attachments/);
+  });
+
+  it('applies the limit for each type', async () => {
+    assertRejected(await send([file('big.txt', 'text/plain', 600 * KB)]), /big\.txt exceeds the 512 KB limit/);
+    assertRejected(await send([file('big.pdf', 'application/pdf', 3 * KB * KB)]), /big\.pdf exceeds the 2048 KB limit/);
+  });
+
+  it('accepts each allowed type with matching content', async () => {
+    const { status } = await send([
+      file('photo.jpg', 'image/jpeg', KB),
+      file('photo.webp', 'image/webp', KB),
+      file('paper.pdf', 'application/pdf', KB),
+      file('data.csv', 'text/csv', 0, Buffer.from('name,city\nZoë,Košice\n'))
+    ]);
+
+    assert.equal(status, 200);
+  });
+
+  it('rejects content that does not match the claimed type', async () => {
+    assertRejected(
+      await send([file('photo.png', 'image/png', 0, Buffer.from('<html><script>alert(1)</script>'))]),
+      /photo\.png is not a valid image\/png file/
+    );
+    assertRejected(
+      await send([file('paper.pdf', 'application/pdf', 0, HEADERS['image/png'])]),
+      /paper\.pdf is not a valid application\/pdf file/
+    );
+  });
+
+  it('rejects binary files posing as text', async () => {
+    assertRejected(await send([file('notes.txt', 'text/plain', 0, Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x00, 0x01]))]), /not a valid text\/plain/);
+    assertRejected(await send([file('notes.txt', 'text/plain', 0, Buffer.from([0x68, 0xff, 0xfe, 0x69]))]), /not a valid text\/plain/);
+  });
+
+  it('rejects files over the largest limit', async () => {
+    assertRejected(await send([file('huge.png', 'image/png', 6 * KB * KB)]), /too large/);
+  });
+});
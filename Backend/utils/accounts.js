@@ -0,0 +1,53 @@
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Conversation = require('../models/Conversation');
+const Asset = require('../models/Asset');
+const ShareLink = require('../models/ShareLink');
+const Session = require('../models/Session');
+const Usage = require('../models/Usage');
+const Quota = require('../models/Quota');
+const UserToken = require('../models/UserToken');
+const Persona = require('../models/Persona');
+const PromptTemplate = require('../models/PromptTemplate');
+const responseCache = require('../cache');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 7;
+
+// When an account deleted now will be purged
+const deletionDate = () => new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+// Remove a user and everything they own. Stored files go first so nothing is
+// left orphaned in storage if a later step fails and the purge is retried.
+const purgeUser = async (userId) => {
+  await Asset.purge({ user: userId });
+  await Promise.all([
+    Chat.deleteMany({ user: userId }),
+    Conversation.deleteMany({ user: userId }),
+    ShareLink.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    Usage.deleteMany({ user: userId }),
+    Quota.deleteMany({ user: userId }),
+    UserToken.deleteMany({ user: userId }),
+    Persona.deleteMany({ user: userId }),
+    PromptTemplate.deleteMany({ user: userId }),
+    responseCache.clearUser(userId)
+  ]);
+  await User.deleteOne({ _id: userId });
+};
+
+// Purge every account whose grace period has ended; returns how many went
+const purgeDueAccounts = async () => {
+  const users = await User.find({ deletionScheduledAt: { $ne: null, $lte: new Date() } }).select('_id');
+
+  for (const user of users) {
+    await purgeUser(user._id);
+  }
+  return users.length;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  deletionDate,
+  purgeUser,
+  purgeDueAccounts
+};
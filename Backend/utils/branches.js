@@ -0,0 +1,104 @@
+const Chat = require('../models/Chat');
+
+// Turns form a tree: each chat points at the turn it follows, and
+// regenerated or edited turns are siblings under the same parent. Chats saved
+// before branching existed have no parent field and continue the chat
+// created just before them.
+const buildTree = (chats) => {
+  const byId = new Map();
+  const parentOf = new Map();
+  const children = new Map();
+
+  chats.forEach((chat, index) => {
+    const id = String(chat._id);
+    let parent = chat.parent === undefined
+      ? (index > 0 ? String(chats[index - 1]._id) : null)
+      : (chat.parent && String(chat.parent));
+
+    // A parent outside this conversation (e.g. deleted) makes the chat a root
+    if (parent && !byId.has(parent)) parent = null;
+
+    byId.set(id, chat);
+    parentOf.set(id, parent);
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(id);
+  });
+
+  return { byId, parentOf, children };
+};
+
+// Load a conversation's chats, oldest first, as a tree
+const loadTree = async (conversationId, select) => {
+  let query = Chat.find({ conversation: conversationId }).sort({ createdAt: 1 });
+  if (select) query = query.select(select);
+  return buildTree(await query);
+};
+
+// Follow the newest child down from a chat to a leaf
+const latestLeaf = (tree, chatId) => {
+  let id = String(chatId);
+  while (tree.children.get(id)?.length) {
+    const siblings = tree.children.get(id);
+    id = siblings[siblings.length - 1];
+  }
+  return id;
+};
+
+// The leaf of the branch being shown: the conversation's current chat, or
+// the newest chat (always a leaf) when that's unset or gone
+const currentLeaf = (tree, conversation) => {
+  const current = conversation.currentChat && String(conversation.currentChat);
+  if (current && tree.byId.has(current)) return current;
+
+  const ids = [...tree.byId.keys()];
+  return ids.length > 0 ? ids[ids.length - 1] : null;
+};
+
+// Chats from the root down to `leafId`
+const pathTo = (tree, leafId) => {
+  const path = [];
+  let id = leafId && String(leafId);
+  while (id) {
+    path.unshift(tree.byId.get(id));
+    id = tree.parentOf.get(id);
+  }
+  return path;
+};
+
+// Ids of a chat and its alternative versions, oldest first
+const siblingIds = (tree, chatId) => tree.children.get(tree.parentOf.get(String(chatId))) || [];
+
+// Every chat below `chatId`, including itself
+const subtreeIds = (tree, chatId) => {
+  const ids = [String(chatId)];
+  for (let i = 0; i < ids.length; i++) {
+    ids.push(...(tree.children.get(ids[i]) || []));
+  }
+  return ids;
+};
+
+// The active branch of a conversation, each chat with its sibling ids so the
+// client can flip between versions
+const activeBranch = async (conversation) => {
+  const tree = await loadTree(conversation._id, '-user');
+  const leaf = currentLeaf(tree, conversation);
+
+  return {
+    currentChatId: leaf,
+    chats: pathTo(tree, leaf).map((chat) => ({
+      ...chat.toJSON(),
+      siblingIds: siblingIds(tree, chat._id)
+    }))
+  };
+};
+
+module.exports = {
+  buildTree,
+  loadTree,
+  latestLeaf,
+  currentLeaf,
+  pathTo,
+  siblingIds,
+  subtreeIds,
+  activeBranch
+};
@@ -0,0 +1,32 @@
+const UserToken = require('../models/UserToken');
+const mailer = require('../mailer');
+const { verificationEmail } = require('../mailer/templates');
+const { clientUrl } = require('./urls');
+
+const VERIFICATION_TTL_HOURS = parseInt(process.env.VERIFICATION_TTL_HOURS) || 24;
+
+// Email a fresh verification link; a failed send is logged, not fatal, since
+// the user can ask for another one
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'email_verification', VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  user.verificationSentAt = new Date();
+  await user.save();
+
+  try {
+    await mailer.send({
+      to: user.email,
+      ...verificationEmail({
+        username: user.username,
+        url: clientUrl(`/verify-email?token=${token}`),
+        expiresInHours: VERIFICATION_TTL_HOURS
+      })
+    });
+  } catch (error) {
+    console.error('Verification mail error:', error.message);
+  }
+};
+
+module.exports = {
+  sendVerificationEmail
+};
@@ -0,0 +1,149 @@
+const { ProviderError } = require('../providers/http');
+
+// Errors the API reports to clients. Each has an HTTP status and a stable
+// `code` clients can branch on; the message is safe to show to users and
+// `details` are extra fields for the response body. Codes in use:
+//   VALIDATION_FAILED, BAD_REQUEST, INVALID_JSON, PAYLOAD_TOO_LARGE,
+//   ATTACHMENT_INVALID, NOT_FOUND, FORBIDDEN, CONFLICT, RATE_LIMITED,
+//   QUOTA_EXCEEDED,
+//   AUTH_REQUIRED, AUTH_INVALID_TOKEN, AUTH_TOKEN_EXPIRED, AUTH_SESSION_REVOKED,
+//   AUTH_INVALID_CREDENTIALS, AUTH_INVALID_CODE, AUTH_CHALLENGE_EXPIRED,
+//   AUTH_INVALID_REFRESH_TOKEN, AUTH_LOGIN_EXPIRED, AUTH_TOO_MANY_ATTEMPTS,
+//   ACCOUNT_EXISTS, ACCOUNT_DEACTIVATED, EMAIL_NOT_VERIFIED,
+//   EMAIL_ALREADY_VERIFIED, LINK_INVALID, EMAIL_IN_USE, USERNAME_TAKEN,
+//   CONFIRMATION_MISMATCH,
+//   DELETION_ALREADY_SCHEDULED, DELETION_NOT_SCHEDULED, CANNOT_MODIFY_SELF,
+//   PERSONA_EXISTS, PERSONA_LIMIT_REACHED, TEMPLATE_LIMIT_REACHED,
+//   TWO_FACTOR_ALREADY_ENABLED, TWO_FACTOR_NOT_ENABLED, TWO_FACTOR_SETUP_REQUIRED,
+//   PROVIDER_REJECTED, PROVIDER_MISCONFIGURED, PROVIDER_RATE_LIMITED,
+//   PROVIDER_UNAVAILABLE, PROVIDER_TIMEOUT, EMPTY_RESPONSE, STREAM_INTERRUPTED,
+//   INTERNAL_ERROR
+class AppError extends Error {
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// express-validator failures; `errors` keeps the per-field list
+class ValidationError extends AppError {
+  constructor(errors) {
+    super(errors[0]?.msg || 'Invalid request', 400, 'VALIDATION_FAILED', { errors });
+    this.name = 'ValidationError';
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, code = 'BAD_REQUEST', details) {
+    super(message, 400, code, details);
+    this.name = 'BadRequestError';
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, code = 'AUTH_INVALID_TOKEN') {
+    super(message, 401, code);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, code = 'FORBIDDEN') {
+    super(message, 403, code);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, 404, code);
+    this.name = 'NotFoundError';
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, 409, code);
+    this.name = 'ConflictError';
+  }
+}
+
+// `details.retryAfter`, in seconds, is also sent as a Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(message, code = 'RATE_LIMITED', details) {
+    super(message, 429, code, details);
+    this.name = 'TooManyRequestsError';
+  }
+}
+
+// Provider failures by upstream status. Their own messages can carry keys,
+// quotas or prompt fragments, so clients only ever see these.
+const providerErrors = {
+  400: [400, 'PROVIDER_REJECTED', 'The model provider could not handle this request'],
+  401: [502, 'PROVIDER_MISCONFIGURED', 'The model provider is not configured correctly'],
+  403: [502, 'PROVIDER_MISCONFIGURED', 'The model provider is not configured correctly'],
+  429: [429, 'PROVIDER_RATE_LIMITED', 'The model provider is receiving too many requests'],
+  504: [504, 'PROVIDER_TIMEOUT', 'The model provider took too long to respond']
+};
+const PROVIDER_UNAVAILABLE = [503, 'PROVIDER_UNAVAILABLE', 'The model provider is temporarily unavailable'];
+
+const fromProviderError = (error) => {
+  const [status, code, message] = providerErrors[error.status] || PROVIDER_UNAVAILABLE;
+  const details = error.retryAfter ? { retryAfter: Math.ceil(error.retryAfter / 1000) } : {};
+  return new AppError(message, status, code, details);
+};
+
+// The field a MongoDB duplicate key error (E11000) is about, e.g. when a
+// concurrent request saved the same email first. Null for other errors.
+const duplicateKeyField = (error) => {
+  if (error?.code !== 11000) return null;
+  return Object.keys(error.keyPattern || error.keyValue || {}).pop() || '';
+};
+
+// Turn anything thrown while handling a request into an AppError. Unknown
+// errors become a generic 500 so internals never reach the client.
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+  if (error instanceof ProviderError) return fromProviderError(error);
+
+  // body-parser failures
+  if (error.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', 'INVALID_JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new AppError('Request body is too large', 413, 'PAYLOAD_TOO_LARGE');
+  }
+  // A unique index caught what the route's own check missed
+  if (duplicateKeyField(error) !== null) {
+    return new ConflictError('This already exists');
+  }
+  // A malformed id in the URL
+  if (error.name === 'CastError') {
+    return new BadRequestError(`Invalid ${error.path}`);
+  }
+
+  return new AppError('Something went wrong on our side');
+};
+
+// Route handlers may be async; forward whatever they throw to the error
+// middleware, which Express 4 does not do by itself
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  duplicateKeyField,
+  toAppError,
+  asyncHandler
+};
@@ -0,0 +1,180 @@
+const PDFDocument = require('pdfkit');
+const { buildTree, currentLeaf } = require('./branches');
+
+// Bump EXPORT_VERSION whenever the JSON layout changes; import checks it
+const EXPORT_SCHEMA = 'fiit-chat-export';
+// Version 2 added parentId and currentChatId for branched conversations.
+// Version 3 carries the stored files chats use in `assets`, which chats
+// refer to by their relative /api/assets/ path or attachment assetId.
+const EXPORT_VERSION = 3;
+
+const ASSET_PATH = /\/api\/assets\/([a-f0-9]{24})$/;
+
+// The stored asset a chat's image URL points at, if any. Version 2 exports
+// used absolute URLs, so only the end of the path counts.
+const assetIdFromUrl = (url) => (typeof url === 'string' && url.match(ASSET_PATH)?.[1]) || null;
+
+const serializeChat = (chat, parentId = null) => ({
+  id: chat._id,
+  parentId,
+  prompt: chat.prompt,
+  response: chat.response,
+  type: chat.type,
+  model: chat.model,
+  provider: chat.provider,
+  imageUrl: chat.imageUrl,
+  attachments: (chat.attachments || []).map(({ asset, filename, mimeType, size }) => ({
+    assetId: asset || null,
+    filename,
+    mimeType,
+    size
+  })),
+  tokens: {
+    prompt: chat.promptTokens || 0,
+    completion: chat.completionTokens || 0
+  },
+  createdAt: chat.createdAt
+});
+
+// Group chats under their conversations, every version included with its
+// parent; chats from before conversations existed go into a single untitled
+// group. `chats` must be oldest first.
+const buildExport = ({ conversations, chats }) => {
+  const byConversation = new Map(conversations.map((conversation) => [String(conversation._id), []]));
+  const looseChats = [];
+
+  chats.forEach((chat) => {
+    (byConversation.get(String(chat.conversation)) || looseChats).push(chat);
+  });
+
+  const groups = conversations.map((conversation) => {
+    const tree = buildTree(byConversation.get(String(conversation._id)));
+
+    return {
+      id: conversation._id,
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      currentChatId: currentLeaf(tree, conversation),
+      chats: [...tree.byId.values()].map((chat) => serializeChat(chat, tree.parentOf.get(String(chat._id))))
+    };
+  });
+
+  const loose = looseChats.length > 0 && {
+    id: null,
+    title: 'Other chats',
+    createdAt: looseChats[0].createdAt,
+    currentChatId: null,
+    chats: looseChats.map((chat) => serializeChat(chat))
+  };
+
+  return {
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations: loose ? [...groups, loose] : groups
+  };
+};
+
+// The turns of a conversation's current branch, each with its version
+// number among its siblings; ungrouped chats are listed as they are
+const branchTurns = (conversation) => {
+  if (!conversation.currentChatId) {
+    return conversation.chats.map((chat) => ({ chat, version: 1, versions: 1 }));
+  }
+
+  const byId = new Map(conversation.chats.map((chat) => [String(chat.id), chat]));
+  const turns = [];
+  let chat = byId.get(String(conversation.currentChatId));
+
+  while (chat) {
+    const parentId = chat.parentId && String(chat.parentId);
+    const siblings = conversation.chats.filter((other) => (other.parentId && String(other.parentId)) === parentId);
+    turns.unshift({ chat, version: siblings.indexOf(chat) + 1, versions: siblings.length });
+    chat = parentId && byId.get(parentId);
+  }
+  return turns;
+};
+
+// Ids of the stored assets the exported chats use
+const exportedAssetIds = (data) => {
+  const ids = new Set();
+  data.conversations.forEach((conversation) => conversation.chats.forEach((chat) => {
+    const imageAsset = assetIdFromUrl(chat.imageUrl);
+    if (imageAsset) ids.add(imageAsset);
+    chat.attachments.forEach((attachment) => attachment.assetId && ids.add(String(attachment.assetId)));
+  }));
+  return [...ids];
+};
+
+// Markdown and PDF are read outside the app, so their links are absolute
+const absoluteUrl = (url, apiBase) => (url.startsWith('/') ? `${apiBase}${url}` : url);
+
+const formatDate = (date) => new Date(date).toISOString().replace('T', ' ').substring(0, 16) + ' UTC';
+
+const toMarkdown = (data, { apiBase }) => {
+  const lines = [`# Chat export`, '', `Exported ${formatDate(data.exportedAt)}`, ''];
+
+  data.conversations.forEach((conversation) => {
+    lines.push(`## ${conversation.title}`, '');
+
+    branchTurns(conversation).forEach(({ chat, version, versions }) => {
+      const versionNote = versions > 1 ? ` · version ${version} of ${versions}` : '';
+      lines.push(`**You** · ${formatDate(chat.createdAt)}${versionNote}`, '', chat.prompt, '');
+      chat.attachments.forEach((attachment) => {
+        lines.push(`> Attachment: ${attachment.filename} (${attachment.mimeType})`);
+      });
+      if (chat.attachments.length > 0) lines.push('');
+
+      lines.push(`**${chat.model || 'Assistant'}** · ${formatDate(chat.createdAt)}`, '', chat.response, '');
+      if (chat.imageUrl) {
+        lines.push(`![${chat.prompt.replace(/[[\]]/g, '')}](${absoluteUrl(chat.imageUrl, apiBase)})`, '');
+      }
+      lines.push('---', '');
+    });
+  });
+
+  return lines.join('\n');
+};
+
+// Write a printable PDF of the export to a writable stream
+const writePdf = (data, stream, { apiBase }) => {
+  const doc = new PDFDocument({ margin: 50, size: 'A4', info: { Title: 'Chat export' } });
+  doc.pipe(stream);
+
+  doc.fontSize(20).text('Chat export');
+  doc.fontSize(10).fillColor('#666').text(`Exported ${formatDate(data.exportedAt)}`);
+
+  data.conversations.forEach((conversation) => {
+    doc.moveDown(1.5).fontSize(16).fillColor('#000').text(conversation.title);
+
+    branchTurns(conversation).forEach(({ chat, version, versions }) => {
+      const versionNote = versions > 1 ? ` · version ${version} of ${versions}` : '';
+      doc.moveDown(0.8).fontSize(10).fillColor('#6b21a8')
+        .text(`You · ${formatDate(chat.createdAt)}${versionNote}`);
+      doc.fontSize(11).fillColor('#000').text(chat.prompt);
+      chat.attachments.forEach((attachment) => {
+        doc.fontSize(9).fillColor('#666').text(`Attachment: ${attachment.filename} (${attachment.mimeType})`);
+      });
+
+      doc.moveDown(0.4).fontSize(10).fillColor('#6b21a8')
+        .text(`${chat.model || 'Assistant'} · ${formatDate(chat.createdAt)}`);
+      doc.fontSize(11).fillColor('#000').text(chat.response);
+      if (chat.imageUrl) {
+        const imageUrl = absoluteUrl(chat.imageUrl, apiBase);
+        doc.fontSize(9).fillColor('#1d4ed8').text(`Image: ${imageUrl}`, { link: imageUrl });
+      }
+    });
+  });
+
+  doc.end();
+};
+
+module.exports = {
+  EXPORT_SCHEMA,
+  EXPORT_VERSION,
+  assetIdFromUrl,
+  buildExport,
+  exportedAssetIds,
+  toMarkdown,
+  writePdf
+};
@@ -0,0 +1,45 @@
+const { TextDecoder } = require('util');
+
+// How files of each type start; the type a client claims is only believed
+// when the content agrees
+const SIGNATURES = {
+  'image/png': [{ offset: 0, bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) }],
+  'image/jpeg': [{ offset: 0, bytes: Buffer.from([0xff, 0xd8, 0xff]) }],
+  'image/webp': [{ offset: 0, bytes: Buffer.from('RIFF') }, { offset: 8, bytes: Buffer.from('WEBP') }],
+  'application/pdf': [{ offset: 0, bytes: Buffer.from('%PDF-') }]
+};
+
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/csv'];
+
+const startsWith = (buffer, { offset, bytes }) => buffer.length >= offset + bytes.length
+  && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+
+// Text has to be valid UTF-8 without NUL bytes, which binaries are full of
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether the content of `buffer` is really of `mimeType`
+const matchesType = (buffer, mimeType) => {
+  if (SIGNATURES[mimeType]) {
+    return SIGNATURES[mimeType].every((signature) => startsWith(buffer, signature));
+  }
+  if (TEXT_TYPES.includes(mimeType)) {
+    return isText(buffer);
+  }
+  // Generated images from the stub generator
+  if (mimeType === 'image/svg+xml') {
+    return isText(buffer) && buffer.toString('utf8').includes('<svg');
+  }
+  return false;
+};
+
+module.exports = {
+  matchesType
+};
@@ -0,0 +1,122 @@
+const { body } = require('express-validator');
+const GenerationLimits = require('../models/GenerationLimits');
+
+// Built-in sampling defaults, used until an administrator changes them.
+// Field names follow Gemini; the other adapters map what they support.
+const DEFAULT_GENERATION_CONFIG = {
+  temperature: 0.7,
+  topK: 40,
+  topP: 0.95,
+  maxOutputTokens: 1024
+};
+
+// Absolute bounds the providers accept; admin ranges must sit inside these
+const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topK: { min: 1, max: 100, integer: true },
+  topP: { min: 0, max: 1 },
+  maxOutputTokens: { min: 1, max: 8192, integer: true }
+};
+
+const GENERATION_FIELDS = Object.keys(GENERATION_LIMITS);
+
+const MAX_STOP_SEQUENCES = 5;
+const MAX_STOP_SEQUENCE_LENGTH = 100;
+const RESPONSE_MIME_TYPES = ['text/plain', 'application/json'];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// The ranges, defaults and options in force: admin limits layered over the
+// built-in ones
+const loadGenerationPolicy = async () => {
+  const limits = await GenerationLimits.findOne().lean();
+  const ranges = {};
+  const defaults = {};
+
+  GENERATION_FIELDS.forEach((field) => {
+    const configured = limits?.[field] || {};
+    const min = configured.min ?? GENERATION_LIMITS[field].min;
+    const max = configured.max ?? GENERATION_LIMITS[field].max;
+
+    ranges[field] = { min, max };
+    defaults[field] = clamp(configured.default ?? DEFAULT_GENERATION_CONFIG[field], min, max);
+  });
+
+  return {
+    ranges,
+    defaults,
+    maxStopSequences: limits?.maxStopSequences ?? MAX_STOP_SEQUENCES,
+    allowJsonMode: limits?.allowJsonMode ?? true
+  };
+};
+
+// Validators for optional sampling settings under `prefix` (e.g.
+// 'generationConfig.'), checked against req.generationPolicy. null means
+// "use the default".
+const generationValidators = (prefix = '') => GENERATION_FIELDS.map((field) => {
+  const chain = body(`${prefix}${field}`).optional({ nullable: true });
+
+  return (GENERATION_LIMITS[field].integer ? chain.isInt() : chain.isFloat())
+    .withMessage(`${field} must be a number`)
+    .bail()
+    .toFloat()
+    .custom((value, { req }) => {
+      const { min, max } = req.generationPolicy.ranges[field];
+      if (value < min || value > max) {
+        throw new Error(`${field} must be between ${min} and ${max}`);
+      }
+      return true;
+    });
+});
+
+// Stop sequences and JSON mode, accepted per request. Multipart bodies carry
+// a single stop sequence as a plain string.
+const outputValidators = [
+  body('stopSequences').optional()
+    .customSanitizer((value) => (Array.isArray(value) ? value : [value]))
+    .custom((value, { req }) => {
+      if (value.length > req.generationPolicy.maxStopSequences) {
+        throw new Error(`At most ${req.generationPolicy.maxStopSequences} stop sequences are allowed`);
+      }
+      if (value.some((sequence) => typeof sequence !== 'string' || !sequence || sequence.length > MAX_STOP_SEQUENCE_LENGTH)) {
+        throw new Error(`Stop sequences must be 1-${MAX_STOP_SEQUENCE_LENGTH} characters`);
+      }
+      return true;
+    }),
+  body('responseMimeType').optional()
+    .isIn(RESPONSE_MIME_TYPES).withMessage('Response type must be text/plain or application/json')
+    .bail()
+    .custom((value, { req }) => value !== 'application/json' || req.generationPolicy.allowJsonMode)
+    .withMessage('JSON mode is disabled')
+];
+
+// The config for one request: the policy defaults overlaid by each override
+// in turn (persona, then request body), clamped to the policy's ranges
+const buildGenerationConfig = (policy, ...overrides) => overrides.reduce((config, override) => {
+  GENERATION_FIELDS.forEach((field) => {
+    if (override?.[field] !== null && override?.[field] !== undefined) {
+      const { min, max } = policy.ranges[field];
+      config[field] = clamp(override[field], min, max);
+    }
+  });
+
+  if (override?.stopSequences) {
+    config.stopSequences = override.stopSequences;
+  }
+  if (override?.responseMimeType) {
+    config.responseMimeType = override.responseMimeType;
+  }
+  return config;
+}, { ...policy.defaults, stopSequences: [], responseMimeType: 'text/plain' });
+
+module.exports = {
+  DEFAULT_GENERATION_CONFIG,
+  GENERATION_LIMITS,
+  GENERATION_FIELDS,
+  MAX_STOP_SEQUENCES,
+  RESPONSE_MIME_TYPES,
+  loadGenerationPolicy,
+  generationValidators,
+  outputValidators,
+  buildGenerationConfig
+};
@@ -0,0 +1,37 @@
+// Search terms from a $text query string, without quotes or negated words
+const searchTerms = (query) => query
+  .replace(/"/g, ' ')
+  .split(/\s+/)
+  .filter((term) => term && !term.startsWith('-'))
+  .map((term) => term.toLowerCase());
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cut a window of text around the first matching term and split it into
+// segments flagged as matches, so clients can highlight without parsing HTML
+const buildSnippet = (text, terms, radius = 80) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  const first = text.search(pattern);
+  if (first === -1) return null;
+
+  const start = Math.max(first - radius, 0);
+  const end = Math.min(first + radius * 2, text.length);
+  const window = text.substring(start, end);
+
+  const segments = window.split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+
+  return segments;
+};
+
+module.exports = {
+  escapeRegExp,
+  searchTerms,
+  buildSnippet
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { OIDC_STATE_SECRET } = require('./secrets');
+
+// OpenID Connect providers come from env. OIDC_PROVIDERS lists their ids,
+// and each id has its own settings, e.g. for `google`:
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...     (optional for public clients)
+//   OIDC_GOOGLE_NAME=Google           (button label, defaults to the id)
+//   OIDC_GOOGLE_SCOPES=openid email profile
+const loadProviders = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map((id) => id.trim().toLowerCase())
+  .filter(Boolean)
+  .reduce((providers, id) => {
+    const env = (key) => process.env[`OIDC_${id.toUpperCase()}_${key}`];
+
+    if (!env('ISSUER') || !env('CLIENT_ID')) {
+      console.warn(`OIDC provider "${id}" is missing an issuer or client id, skipping it`);
+      return providers;
+    }
+
+    providers[id] = {
+      id,
+      name: env('NAME') || id,
+      issuer: env('ISSUER').replace(/\/$/, ''),
+      clientId: env('CLIENT_ID'),
+      clientSecret: env('CLIENT_SECRET') || null,
+      scopes: env('SCOPES') || 'openid email profile'
+    };
+    return providers;
+  }, {});
+
+const providers = loadProviders();
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const getProvider = (id) => providers[id] || null;
+
+const listProviders = () => Object.values(providers).map(({ id, name }) => ({ id, name }));
+
+// Endpoints from the issuer's discovery document, fetched once
+const discover = async (provider) => {
+  if (!discoveryCache.has(provider.id)) {
+    const response = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+    discoveryCache.set(provider.id, response.data);
+  }
+  return discoveryCache.get(provider.id);
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Random state, nonce and PKCE verifier for one login attempt
+const createLoginParams = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+// A keyed hash of the state, set as a cookie when a login starts. The
+// callback only accepts a state matching the cookie, so a callback URL from
+// a login someone else started cannot sign this browser in (login CSRF).
+const stateBinding = (state) => crypto.createHmac('sha256', OIDC_STATE_SECRET).update(state).digest('base64url');
+
+const stateMatchesBinding = (state, binding) => {
+  if (!state || !binding) return false;
+
+  const expected = Buffer.from(stateBinding(String(state)));
+  const actual = Buffer.from(String(binding));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const authorizationUrl = async (provider, { redirectUri, state, nonce, codeChallenge }) => {
+  const { authorization_endpoint: endpoint } = await discover(provider);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${endpoint}?${params}`;
+};
+
+// Trade the authorization code for tokens
+const exchangeCode = async (provider, { code, codeVerifier, redirectUri }) => {
+  const { token_endpoint: endpoint } = await discover(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  const response = await axios.post(endpoint, params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 10000,
+    validateStatus: () => true
+  });
+
+  if (response.status !== 200 || !response.data.id_token) {
+    throw new Error(`Token exchange failed: ${response.data?.error_description || response.data?.error || response.status}`);
+  }
+
+  return response.data;
+};
+
+// Public key for a token's `kid`, refreshing the key set once when the
+// provider has rotated its keys
+const signingKey = async (provider, kid) => {
+  const findKey = (keys) => keys.find((key) => !kid || key.kid === kid);
+
+  let keys = jwksCache.get(provider.id);
+  if (!keys || !findKey(keys)) {
+    const { jwks_uri: uri } = await discover(provider);
+    const response = await axios.get(uri, { timeout: 10000 });
+    keys = response.data.keys || [];
+    jwksCache.set(provider.id, keys);
+  }
+
+  const jwk = findKey(keys);
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Check the ID token's signature, issuer, audience, expiry and nonce, and
+// return its claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const { issuer } = await discover(provider);
+  const claims = jwt.verify(idToken, await signingKey(provider, decoded.header.kid), {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createLoginParams,
+  stateBinding,
+  stateMatchesBinding,
+  authorizationUrl,
+  exchangeCode,
+  verifyIdToken
+};
@@ -0,0 +1,27 @@
+require('dotenv').config();
+const crypto = require('crypto');
+
+// Secrets that sign tokens and cookies, read once. Without JWT_SECRET anyone
+// could forge access tokens, so production refuses to start; elsewhere each
+// process makes up its own, which signs everyone out on restart.
+const readJwtSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  console.warn('JWT_SECRET is not set, using a random secret for this process');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const JWT_SECRET = readJwtSecret();
+
+// Keys the cookie that ties an OIDC login to the browser that started it
+const OIDC_STATE_SECRET = process.env.OIDC_STATE_SECRET || JWT_SECRET;
+
+module.exports = {
+  JWT_SECRET,
+  OIDC_STATE_SECRET
+};
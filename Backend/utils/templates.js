@@ -0,0 +1,24 @@
+const TEMPLATE_SCHEMA = 'fiit-prompt-templates';
+const TEMPLATE_VERSION = 1;
+
+// {{name}}, with optional spaces inside the braces
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+
+// Placeholder names in order of first appearance
+const parseVariables = (body) => [...new Set([...body.matchAll(PLACEHOLDER)].map((match) => match[1]))];
+
+// The template's variables with defaults taken from `provided` where given
+const buildVariables = (body, provided = []) => {
+  const defaults = new Map((Array.isArray(provided) ? provided : [])
+    .filter((variable) => typeof variable?.name === 'string')
+    .map((variable) => [variable.name, String(variable.defaultValue ?? '').substring(0, 500)]));
+
+  return parseVariables(body).map((name) => ({ name, defaultValue: defaults.get(name) || '' }));
+};
+
+module.exports = {
+  TEMPLATE_SCHEMA,
+  TEMPLATE_VERSION,
+  parseVariables,
+  buildVariables
+};
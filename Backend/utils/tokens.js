@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { JWT_SECRET } = require('./secrets');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+// How long a just-rotated refresh token is still honoured
+const REFRESH_REUSE_GRACE_MS = (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10) * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashesMatch = (stored, presented) => Boolean(stored)
+  && crypto.timingSafeEqual(Buffer.from(stored, 'hex'), Buffer.from(presented, 'hex'));
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Proof that the password step of a two-factor login succeeded. It carries
+// no session, so the auth middleware never accepts it as an access token.
+const signTwoFactorChallenge = (userId) => jwt.sign(
+  { userId, purpose: '2fa' },
+  JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+// Resolves to the user id, or null for an invalid or expired challenge
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sessionExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// The secret that replaces `secret` on rotation. Deriving it instead of
+// drawing a new one means refreshes that race with the same token all end up
+// holding the token the winning rotation stored.
+const nextSecret = (secret) => crypto.createHmac('sha256', JWT_SECRET).update(`refresh:${secret}`).digest('hex');
+
+const issueTokens = (session, secret) => ({
+  session,
+  token: signAccessToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`
+});
+
+// Start a session for a freshly authenticated user
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = new Session({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: sessionExpiry()
+  });
+  await session.save();
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Exchange a refresh token for a new pair. Rotation only happens if the
+// session still holds the presented secret, so of two refreshes at the same
+// moment one rotates and the other gets the same new token through the grace
+// path. The replaced secret keeps working that way for REFRESH_REUSE_GRACE_MS,
+// e.g. for two tabs whose access tokens expire together; after that,
+// presenting it means the token was copied, so the whole session is revoked.
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+
+  let session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const presented = hashToken(secret);
+  const next = nextSecret(secret);
+
+  if (hashesMatch(session.tokenHash, presented)) {
+    const now = new Date();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: presented, revokedAt: null },
+      {
+        $set: {
+          tokenHash: hashToken(next),
+          previousTokenHash: presented,
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: sessionExpiry()
+        }
+      },
+      { new: true }
+    );
+    if (rotated) {
+      return issueTokens(rotated, next);
+    }
+
+    // Another refresh rotated it first
+    session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) {
+      return null;
+    }
+  }
+
+  const justRotated = hashesMatch(session.previousTokenHash, presented)
+    && hashesMatch(session.tokenHash, hashToken(next))
+    && Date.now() - session.rotatedAt < REFRESH_REUSE_GRACE_MS;
+  if (justRotated) {
+    return issueTokens(session, next);
+  }
+
+  console.warn(`[${req.id}] Refresh token reuse detected, revoking session:`, {
+    userId: session.user.toString(),
+    sessionId: session._id.toString()
+  });
+  await session.revoke('reuse');
+  return null;
+};
+
+// Sign the user out everywhere, e.g. after a password change, optionally
+// keeping the session that made the change
+const revokeAllSessions = (userId, reason, exceptSessionId = null) => Session.updateMany(
+  { user: userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+module.exports = {
+  verifyAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  refreshSession,
+  revokeAllSessions
+};
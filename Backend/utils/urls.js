@@ -0,0 +1,13 @@
+// Absolute URLs for links that leave the API: emails and redirects point at
+// the client app, identity providers call back into the API
+
+const clientUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${path}`;
+
+// Behind a proxy the request's own host may not be the public one, so
+// PUBLIC_API_URL wins when set
+const apiUrl = (req, path) => `${process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`}${path}`;
+
+module.exports = {
+  clientUrl,
+  apiUrl
+};
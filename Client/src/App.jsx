@@ -4,7 +4,15 @@ import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import Login from './components/Login';
 import Register from './components/Register';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
+import OAuthCallback from './components/OAuthCallback';
 import Dashboard from './components/Dashboard';
+import Sessions from './components/Sessions';
+import Admin from './components/Admin';
+import Account from './components/Account';
+import SharedConversation from './components/SharedConversation';
 import './App.css';
 
 function ProtectedRoute({ children }) {
@@ -17,6 +25,20 @@ function ProtectedRoute({ children }) {
   return user ? children : <Navigate to="/login" />;
 }
 
+function AdminRoute({ children }) {
+  const { user, loading } = useAuth();
+
+  if (loading) {
+    return <div className="min-h-screen flex items-center justify-center">Loading...</div>;
+  }
+
+  if (!user) {
+    return <Navigate to="/login" />;
+  }
+
+  return user.role === 'admin' ? children : <Navigate to="/dashboard" />;
+}
+
 function App() {
   return (
     <AuthProvider>
@@ -25,11 +47,31 @@ function App() {
           <Routes>
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/oauth/callback" element={<OAuthCallback />} />
             <Route path="/dashboard" element={
               <ProtectedRoute>
                 <Dashboard />
               </ProtectedRoute>
             } />
+            <Route path="/sessions" element={
+              <ProtectedRoute>
+                <Sessions />
+              </ProtectedRoute>
+            } />
+            <Route path="/account" element={
+              <ProtectedRoute>
+                <Account />
+              </ProtectedRoute>
+            } />
+            <Route path="/admin" element={
+              <AdminRoute>
+                <Admin />
+              </AdminRoute>
+            } />
+            <Route path="/share/:token" element={<SharedConversation />} />
             <Route path="/" element={<Navigate to="/dashboard" />} />
           </Routes>
           <Toaster position="top-right" />
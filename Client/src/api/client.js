@@ -0,0 +1,315 @@
+import axios from 'axios';
+import { readServerSentEvents } from '../utils/sse';
+
+// Where the API lives; set VITE_API_URL to point a build at a local or
+// staging backend
+export const API_URL = (import.meta.env.VITE_API_URL || 'https://fiit-intern5.vercel.app').replace(/\/+$/, '');
+
+const REQUEST_TIMEOUT = Number(import.meta.env.VITE_API_TIMEOUT) || 60000;
+const MAX_RETRIES = Number(import.meta.env.VITE_API_RETRIES ?? 2);
+
+// Only reads are retried by default; a write may have reached the server
+// before it failed, so it is retried only when the call opts in with
+// `retry: true` or a retry count
+const SAFE_METHODS = ['get', 'head', 'options'];
+// 429 only with a Retry-After short enough to wait out
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+const RETRY_BASE_DELAY = 300;
+const RETRY_MAX_DELAY = 5000;
+
+/**
+ * Every failed request rejects with an ApiError, whatever the transport.
+ * `message` is the server's own message when it sent one, `code` its stable
+ * error code and `requestId` the id the server logged the request under.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, code = null, data = null, errors = [], cancelled = false, requestId = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.errors = errors;
+    this.cancelled = cancelled;
+    this.requestId = requestId;
+  }
+
+  // Whether the request never got an answer from the server
+  get isNetworkError() {
+    return !this.status && !this.cancelled;
+  }
+}
+
+// Turn an axios, fetch or abort error into an ApiError
+export function normalizeError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (axios.isCancel(error) || error?.name === 'AbortError' || error?.name === 'CanceledError') {
+    return new ApiError('Request cancelled', { cancelled: true });
+  }
+
+  if (axios.isAxiosError(error)) {
+    if (!error.response) {
+      const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      return new ApiError(
+        timedOut ? 'The server took too long to respond' : 'No response from server. Check your connection.',
+        { code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR' }
+      );
+    }
+
+    const { status, data, headers } = error.response;
+    return responseError(status, data instanceof Blob ? null : data, headers?.['x-request-id']);
+  }
+
+  // fetch() rejects with a TypeError when the network request itself fails
+  if (error instanceof TypeError) {
+    return new ApiError('No response from server. Check your connection.', { code: 'NETWORK_ERROR' });
+  }
+
+  return new ApiError(error?.message || 'Something went wrong');
+}
+
+function responseError(status, data, requestId) {
+  const errors = Array.isArray(data?.errors) ? data.errors : [];
+  const message = data?.message || errors[0]?.msg || `Request failed with status ${status}`;
+  return new ApiError(message, {
+    status,
+    code: data?.code || null,
+    data,
+    errors,
+    requestId: data?.requestId || requestId || null
+  });
+}
+
+// The server's message for a failed request, or `fallback` when it gave none
+export function errorMessage(error, fallback) {
+  return error?.data?.message || error?.errors?.[0]?.msg || fallback;
+}
+
+export function isCancelled(error) {
+  return Boolean(error?.cancelled);
+}
+
+// ---- Tokens ----
+
+export function getAccessToken() {
+  return localStorage.getItem('token');
+}
+
+export function storeTokens(token, refreshToken) {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+}
+
+export function clearTokens() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+}
+
+// Called when a request is rejected and the session cannot be refreshed
+let unauthorizedHandler = null;
+
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+}
+
+export const client = axios.create({
+  baseURL: API_URL,
+  timeout: REQUEST_TIMEOUT
+});
+
+client.interceptors.request.use((config) => {
+  const token = getAccessToken();
+  if (token && !config.skipAuth) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Shared by every request that hits a 401 while a refresh is in flight
+let refreshPromise = null;
+
+// Run `task` holding a lock shared by every tab of this origin, so only one
+// of them exchanges the refresh token at a time
+function withRefreshLock(task) {
+  return navigator.locks ? navigator.locks.request('token-refresh', task) : task();
+}
+
+// Trade the stored refresh token for a new pair; resolves to the new access
+// token, or null when the session can no longer be refreshed
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    const staleRefreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = withRefreshLock(async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return null;
+
+      // Another tab refreshed while this one waited for the lock
+      if (refreshToken !== staleRefreshToken) return getAccessToken();
+
+      try {
+        const response = await client.post(
+          '/api/auth/refresh',
+          { refreshToken },
+          { skipAuth: true, skipAuthRefresh: true, retry: false }
+        );
+        storeTokens(response.data.token, response.data.refreshToken);
+        return response.data.token;
+      } catch (error) {
+        console.error('Token refresh failed:', error);
+        return null;
+      }
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+}
+
+// The server's Retry-After, in seconds or as a date, in milliseconds
+function retryAfterMs(retryAfter) {
+  if (!retryAfter) return null;
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// The server's Retry-After when given, otherwise exponential backoff with
+// jitter
+function retryDelay(attempt, retryAfter) {
+  const requested = retryAfterMs(retryAfter);
+  if (requested !== null) return requested;
+  const backoff = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ApiError('Request cancelled', { cancelled: true }));
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ApiError('Request cancelled', { cancelled: true }));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function maxRetries(config) {
+  if (typeof config.retry === 'number') return config.retry;
+  if (config.retry === true) return MAX_RETRIES;
+  if (config.retry === false) return 0;
+  return SAFE_METHODS.includes((config.method || 'get').toLowerCase()) ? MAX_RETRIES : 0;
+}
+
+function shouldRetry(config, error) {
+  if (!config || axios.isCancel(error)) return false;
+  if ((config._retryCount || 0) >= maxRetries(config)) return false;
+  if (!error.response) return true;
+
+  const { status, headers } = error.response;
+  if (!RETRY_STATUSES.includes(status)) return false;
+
+  // Retrying before the server asked is pointless, and a long wait is
+  // better left to the user
+  const retryAfter = retryAfterMs(headers?.['retry-after']);
+  if (retryAfter === null) return status !== 429;
+  return retryAfter <= RETRY_MAX_DELAY;
+}
+
+// On a 401, refresh the access token once and replay the request. Reads, and
+// writes that opt in, that failed on the network or with a transient status
+// are retried with backoff. Anything else rejects with an ApiError.
+client.interceptors.response.use(
+  response => response,
+  async error => {
+    const original = error.config;
+
+    if (error.response?.status === 401 && original && !original.skipAuthRefresh) {
+      if (!original._retried) {
+        original._retried = true;
+        const token = await refreshAccessToken();
+        if (token) return client(original);
+      }
+      unauthorizedHandler?.();
+    } else if (shouldRetry(original, error)) {
+      original._retryCount = (original._retryCount || 0) + 1;
+      await wait(retryDelay(original._retryCount - 1, error.response?.headers?.['retry-after']), original.signal);
+      return client(original);
+    }
+
+    return Promise.reject(normalizeError(error));
+  }
+);
+
+// Pull the file name out of a Content-Disposition header
+function filenameFrom(disposition, fallback) {
+  return disposition?.match(/filename="([^"]+)"/)?.[1] || fallback;
+}
+
+// GET a file from the API as a blob along with the name the server gave it
+export async function download(url, { params, fallbackName = 'download', signal } = {}) {
+  const response = await client.get(url, { params, responseType: 'blob', signal });
+  return {
+    blob: response.data,
+    filename: filenameFrom(response.headers['content-disposition'], fallbackName)
+  };
+}
+
+// POST to a Server-Sent Events endpoint and hand each event to `onEvent`.
+// fetch() is used because axios cannot read a streamed body in the browser,
+// so auth and token refresh are applied here. An `error` event rejects.
+export async function stream(url, { body, signal, onEvent }) {
+  const isForm = body instanceof FormData;
+  const send = () => {
+    const token = getAccessToken();
+    return fetch(`${API_URL}${url}`, {
+      method: 'POST',
+      headers: {
+        ...(!isForm && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: isForm ? body : JSON.stringify(body),
+      signal
+    });
+  };
+
+  try {
+    let response = await send();
+    if (response.status === 401) {
+      if (await refreshAccessToken()) {
+        response = await send();
+      }
+      if (response.status === 401) unauthorizedHandler?.();
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw responseError(response.status, data, response.headers.get('X-Request-Id'));
+    }
+
+    await readServerSentEvents(response, (event, data) => {
+      if (event === 'error') {
+        throw new ApiError(data.message, {
+          status: response.status,
+          code: data.code || null,
+          data,
+          requestId: data.requestId || null
+        });
+      }
+      onEvent(event, data);
+    });
+  } catch (error) {
+    throw normalizeError(error);
+  }
+}
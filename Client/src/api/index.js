@@ -0,0 +1,241 @@
+import { client, download, stream, API_URL } from './client';
+
+export {
+  API_URL,
+  ApiError,
+  errorMessage,
+  isCancelled,
+  storeTokens,
+  clearTokens,
+  getAccessToken,
+  refreshAccessToken,
+  onUnauthorized
+} from './client';
+
+// Endpoint functions resolve to the response body and reject with an
+// ApiError. Anything that can be superseded takes an AbortSignal.
+
+const body = (request) => request.then((response) => response.data);
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} username
+ * @property {string} email
+ * @property {string} role
+ * @property {boolean} emailVerified
+ * @property {boolean} twoFactorEnabled
+ * @property {boolean} hasPassword
+ * @property {string|null} deletionScheduledAt
+ */
+
+/**
+ * @typedef {Object} AuthResponse
+ * @property {string} [token] - access token, absent when a second factor is needed
+ * @property {string} [refreshToken]
+ * @property {User} [user]
+ * @property {boolean} [twoFactorRequired]
+ * @property {string} [challengeToken] - finishes a two-factor login
+ * @property {boolean} [unverifiedAccess]
+ * @property {number} [recoveryCodesLeft]
+ */
+
+/**
+ * @typedef {Object} ChatTurn
+ * @property {string} _id
+ * @property {string} prompt
+ * @property {string} response
+ * @property {'text'|'image'} type
+ * @property {string} model - the model that answered
+ * @property {string|null} [requestedModel] - set when a fallback model stood in for it
+ * @property {string|null} parentId
+ * @property {string[]} siblingIds - every version of this turn, oldest first
+ * @property {string} [imageUrl]
+ * @property {string} [personaName]
+ * @property {boolean} [cached] - served from the response cache
+ * @property {string} createdAt
+ */
+
+export const authApi = {
+  /** @returns {Promise<{user: User}>} */
+  me: () => body(client.get('/api/auth/me')),
+
+  /**
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<AuthResponse>}
+   */
+  login: (email, password) => body(client.post(
+    '/api/auth/login',
+    { email, password },
+    { skipAuthRefresh: true }
+  )),
+
+  /**
+   * @param {string} challengeToken
+   * @param {string} code - authenticator or recovery code
+   * @returns {Promise<AuthResponse>}
+   */
+  loginTwoFactor: (challengeToken, code) => body(client.post(
+    '/api/auth/login/2fa',
+    { challengeToken, code },
+    { skipAuthRefresh: true }
+  )),
+
+  /**
+   * @param {string} code - one-time code from the identity provider callback
+   * @returns {Promise<AuthResponse>}
+   */
+  exchangeOidc: (code) => body(client.post(
+    '/api/auth/oidc/exchange',
+    { code },
+    { skipAuthRefresh: true }
+  )),
+
+  /**
+   * @param {{username: string, email: string, password: string}} fields
+   * @returns {Promise<AuthResponse>}
+   */
+  register: (fields) => body(client.post('/api/auth/register', fields, { skipAuthRefresh: true })),
+
+  logout: () => body(client.post('/api/auth/logout', null, { skipAuthRefresh: true, retry: false })),
+
+  /** @returns {Promise<{message: string}>} */
+  resendVerification: () => body(client.post('/api/auth/resend-verification')),
+
+  /** @param {string} token */
+  verifyEmail: (token) => body(client.post('/api/auth/verify-email', { token })),
+
+  /** @param {string} email */
+  forgotPassword: (email) => body(client.post('/api/auth/forgot-password', { email })),
+
+  /**
+   * @param {string} token
+   * @param {string} password
+   */
+  resetPassword: (token, password) => body(client.post('/api/auth/reset-password', { token, password })),
+
+  sessions: () => body(client.get('/api/auth/sessions')),
+
+  /** @param {string} id */
+  revokeSession: (id) => body(client.delete(`/api/auth/sessions/${id}`)),
+
+  setupTwoFactor: () => body(client.post('/api/auth/2fa/setup')),
+
+  /** @param {string} code */
+  enableTwoFactor: (code) => body(client.post('/api/auth/2fa/enable', { code })),
+
+  /** @param {{password: string, code: string}} fields */
+  disableTwoFactor: (fields) => body(client.post('/api/auth/2fa/disable', fields)),
+
+  oidcProviders: () => body(client.get('/api/auth/oidc/providers')),
+
+  /**
+   * Browsers navigate here directly to start an identity provider sign-in
+   * @param {string} providerId
+   * @returns {string}
+   */
+  oidcStartUrl: (providerId) => `${API_URL}/api/auth/oidc/${providerId}/start`
+};
+
+export const chatApi = {
+  /** @returns {Promise<{data: {models: Object[], defaultModel: string, generation: Object, fallbackModel: ?string, cache: Object}}>} */
+  models: () => body(client.get('/api/chat/models')),
+
+  /**
+   * @param {string} id
+   * @returns {Promise<{data: {chat: ChatTurn}}>}
+   */
+  get: (id) => body(client.get(`/api/chat/${id}`)),
+
+  /**
+   * @param {Object} params - q, limit and the search filters
+   * @param {{signal?: AbortSignal}} [options]
+   */
+  search: (params, { signal } = {}) => body(client.get('/api/chat/search', { params, signal })),
+
+  /**
+   * Stream a text reply as Server-Sent Events (start, chunk, done)
+   * @param {Object|FormData} fields - FormData when attachments are sent;
+   *   `bypassCache` asks the model even when a cached answer exists
+   * @param {{signal?: AbortSignal, onEvent: (event: string, data: Object) => void}} options
+   * @returns {Promise<void>}
+   */
+  streamText: (fields, { signal, onEvent }) => stream('/api/chat/text/stream', { body: fields, signal, onEvent }),
+
+  /**
+   * Image generation is not idempotent, so it is never retried
+   * @param {{prompt: string, conversationId?: string, siblingOf?: string}} fields
+   * @returns {Promise<{data: ChatTurn & {id: string, conversationId: string}}>}
+   */
+  generateImage: (fields) => body(client.post('/api/chat/image', fields))
+};
+
+export const conversationsApi = {
+  list: (params) => body(client.get('/api/conversations', { params })),
+
+  /** @returns {Promise<{data: {conversation: Object, currentChatId: string, chats: ChatTurn[]}}>} */
+  get: (id) => body(client.get(`/api/conversations/${id}`)),
+
+  // Show the branch that runs through `chatId`
+  switchBranch: (id, chatId) => body(client.patch(`/api/conversations/${id}/branch`, { chatId })),
+
+  remove: (id) => body(client.delete(`/api/conversations/${id}`))
+};
+
+export const usageApi = {
+  get: () => body(client.get('/api/usage'))
+};
+
+export const assetsApi = {
+  list: (params) => body(client.get('/api/assets', { params })),
+
+  // Assets need the auth header, so they are fetched as blobs
+  file: (url, { signal } = {}) => body(client.get(url, { responseType: 'blob', signal }))
+};
+
+export const sharesApi = {
+  list: (conversationId) => body(client.get('/api/shares', { params: { conversationId } })),
+  create: (fields) => body(client.post('/api/shares', fields)),
+  revoke: (id) => body(client.delete(`/api/shares/${id}`)),
+  getPublic: (token, { signal } = {}) => body(client.get(`/api/shares/public/${token}`, { signal, skipAuth: true }))
+};
+
+export const personasApi = {
+  list: () => body(client.get('/api/personas')),
+  create: (fields) => body(client.post('/api/personas', fields)),
+  update: (id, fields) => body(client.patch(`/api/personas/${id}`, fields)),
+  remove: (id) => body(client.delete(`/api/personas/${id}`))
+};
+
+export const templatesApi = {
+  list: (params) => body(client.get('/api/templates', { params })),
+  create: (fields) => body(client.post('/api/templates', fields)),
+  update: (id, fields) => body(client.patch(`/api/templates/${id}`, fields)),
+  recordUse: (id) => body(client.post(`/api/templates/${id}/use`)),
+  remove: (id) => body(client.delete(`/api/templates/${id}`)),
+  export: () => download('/api/templates/export', { fallbackName: 'prompt-templates.json' }),
+  import: (data) => body(client.post('/api/templates/import', data))
+};
+
+export const accountApi = {
+  updateProfile: (fields) => body(client.patch('/api/account/profile', fields)),
+  changePassword: (fields) => body(client.put('/api/account/password', fields, { retry: false })),
+  remove: (confirmation) => body(client.delete('/api/account', { data: confirmation, retry: false })),
+  restore: () => body(client.post('/api/account/restore'))
+};
+
+export const exportApi = {
+  download: (params) => download('/api/export', { params, fallbackName: `chat-export.${params.format}` }),
+  import: (data) => body(client.post('/api/export/import', data))
+};
+
+export const adminApi = {
+  overview: (days) => body(client.get('/api/admin/overview', { params: { days } })),
+  users: (params) => body(client.get('/api/admin/users', { params })),
+  user: (id) => body(client.get(`/api/admin/users/${id}`)),
+  updateUser: (id, fields) => body(client.patch(`/api/admin/users/${id}`, fields)),
+  revokeSessions: (id) => body(client.delete(`/api/admin/users/${id}/sessions`)),
+  generationLimits: () => body(client.get('/api/admin/generation-limits')),
+  updateGenerationLimits: (limits) => body(client.put('/api/admin/generation-limits', limits))
+};
@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { accountApi } from '../api';
+import { useAuth } from '../context/AuthContext';
+import { ArrowLeft, Trash2 } from 'lucide-react';
+import { describeError } from '../utils/errorMessages';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+function ProfileForm() {
+  const { user, updateUser } = useAuth();
+  const { register, handleSubmit, resetField, watch, formState: { errors, isSubmitting } } = useForm({
+    defaultValues: { username: user.username, email: user.email }
+  });
+  // A new email is confirmed with the current password
+  const needsPassword = user.hasPassword && watch('email').trim().toLowerCase() !== user.email;
+
+  const onSubmit = async ({ username, email, currentPassword }) => {
+    try {
+      const result = await accountApi.updateProfile({
+        username,
+        email,
+        ...(needsPassword && { currentPassword })
+      });
+      updateUser(result.data.user);
+      resetField('currentPassword');
+      toast.success(result.message);
+    } catch (error) {
+      console.error('Update profile error:', error);
+      toast.error(describeError(error, 'Failed to update profile'));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="p-4 space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+        <input
+          {...register('username', {
+            required: 'Username is required',
+            minLength: { value: 3, message: 'Username must be at least 3 characters' },
+            maxLength: { value: 30, message: 'Username must be less than 30 characters' }
+          })}
+          className={inputClass}
+        />
+        {errors.username && <p className="mt-1 text-sm text-red-600">{errors.username.message}</p>}
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Email Address</label>
+        <input
+          {...register('email', {
+            required: 'Email is required',
+            pattern: { value: /^\S+@\S+$/i, message: 'Invalid email address' }
+          })}
+          type="email"
+          className={inputClass}
+        />
+        {errors.email && <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>}
+        <p className="mt-1 text-xs text-gray-500">Changing your email means verifying the new address.</p>
+      </div>
+      {needsPassword && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Current Password</label>
+          <input
+            {...register('currentPassword', { required: 'Current password is required to change your email' })}
+            type="password"
+            className={inputClass}
+          />
+          {errors.currentPassword && <p className="mt-1 text-sm text-red-600">{errors.currentPassword.message}</p>}
+        </div>
+      )}
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        {isSubmitting ? 'Saving...' : 'Save Profile'}
+      </button>
+    </form>
+  );
+}
+
+function PasswordForm() {
+  const { user, updateUser } = useAuth();
+  const { register, handleSubmit, reset, watch, formState: { errors, isSubmitting } } = useForm();
+  const newPassword = watch('newPassword');
+
+  const onSubmit = async (data) => {
+    try {
+      const result = await accountApi.changePassword({
+        currentPassword: data.currentPassword,
+        newPassword: data.newPassword
+      });
+      updateUser(result.data.user);
+      reset();
+      toast.success('Password changed. Other devices have been signed out.');
+    } catch (error) {
+      console.error('Change password error:', error);
+      toast.error(describeError(error, 'Failed to change password'));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="p-4 space-y-4">
+      {user.hasPassword ? (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Current Password</label>
+          <input
+            {...register('currentPassword', { required: 'Current password is required' })}
+            type="password"
+            className={inputClass}
+          />
+          {errors.currentPassword && <p className="mt-1 text-sm text-red-600">{errors.currentPassword.message}</p>}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600">
+          You sign in through an identity provider. Set a password to also sign in with your email.
+        </p>
+      )}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">New Password</label>
+        <input
+          {...register('newPassword', {
+            required: 'New password is required',
+            minLength: { value: 6, message: 'Password must be at least 6 characters' }
+          })}
+          type="password"
+          className={inputClass}
+        />
+        {errors.newPassword && <p className="mt-1 text-sm text-red-600">{errors.newPassword.message}</p>}
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Confirm New Password</label>
+        <input
+          {...register('confirmPassword', {
+            required: 'Please confirm your password',
+            validate: value => value === newPassword || 'Passwords do not match'
+          })}
+          type="password"
+          className={inputClass}
+        />
+        {errors.confirmPassword && <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>}
+      </div>
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        {isSubmitting ? 'Saving...' : user.hasPassword ? 'Change Password' : 'Set Password'}
+      </button>
+    </form>
+  );
+}
+
+function DeleteAccount() {
+  const { user, updateUser } = useAuth();
+  const navigate = useNavigate();
+  const [confirmation, setConfirmation] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  const deleteAccount = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    try {
+      const { data } = await accountApi.remove(
+        user.hasPassword ? { password: confirmation } : { confirm: confirmation }
+      );
+      updateUser(data.user);
+      toast.success('Your account is scheduled for deletion');
+      navigate('/dashboard');
+    } catch (error) {
+      console.error('Delete account error:', error);
+      toast.error(describeError(error, 'Failed to delete account'));
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={deleteAccount} className="p-4 space-y-4">
+      <p className="text-sm text-gray-600">
+        Your chats, conversations, uploads and generated images will be permanently deleted. You have a few days
+        to change your mind by signing in and restoring the account.
+      </p>
+      <input
+        type={user.hasPassword ? 'password' : 'text'}
+        value={confirmation}
+        onChange={(e) => setConfirmation(e.target.value)}
+        className={inputClass}
+        placeholder={user.hasPassword ? 'Enter your password to confirm' : `Type "${user.username}" to confirm`}
+      />
+      <button
+        type="submit"
+        disabled={deleting || !confirmation}
+        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-1"
+      >
+        <Trash2 className="w-4 h-4" />
+        <span>{deleting ? 'Deleting...' : 'Delete Account'}</span>
+      </button>
+    </form>
+  );
+}
+
+// Profile, password and account deletion
+function Account() {
+  const { user } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4">
+      <div className="max-w-3xl mx-auto space-y-4">
+        <Link
+          to="/dashboard"
+          className="inline-flex items-center space-x-1 text-gray-600 hover:text-purple-600 transition-colors"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          <span>Back to chat</span>
+        </Link>
+
+        <div className="bg-white rounded-xl shadow-lg">
+          <div className="p-4 border-b border-gray-200">
+            <h1 className="text-2xl font-bold text-gray-800">Account Settings</h1>
+            <p className="text-sm text-gray-600 mt-1">
+              Security options and signed-in devices are on the{' '}
+              <Link to="/sessions" className="text-purple-600 hover:text-purple-700">sessions page</Link>.
+            </p>
+          </div>
+          <ProfileForm />
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg">
+          <div className="p-4 border-b border-gray-200">
+            <h2 className="text-xl font-bold text-gray-800">Password</h2>
+          </div>
+          <PasswordForm />
+        </div>
+
+        {!user.deletionScheduledAt && (
+          <div className="bg-white rounded-xl shadow-lg border border-red-200">
+            <div className="p-4 border-b border-red-200">
+              <h2 className="text-xl font-bold text-red-700">Delete Account</h2>
+            </div>
+            <DeleteAccount />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Account;
@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { adminApi } from '../api';
+import { useAuth } from '../context/AuthContext';
+import UsageMeter from './UsageMeter';
+import GenerationLimitsEditor from './GenerationLimitsEditor';
+import { ArrowLeft, Search, Users, MessageCircle, UserCheck, MessagesSquare, LogOut, ChevronLeft, ChevronRight } from 'lucide-react';
+import { describeError } from '../utils/errorMessages';
+
+function StatCard({ icon, label, value }) {
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-4 flex items-center space-x-3">
+      {icon}
+      <div>
+        <p className="text-2xl font-bold text-gray-800">{value}</p>
+        <p className="text-sm text-gray-600">{label}</p>
+      </div>
+    </div>
+  );
+}
+
+// One row of bars, scaled to the busiest day
+function DailyBars({ label, daily, field, color }) {
+  const max = Math.max(...daily.map((day) => day[field]), 1);
+
+  return (
+    <div>
+      <p className="text-sm font-medium text-gray-700 mb-1">{label}</p>
+      <div className="flex items-end h-24 space-x-0.5">
+        {daily.map((day) => (
+          <div
+            key={day.date}
+            title={`${day.date}: ${day[field]}`}
+            className={`flex-1 rounded-t ${color}`}
+            style={{ height: `${(day[field] / max) * 100}%`, minHeight: day[field] ? '2px' : '0' }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function UserDetail({ userId }) {
+  const [detail, setDetail] = useState(null);
+
+  useEffect(() => {
+    adminApi.user(userId)
+      .then(({ data }) => setDetail(data))
+      .catch((error) => {
+        console.error('Error fetching user:', error);
+        toast.error(describeError(error, 'Failed to load user details'));
+      });
+  }, [userId]);
+
+  if (!detail) {
+    return <p className="text-gray-500 text-sm py-2">Loading details...</p>;
+  }
+
+  return (
+    <div className="grid md:grid-cols-3 gap-4 py-2">
+      <div className="text-sm text-gray-700 space-y-1">
+        <p>{detail.stats.chats} chats in {detail.stats.conversations} conversations</p>
+        <p>{detail.stats.activeSessions} active sessions</p>
+        <p>Email {detail.user.emailVerified ? 'verified' : 'not verified'}</p>
+        <p>Two-factor {detail.user.twoFactorEnabled ? 'on' : 'off'}</p>
+      </div>
+      <div>
+        <UsageMeter usage={detail.quota} />
+      </div>
+      <div className="text-sm">
+        {detail.usage.length === 0 ? (
+          <p className="text-gray-500">No token usage yet</p>
+        ) : (
+          <table className="w-full text-left">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="font-normal">Day</th>
+                <th className="font-normal text-right">Requests</th>
+                <th className="font-normal text-right">Tokens</th>
+              </tr>
+            </thead>
+            <tbody>
+              {detail.usage.slice(0, 7).map((day) => (
+                <tr key={day.date} className="text-gray-700">
+                  <td>{day.date}</td>
+                  <td className="text-right">{day.requests}</td>
+                  <td className="text-right">{day.promptTokens + day.completionTokens}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Admin console: system overview and user management
+function Admin() {
+  const { user: currentUser } = useAuth();
+  const [overview, setOverview] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [expandedUserId, setExpandedUserId] = useState(null);
+
+  useEffect(() => {
+    adminApi.overview(30)
+      .then(({ data }) => setOverview(data))
+      .catch((error) => {
+        console.error('Error fetching overview:', error);
+        toast.error(describeError(error, 'Failed to load overview'));
+      });
+  }, []);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const params = { page, limit: 20 };
+      if (search.trim()) params.q = search.trim();
+      if (status) params.status = status;
+
+      const { data } = await adminApi.users(params);
+      setUsers(data.users);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      toast.error(describeError(error, 'Failed to load users'));
+    }
+  }, [page, search, status]);
+
+  // Debounce typing in the search box
+  useEffect(() => {
+    const timer = setTimeout(fetchUsers, 300);
+    return () => clearTimeout(timer);
+  }, [fetchUsers]);
+
+  const updateUser = async (user, fields, successMessage) => {
+    try {
+      const { data } = await adminApi.updateUser(user.id, fields);
+      setUsers((prev) => prev.map((item) => (item.id === user.id ? data.user : item)));
+      toast.success(successMessage);
+    } catch (error) {
+      console.error('Error updating user:', error);
+      toast.error(describeError(error, 'Failed to update user'));
+    }
+  };
+
+  const resetSessions = async (user) => {
+    try {
+      const { data } = await adminApi.revokeSessions(user.id);
+      toast.success(`Signed ${user.username} out of ${data.revoked} sessions`);
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      toast.error(describeError(error, 'Failed to revoke sessions'));
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4">
+      <div className="max-w-6xl mx-auto space-y-4">
+        <Link
+          to="/dashboard"
+          className="inline-flex items-center space-x-1 text-gray-600 hover:text-purple-600 transition-colors"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          <span>Back to chat</span>
+        </Link>
+
+        <h1 className="text-2xl font-bold text-gray-800">Admin Console</h1>
+
+        {overview && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <StatCard icon={<Users className="w-8 h-8 text-purple-600" />} label="Users" value={overview.totals.users} />
+              <StatCard icon={<UserCheck className="w-8 h-8 text-purple-600" />} label="Active users" value={overview.totals.activeUsers} />
+              <StatCard icon={<MessagesSquare className="w-8 h-8 text-purple-600" />} label="Conversations" value={overview.totals.conversations} />
+              <StatCard icon={<MessageCircle className="w-8 h-8 text-purple-600" />} label="Chats" value={overview.totals.chats} />
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg p-4 space-y-4">
+              <h2 className="text-lg font-semibold text-gray-800">Last 30 days</h2>
+              <DailyBars label="New users" daily={overview.daily} field="users" color="bg-blue-500" />
+              <DailyBars label="Chats" daily={overview.daily} field="chats" color="bg-purple-600" />
+            </div>
+          </>
+        )}
+
+        <GenerationLimitsEditor />
+
+        <div className="bg-white rounded-xl shadow-lg">
+          <div className="p-4 border-b border-gray-200 flex items-center space-x-2">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-2.5 w-4 h-4 text-gray-400" />
+              <input
+                value={search}
+                onChange={(e) => {
+                  setSearch(e.target.value);
+                  setPage(1);
+                }}
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="Search by username or email"
+              />
+            </div>
+            <select
+              value={status}
+              onChange={(e) => {
+                setStatus(e.target.value);
+                setPage(1);
+              }}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              <option value="">All users</option>
+              <option value="active">Active</option>
+              <option value="inactive">Deactivated</option>
+            </select>
+          </div>
+
+          <div className="divide-y divide-gray-200">
+            {users.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">No users found</p>
+            ) : (
+              users.map((user) => (
+                <div key={user.id} className="p-4">
+                  <div className="flex items-center justify-between">
+                    <button
+                      onClick={() => setExpandedUserId(expandedUserId === user.id ? null : user.id)}
+                      className="text-left min-w-0"
+                    >
+                      <p className="font-medium text-gray-800">
+                        {user.username}
+                        {user.role === 'admin' && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-purple-100 text-purple-800">Admin</span>
+                        )}
+                        {!user.isActive && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">Deactivated</span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-600 truncate">
+                        {user.email} • Joined {new Date(user.createdAt).toLocaleDateString()}
+                      </p>
+                    </button>
+
+                    {user.id !== currentUser?.id && (
+                      <div className="flex items-center space-x-2 text-sm">
+                        <button
+                          onClick={() => resetSessions(user)}
+                          title="Sign out everywhere"
+                          className="p-1.5 text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+                        >
+                          <LogOut className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => updateUser(
+                            user,
+                            { role: user.role === 'admin' ? 'user' : 'admin' },
+                            `${user.username} is now ${user.role === 'admin' ? 'a user' : 'an admin'}`
+                          )}
+                          className="px-3 py-1 text-gray-700 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+                        >
+                          {user.role === 'admin' ? 'Remove admin' : 'Make admin'}
+                        </button>
+                        <button
+                          onClick={() => updateUser(
+                            user,
+                            { isActive: !user.isActive },
+                            `${user.username} ${user.isActive ? 'deactivated' : 'reactivated'}`
+                          )}
+                          className={`px-3 py-1 border rounded-lg transition-colors ${
+                            user.isActive
+                              ? 'text-red-600 border-red-200 hover:bg-red-50'
+                              : 'text-green-700 border-green-200 hover:bg-green-50'
+                          }`}
+                        >
+                          {user.isActive ? 'Deactivate' : 'Reactivate'}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {expandedUserId === user.id && <UserDetail userId={user.id} />}
+                </div>
+              ))
+            )}
+          </div>
+
+          {pagination && pagination.total > 1 && (
+            <div className="p-4 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+              <span>{pagination.count} users</span>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="p-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <span>Page {pagination.current} of {pagination.total}</span>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pagination.total}
+                  className="p-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Admin;
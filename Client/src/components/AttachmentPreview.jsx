@@ -0,0 +1,52 @@
+import React from 'react';
+import { FileText, X } from 'lucide-react';
+import AuthImage from './AuthImage';
+
+// Thumbnails for attachments, either pending in the composer (previewUrl)
+// or already stored on the server (url)
+function AttachmentPreview({ attachments, onRemove, className = '' }) {
+  if (!attachments?.length) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-2 ${className}`}>
+      {attachments.map((attachment) => (
+        <div
+          key={attachment.id}
+          className="relative group"
+          title={attachment.name}
+        >
+          {attachment.mimeType.startsWith('image/') ? (
+            attachment.previewUrl ? (
+              <img
+                src={attachment.previewUrl}
+                alt={attachment.name}
+                className="w-20 h-20 object-cover rounded-lg border border-gray-200"
+              />
+            ) : (
+              <AuthImage
+                src={attachment.url}
+                alt={attachment.name}
+                className="w-20 h-20 object-cover rounded-lg border border-gray-200"
+              />
+            )
+          ) : (
+            <div className="w-20 h-20 flex flex-col items-center justify-center rounded-lg border border-gray-200 bg-gray-50 text-gray-600 p-1">
+              <FileText className="w-6 h-6" />
+              <span className="text-xs truncate w-full text-center mt-1">{attachment.name}</span>
+            </div>
+          )}
+          {onRemove && (
+            <button
+              onClick={() => onRemove(attachment.id)}
+              className="absolute -top-2 -right-2 p-0.5 bg-gray-800 text-white rounded-full opacity-0 group-hover:opacity-100 transition-opacity"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default AttachmentPreview;
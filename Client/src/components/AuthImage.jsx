@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { assetsApi, isCancelled } from '../api';
+
+// Images served by our API need the auth header, which <img> cannot send,
+// so they are fetched as blobs. External URLs are used as-is.
+function AuthImage({ src, alt, className }) {
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const isApiAsset = src?.startsWith('/api/');
+
+  useEffect(() => {
+    if (!isApiAsset) return;
+
+    const controller = new AbortController();
+    let url = null;
+
+    assetsApi.file(src, { signal: controller.signal })
+      .then((blob) => {
+        url = URL.createObjectURL(blob);
+        setObjectUrl(url);
+      })
+      .catch((error) => {
+        if (isCancelled(error)) return;
+        console.error('Error loading image:', error);
+        setFailed(true);
+      });
+
+    return () => {
+      controller.abort();
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [src, isApiAsset]);
+
+  if (!isApiAsset) {
+    return <img src={src} alt={alt} className={className} />;
+  }
+
+  if (failed) {
+    return (
+      <div className={`${className} flex items-center justify-center bg-gray-100 text-sm text-gray-500`}>
+        Image unavailable
+      </div>
+    );
+  }
+
+  if (!objectUrl) {
+    return <div className={`${className} bg-gray-100 animate-pulse min-h-32`} />;
+  }
+
+  return <img src={objectUrl} alt={alt} className={className} />;
+}
+
+export default AuthImage;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { chatApi, isCancelled } from '../api';
+import { Search, SlidersHorizontal, X } from 'lucide-react';
+
+// Render server-provided snippet segments, marking the matched terms
+function Snippet({ segments, className }) {
+  if (!segments) return null;
+
+  return (
+    <p className={className}>
+      {segments.map((segment, index) => (
+        segment.match
+          ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{segment.text}</mark>
+          : <span key={index}>{segment.text}</span>
+      ))}
+    </p>
+  );
+}
+
+// Sidebar search over chat history. Results replace the conversation list
+// while a query is entered; picking one calls onSelect with the result.
+function ChatSearch({ models, onSelect, onActiveChange }) {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ type: '', model: '', from: '', to: '' });
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  const active = query.trim().length > 0;
+
+  useEffect(() => {
+    onActiveChange(active);
+  }, [active, onActiveChange]);
+
+  // Debounce typing so each keystroke does not hit the API, and cancel a
+  // search that is still running when the query changes
+  useEffect(() => {
+    if (!active) {
+      setResults([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const params = { q: query.trim(), limit: 20 };
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value) params[key] = value;
+        });
+
+        const { data } = await chatApi.search(params, { signal: controller.signal });
+        setResults(data.results);
+      } catch (error) {
+        if (isCancelled(error)) return;
+        console.error('Error searching chats:', error);
+      } finally {
+        if (!controller.signal.aborted) setSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [query, filters, active]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center space-x-1">
+        <div className="relative flex-1">
+          <Search className="absolute left-2 top-2.5 w-4 h-4 text-gray-400" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search chats..."
+            className="w-full pl-8 pr-8 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+          {active && (
+            <button
+              onClick={() => setQuery('')}
+              className="absolute right-2 top-2.5 text-gray-400 hover:text-gray-600"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+        <button
+          onClick={() => setShowFilters(prev => !prev)}
+          title="Filters"
+          className={`p-2 rounded-lg transition-colors ${
+            showFilters ? 'text-purple-600 bg-purple-50' : 'text-gray-600 hover:text-purple-600'
+          }`}
+        >
+          <SlidersHorizontal className="w-4 h-4" />
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)} className={inputClass}>
+            <option value="">All types</option>
+            <option value="text">Text</option>
+            <option value="image">Image</option>
+          </select>
+          <select value={filters.model} onChange={(e) => updateFilter('model', e.target.value)} className={inputClass}>
+            <option value="">All models</option>
+            {models.map((model) => (
+              <option key={model.id} value={model.id}>{model.id}</option>
+            ))}
+          </select>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={inputClass} title="From" />
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={inputClass} title="To" />
+        </div>
+      )}
+
+      {active && (
+        <div className="space-y-2 mt-3 max-h-96 overflow-y-auto">
+          {searching && results.length === 0 && (
+            <p className="text-gray-500 text-center py-4 text-sm">Searching...</p>
+          )}
+          {!searching && results.length === 0 && (
+            <p className="text-gray-500 text-center py-4 text-sm">No matching chats</p>
+          )}
+          {results.map((result) => (
+            <div
+              key={result.id}
+              onClick={() => onSelect(result)}
+              className="p-3 bg-gray-50 rounded-lg hover:bg-gray-100 cursor-pointer transition-colors"
+            >
+              <Snippet segments={result.promptSnippet} className="text-sm text-gray-800 line-clamp-2" />
+              <Snippet segments={result.responseSnippet} className="text-xs text-gray-600 mt-1 line-clamp-3" />
+              <div className="flex items-center space-x-2 mt-1">
+                <span className={`px-2 py-0.5 text-xs rounded-full ${
+                  result.type === 'text'
+                    ? 'bg-blue-100 text-blue-800'
+                    : 'bg-purple-100 text-purple-800'
+                }`}>
+                  {result.type}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {new Date(result.createdAt).toLocaleDateString()}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChatSearch;
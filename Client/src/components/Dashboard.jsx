@@ -1,7 +1,23 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { toast } from 'react-hot-toast';
-import axios from 'axios';
+import { chatApi, conversationsApi, usageApi, isCancelled } from '../api';
+import AuthImage from './AuthImage';
+import ImageGallery from './ImageGallery';
+import AttachmentPreview from './AttachmentPreview';
+import UsageMeter from './UsageMeter';
+import ChatSearch from './ChatSearch';
+import ExportMenu from './ExportMenu';
+import ShareDialog from './ShareDialog';
+import VerifyEmailBanner from './VerifyEmailBanner';
+import DeletionBanner from './DeletionBanner';
+import PersonaSwitcher from './PersonaSwitcher';
+import GenerationSettings from './GenerationSettings';
+import TemplateLibrary from './TemplateLibrary';
+import MarkdownMessage from './MarkdownMessage';
+import { EMPTY_GENERATION_SETTINGS, generationFields } from '../utils/generation';
+import { describeError } from '../utils/errorMessages';
 import { 
   Send, 
   Image, 
@@ -9,10 +25,38 @@ import {
   LogOut, 
   User, 
   Trash2, 
+  Share2,
+  MonitorSmartphone,
+  Shield,
+  Settings,
   Bot,
-  RefreshCw 
+  RefreshCw,
+  Plus,
+  Square,
+  Images,
+  Paperclip,
+  BookOpen,
+  Pencil,
+  ChevronLeft,
+  ChevronRight
 } from 'lucide-react';
 
+// Mirrors the limits enforced by the backend upload middleware
+const MAX_ATTACHMENTS = 4;
+const ATTACHMENT_LIMITS = {
+  'image/png': 5 * 1024 * 1024,
+  'image/jpeg': 5 * 1024 * 1024,
+  'image/webp': 5 * 1024 * 1024,
+  'application/pdf': 2 * 1024 * 1024,
+  'text/plain': 512 * 1024,
+  'text/markdown': 512 * 1024,
+  'text/csv': 512 * 1024
+};
+
+// How often, and how long apart, to look for a stopped reply being saved
+const STOPPED_TURN_ATTEMPTS = 5;
+const STOPPED_TURN_DELAY_MS = 400;
+
 function Dashboard() {
   const { user, logout } = useAuth();
   const [messages, setMessages] = useState([]);
@@ -20,15 +64,61 @@ function Dashboard() {
   const [isLoading, setIsLoading] = useState(false);
   const [chatType, setChatType] = useState('text');
   const [history, setHistory] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [streamingMessageId, setStreamingMessageId] = useState(null);
+  const [models, setModels] = useState([]);
+  const [selectedModel, setSelectedModel] = useState('');
+  const [selectedPersonaId, setSelectedPersonaId] = useState(() => localStorage.getItem('personaId') || '');
+  const [generationPolicy, setGenerationPolicy] = useState(null);
+  const [generationSettings, setGenerationSettings] = useState(() => {
+    try {
+      return { ...EMPTY_GENERATION_SETTINGS, ...JSON.parse(localStorage.getItem('generationSettings')) };
+    } catch {
+      return EMPTY_GENERATION_SETTINGS;
+    }
+  });
+  const [showGallery, setShowGallery] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [sharingConversation, setSharingConversation] = useState(null);
+  const [attachments, setAttachments] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [usage, setUsage] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
+  const [editingChatId, setEditingChatId] = useState(null);
+  const [editText, setEditText] = useState('');
   const messagesEndRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   useEffect(() => {
     fetchChatHistory();
+    fetchModels();
+    fetchUsage();
   }, []);
 
+  // Follow new messages, unless a search result is being shown
+  useEffect(() => {
+    if (focusedMessageId) {
+      document.getElementById(`message-${focusedMessageId}`)
+        ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      scrollToBottom();
+    }
+  }, [messages, focusedMessageId]);
+
+  // Remember the persona across visits
+  useEffect(() => {
+    if (selectedPersonaId) {
+      localStorage.setItem('personaId', selectedPersonaId);
+    } else {
+      localStorage.removeItem('personaId');
+    }
+  }, [selectedPersonaId]);
+
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    localStorage.setItem('generationSettings', JSON.stringify(generationSettings));
+  }, [generationSettings]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -36,93 +126,456 @@ function Dashboard() {
 
   const fetchChatHistory = async () => {
     try {
-      const response = await axios.get('https://fiit-intern5.vercel.app/api/chat/history?limit=10');
-      setHistory(response.data.data.chats);
+      const { data } = await conversationsApi.list({ limit: 20 });
+      setHistory(data.conversations);
     } catch (error) {
       console.error('Error fetching chat history:', error);
     }
   };
 
- const handleSendMessage = async () => {
-    if (!inputMessage.trim()) return;
+  const fetchModels = async () => {
+    try {
+      const { data } = await chatApi.models();
+      setModels(data.models);
+      setSelectedModel(data.defaultModel);
+      setGenerationPolicy(data.generation);
+    } catch (error) {
+      console.error('Error fetching models:', error);
+    }
+  };
+
+  const fetchUsage = async () => {
+    try {
+      const { data } = await usageApi.get();
+      setUsage(data);
+    } catch (error) {
+      console.error('Error fetching usage:', error);
+    }
+  };
+
+  // Turn stored chats into the user/bot message pairs shown in the chat area.
+  // Both halves carry the chat id and its versions for regenerate and edit.
+  const chatsToMessages = (chats) => chats.flatMap((chat) => [
+    {
+      id: `${chat._id}-prompt`,
+      chatId: chat._id,
+      siblingIds: chat.siblingIds || [chat._id],
+      chatType: chat.type,
+      content: chat.prompt,
+      type: 'user',
+      attachments: (chat.attachments || []).map((attachment) => ({
+        id: attachment.asset,
+        name: attachment.filename,
+        mimeType: attachment.mimeType,
+        url: `/api/assets/${attachment.asset}`
+      })),
+      timestamp: chat.createdAt
+    },
+    {
+      id: `${chat._id}-response`,
+      chatId: chat._id,
+      siblingIds: chat.siblingIds || [chat._id],
+      content: chat.response,
+      type: 'bot',
+      chatType: chat.type,
+      imageUrl: chat.imageUrl,
+      model: chat.model,
+      requestedModel: chat.requestedModel,
+      personaName: chat.personaName,
+      cached: chat.cached,
+      timestamp: chat.createdAt
+    }
+  ]);
+
+  const loadConversation = async (id) => {
+    const { data } = await conversationsApi.get(id);
+    setMessages(chatsToMessages(data.chats));
+    setActiveConversationId(id);
+  };
+
+  // A stopped reply never gets its `done` event; the server saves it once it
+  // notices the client left, so reload until that turn shows up to give the
+  // messages their ids for regenerate and edit. A new conversation is not
+  // found until then either.
+  const loadStoppedTurn = async (conversationId, chatId) => {
+    for (let attempt = 0; attempt < STOPPED_TURN_ATTEMPTS; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, STOPPED_TURN_DELAY_MS));
+
+      const { data } = await conversationsApi.get(conversationId).catch((error) => {
+        if (error.status === 404) return { data: { chats: [] } };
+        throw error;
+      });
+      if (data.chats.some((chat) => chat._id === chatId)) {
+        setMessages(chatsToMessages(data.chats));
+        return;
+      }
+    }
+  };
+
+  const openConversation = async (id) => {
+    if (isLoading || id === activeConversationId) return;
+
+    try {
+      setFocusedMessageId(null);
+      setEditingChatId(null);
+      await loadConversation(id);
+    } catch (error) {
+      console.error('Error loading conversation:', error);
+      toast.error(describeError(error, 'Failed to load conversation'));
+    }
+  };
+
+  // Show the branch that runs through another version of a turn
+  const switchVersion = async (chatId) => {
+    if (isLoading || !activeConversationId) return;
+
+    try {
+      const { data } = await conversationsApi.switchBranch(activeConversationId, chatId);
+      setFocusedMessageId(null);
+      setEditingChatId(null);
+      setMessages(chatsToMessages(data.chats));
+    } catch (error) {
+      console.error('Error switching version:', error);
+      toast.error(describeError(error, 'Failed to switch version'));
+    }
+  };
+
+  // Jump to a search hit, loading its conversation when needed. Chats from
+  // before conversations existed are opened on their own.
+  const openSearchResult = async (result) => {
+    if (isLoading) return;
+
+    try {
+      if (!result.conversationId) {
+        const { data } = await chatApi.get(result.id);
+        setMessages(chatsToMessages([data.chat]));
+        setActiveConversationId(null);
+      } else {
+        // The hit may sit on another branch, so show the one through it
+        const { data } = await conversationsApi.switchBranch(result.conversationId, result.id);
+        setMessages(chatsToMessages(data.chats));
+        setActiveConversationId(result.conversationId);
+      }
+      setFocusedMessageId(`${result.id}-prompt`);
+    } catch (error) {
+      console.error('Error opening search result:', error);
+      toast.error(describeError(error, 'Failed to open chat'));
+    }
+  };
+
+  // Validate files from the picker, a drop or a paste and queue them
+  const addAttachments = (files) => {
+    if (chatType !== 'text') {
+      toast.error('Attachments are only supported in text mode');
+      return;
+    }
+
+    const accepted = [];
+    Array.from(files).forEach((file) => {
+      const limit = ATTACHMENT_LIMITS[file.type];
+      if (!limit) {
+        toast.error(`${file.name}: only PNG, JPEG, WebP, PDF and text files are allowed`);
+      } else if (file.size > limit) {
+        toast.error(`${file.name} exceeds the ${Math.round(limit / 1024)} KB limit`);
+      } else {
+        accepted.push({
+          id: `${Date.now()}-${file.name}-${accepted.length}`,
+          file,
+          name: file.name,
+          mimeType: file.type,
+          previewUrl: file.type.startsWith('image/') ? URL.createObjectURL(file) : null
+        });
+      }
+    });
+
+    setAttachments((prev) => {
+      const next = [...prev, ...accepted];
+      if (next.length > MAX_ATTACHMENTS) {
+        toast.error(`At most ${MAX_ATTACHMENTS} attachments are allowed`);
+        next.slice(MAX_ATTACHMENTS).forEach((attachment) => {
+          if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl);
+        });
+      }
+      return next.slice(0, MAX_ATTACHMENTS);
+    });
+  };
+
+  const removeAttachment = (id) => {
+    setAttachments((prev) => prev.filter((attachment) => {
+      if (attachment.id === id && attachment.previewUrl) {
+        URL.revokeObjectURL(attachment.previewUrl);
+      }
+      return attachment.id !== id;
+    }));
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (e.dataTransfer.files.length > 0) {
+      addAttachments(e.dataTransfer.files);
+    }
+  };
+
+  const handlePaste = (e) => {
+    if (e.clipboardData.files.length > 0) {
+      e.preventDefault();
+      addAttachments(e.clipboardData.files);
+    }
+  };
+
+  // Apply changes to a single message in place (used while streaming)
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map((message) => (
+      message.id === id ? { ...message, ...changes(message) } : message
+    )));
+  };
+
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Stream a text reply chunk by chunk into a placeholder bot message
+  const streamTextResponse = async (prompt, files, { userMessageId, botMessageId, siblingOf, bypassCache }) => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    const fields = {
+      prompt,
+      ...(activeConversationId && { conversationId: activeConversationId }),
+      ...(siblingOf && { siblingOf }),
+      ...(bypassCache && { bypassCache }),
+      ...(selectedModel && { model: selectedModel }),
+      ...(selectedPersonaId && { personaId: selectedPersonaId }),
+      ...generationFields(generationSettings)
+    };
+
+    // Files go up as multipart form data
+    let body = fields;
+    if (files.length > 0) {
+      body = new FormData();
+      Object.entries(fields).forEach(([key, value]) => {
+        [].concat(value).forEach((item) => body.append(key, item));
+      });
+      files.forEach((file) => body.append('attachments', file));
+    }
+
+    // A new conversation is only stored with its first turn: when the reply
+    // is done, or when it is stopped after some text arrived
+    let conversationId = null;
+    let chatId = null;
+    let received = false;
+
+    const onEvent = (event, data) => {
+      switch (event) {
+        case 'start':
+          conversationId = data.conversationId;
+          chatId = data.chatId;
+          updateMessage(botMessageId, () => ({
+            model: data.model,
+            requestedModel: data.requestedModel,
+            personaName: data.personaName,
+            cached: data.cached
+          }));
+          if (data.degraded) {
+            toast(`Token quota reached, answering with ${data.model}`);
+          } else if (data.requestedModel) {
+            toast(`${data.requestedModel} is unavailable, answering with ${data.model}`);
+          }
+          break;
+        case 'chunk':
+          received = true;
+          updateMessage(botMessageId, (message) => ({ content: message.content + data.text }));
+          break;
+        case 'done':
+          setActiveConversationId(data.conversationId);
+          updateMessage(botMessageId, () => ({
+            content: data.response,
+            streaming: false,
+            chatId: data.id,
+            siblingIds: data.siblingIds
+          }));
+          updateMessage(userMessageId, () => ({ chatId: data.id, siblingIds: data.siblingIds }));
+          break;
+        default:
+          break;
+      }
+    };
 
+    try {
+      await chatApi.streamText(body, { signal: abortController.signal, onEvent });
+    } catch (error) {
+      if (isCancelled(error) && received) {
+        setActiveConversationId(conversationId);
+        await loadStoppedTurn(conversationId, chatId).catch((loadError) => {
+          console.error('Error loading stopped reply:', loadError);
+        });
+      }
+      throw error;
+    }
+  };
+
+  // Send a prompt as a new turn, or as another version of `siblingOf` when
+  // regenerating or editing. A new version replaces that turn and everything
+  // after it on screen; files of the old version are reused by the server.
+  const sendPrompt = async (prompt, sentAttachments, { siblingOf = null, type = chatType, bypassCache = false } = {}) => {
+    const userMessageId = Date.now();
+    const botMessageId = userMessageId + 1;
     const userMessage = {
-      id: Date.now(),
-      content: inputMessage,
+      id: userMessageId,
+      chatType: type,
+      content: prompt,
       type: 'user',
+      attachments: sentAttachments,
       timestamp: new Date()
     };
 
-    setMessages(prev => [...prev, userMessage]);
+    setFocusedMessageId(null);
+    setEditingChatId(null);
+    setMessages(prev => {
+      const cut = siblingOf ? prev.findIndex((message) => message.chatId === siblingOf) : -1;
+      return [...(cut === -1 ? prev : prev.slice(0, cut)), userMessage];
+    });
     setIsLoading(true);
 
     try {
-      const endpoint = chatType === 'text' 
-        ? 'https://fiit-intern5.vercel.app/api/chat/text' 
-        : 'https://fiit-intern5.vercel.app/api/chat/image';
-
-      // Add request headers and log request data
-      const config = {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      };
-
-      // Log request details
-      console.log('Sending request to:', endpoint);
-      console.log('Request data:', { prompt: inputMessage });
-
-      const response = await axios.post(endpoint, {
-        prompt: inputMessage
-      }, config);
-
-      // Log successful response
-      console.log('Response received:', response.data);
-
-      const botMessage = {
-        id: Date.now() + 1,
-        content: response.data.data.response,
-        type: 'bot',
-        chatType: response.data.data.type,
-        imageUrl: response.data.data.imageUrl,
-        timestamp: new Date()
-      };
-
-      setMessages(prev => [...prev, botMessage]);
-      fetchChatHistory();
-      toast.success(`${chatType === 'text' ? 'Text' : 'Image'} response generated!`);
+      if (type === 'text') {
+        setMessages(prev => [...prev, {
+          id: botMessageId,
+          content: '',
+          type: 'bot',
+          chatType: 'text',
+          streaming: true,
+          timestamp: new Date()
+        }]);
+        setStreamingMessageId(botMessageId);
+
+        await streamTextResponse(
+          prompt,
+          sentAttachments.filter((attachment) => attachment.file).map((attachment) => attachment.file),
+          { userMessageId, botMessageId, siblingOf, bypassCache }
+        );
+        updateMessage(botMessageId, () => ({ streaming: false }));
+      } else {
+        const { data } = await chatApi.generateImage({
+          prompt,
+          ...(activeConversationId && { conversationId: activeConversationId }),
+          ...(siblingOf && { siblingOf })
+        });
+
+        const botMessage = {
+          id: botMessageId,
+          chatId: data.id,
+          siblingIds: data.siblingIds,
+          content: data.response,
+          type: 'bot',
+          chatType: data.type,
+          imageUrl: data.imageUrl,
+          model: data.model,
+          timestamp: new Date()
+        };
+
+        setMessages(prev => [...prev, botMessage]);
+        updateMessage(userMessageId, () => ({ chatId: botMessage.chatId, siblingIds: botMessage.siblingIds }));
+        setActiveConversationId(data.conversationId);
+        toast.success('Image generated!');
+      }
 
+      fetchChatHistory();
+      fetchUsage();
     } catch (error) {
-      // Enhanced error handling
+      if (isCancelled(error)) {
+        // Keep whatever was generated before the user pressed Stop
+        updateMessage(botMessageId, () => ({ streaming: false }));
+        fetchChatHistory();
+        fetchUsage();
+        toast('Generation stopped');
+        return;
+      }
+
+      // Drop the placeholder if nothing was streamed into it
+      setMessages(prev => prev.filter((message) => (
+        message.id !== botMessageId || message.content
+      )).map((message) => (
+        message.id === botMessageId ? { ...message, streaming: false } : message
+      )));
+
+      // A failed new version leaves the stored branch as it was
+      if (siblingOf && activeConversationId) {
+        loadConversation(activeConversationId).catch((loadError) => {
+          console.error('Error reloading conversation:', loadError);
+        });
+      }
+
       console.error('Error details:', {
         message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        responseData: error.response?.data
+        status: error.status,
+        code: error.code,
+        requestId: error.requestId,
+        responseData: error.data
       });
 
-      // Show more specific error message to user
-      let errorMessage = 'Failed to send message';
-      if (error.response) {
-        if (error.response.status === 500) {
-          errorMessage = 'Server error. Please try again later.';
-        } else if (error.response.status === 401) {
-          errorMessage = 'Please login again.';
-          logout(); // Assuming you have access to the logout function
-        } else {
-          errorMessage = error.response.data?.message || errorMessage;
-        }
-      } else if (error.request) {
-        errorMessage = 'No response from server. Check your connection.';
+      // The message follows the error code, so a session that could not be
+      // refreshed (the API client has signed out) reads as such
+      if (error.code === 'QUOTA_EXCEEDED') {
+        fetchUsage();
       }
-
-      toast.error(errorMessage);
+      toast.error(describeError(error, 'Failed to send message'));
     } finally {
+      abortControllerRef.current = null;
+      setStreamingMessageId(null);
       setIsLoading(false);
-      setInputMessage('');
     }
-};
+  };
+
+  const handleSendMessage = () => {
+    if (!inputMessage.trim()) return;
+
+    const prompt = inputMessage;
+    const sentAttachments = attachments;
+    setInputMessage('');
+    setAttachments([]);
+    sendPrompt(prompt, sentAttachments);
+  };
+
+  // Ask for another answer to a turn, keeping the current one as a version.
+  // The cache would only hand back the same answer, so it is skipped.
+  const regenerate = (message) => {
+    const prompt = messages.find((item) => item.chatId === message.chatId && item.type === 'user');
+    if (!prompt) return;
+
+    sendPrompt(prompt.content, prompt.attachments || [], {
+      siblingOf: message.chatId,
+      type: message.chatType,
+      bypassCache: true
+    });
+  };
+
+  const startEditing = (message) => {
+    setEditingChatId(message.chatId);
+    setEditText(message.content);
+  };
+
+  const submitEdit = (message) => {
+    if (!editText.trim()) return;
+
+    sendPrompt(editText, message.attachments || [], {
+      siblingOf: message.chatId,
+      type: message.chatType
+    });
+  };
 
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -132,17 +585,23 @@ function Dashboard() {
   };
 
   const clearChat = () => {
+    setFocusedMessageId(null);
+    setEditingChatId(null);
     setMessages([]);
-    toast.success('Chat cleared');
+    setActiveConversationId(null);
   };
 
   const deleteHistoryItem = async (id) => {
     try {
-      await axios.delete(`https://fiit-intern5.vercel.app/api/chat/${id}`);
+      await conversationsApi.remove(id);
+      if (id === activeConversationId) {
+        clearChat();
+      }
       fetchChatHistory();
-      toast.success('Chat deleted');
+      toast.success('Conversation deleted');
     } catch (error) {
-      toast.error('Failed to delete chat');
+      console.error('Error deleting conversation:', error);
+      toast.error(describeError(error, 'Failed to delete conversation'));
     }
   };
 
@@ -166,56 +625,115 @@ function Dashboard() {
                 <p className="text-sm text-gray-600">{user?.email}</p>
               </div>
             </div>
-            <button
-              onClick={logout}
-              className="p-2 text-gray-600 hover:text-red-600 transition-colors"
-            >
-              <LogOut className="w-5 h-5" />
-            </button>
+            <div className="flex items-center">
+              {user?.role === 'admin' && (
+                <Link
+                  to="/admin"
+                  title="Admin console"
+                  className="p-2 text-gray-600 hover:text-purple-600 transition-colors"
+                >
+                  <Shield className="w-5 h-5" />
+                </Link>
+              )}
+              <Link
+                to="/account"
+                title="Account settings"
+                className="p-2 text-gray-600 hover:text-purple-600 transition-colors"
+              >
+                <Settings className="w-5 h-5" />
+              </Link>
+              <Link
+                to="/sessions"
+                title="Active sessions"
+                className="p-2 text-gray-600 hover:text-purple-600 transition-colors"
+              >
+                <MonitorSmartphone className="w-5 h-5" />
+              </Link>
+              <button
+                onClick={logout}
+                className="p-2 text-gray-600 hover:text-red-600 transition-colors"
+              >
+                <LogOut className="w-5 h-5" />
+              </button>
+            </div>
           </div>
+          {usage && (
+            <div className="mt-3">
+              <UsageMeter usage={usage} />
+            </div>
+          )}
         </div>
 
         <div className="p-4">
           <div className="flex items-center justify-between mb-4">
-            <h3 className="font-semibold text-gray-800">Chat History</h3>
-            <button
-              onClick={fetchChatHistory}
-              className="p-1 text-gray-600 hover:text-purple-600 transition-colors"
-            >
-              <RefreshCw className="w-4 h-4" />
-            </button>
+            <h3 className="font-semibold text-gray-800">Conversations</h3>
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={clearChat}
+                title="New conversation"
+                className="p-1 text-gray-600 hover:text-purple-600 transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+              <button
+                onClick={fetchChatHistory}
+                className="p-1 text-gray-600 hover:text-purple-600 transition-colors"
+              >
+                <RefreshCw className="w-4 h-4" />
+              </button>
+            </div>
           </div>
           
-          <div className="space-y-2 max-h-96 overflow-y-auto">
-            {history.map((chat) => (
+          <ChatSearch
+            models={models}
+            onSelect={openSearchResult}
+            onActiveChange={setIsSearching}
+          />
+
+          <div className={`space-y-2 max-h-96 overflow-y-auto ${isSearching ? 'hidden' : ''}`}>
+            {history.map((conversation) => (
               <div
-                key={chat._id}
-                className="p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors group"
+                key={conversation._id}
+                onClick={() => openConversation(conversation._id)}
+                className={`p-3 rounded-lg cursor-pointer transition-colors group ${
+                  conversation._id === activeConversationId
+                    ? 'bg-purple-50 border border-purple-200'
+                    : 'bg-gray-50 hover:bg-gray-100'
+                }`}
               >
                 <div className="flex items-start justify-between">
-                  <div className="flex-1">
+                  <div className="flex-1 min-w-0">
                     <p className="text-sm text-gray-800 truncate">
-                      {chat.prompt.substring(0, 50)}...
+                      {conversation.title}
                     </p>
                     <div className="flex items-center space-x-2 mt-1">
-                      <span className={`px-2 py-1 text-xs rounded-full ${
-                        chat.type === 'text' 
-                          ? 'bg-blue-100 text-blue-800' 
-                          : 'bg-purple-100 text-purple-800'
-                      }`}>
-                        {chat.type}
-                      </span>
                       <span className="text-xs text-gray-500">
-                        {formatTimestamp(chat.createdAt)}
+                        {formatTimestamp(conversation.lastMessageAt)}
                       </span>
                     </div>
                   </div>
-                  <button
-                    onClick={() => deleteHistoryItem(chat._id)}
-                    className="opacity-0 group-hover:opacity-100 p-1 text-red-600 hover:text-red-800 transition-all"
-                  >
-                    <Trash2 className="w-4 h-4" />
-                  </button>
+                  <div className="flex items-center">
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setSharingConversation(conversation);
+                      }}
+                      title="Share"
+                      className="opacity-0 group-hover:opacity-100 p-1 text-gray-600 hover:text-gray-800 transition-all"
+                    >
+                      <Share2 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        deleteHistoryItem(conversation._id);
+                      }}
+                      title="Delete"
+                      className="opacity-0 group-hover:opacity-100 p-1 text-red-600 hover:text-red-800 transition-all"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
                 </div>
               </div>
             ))}
@@ -227,12 +745,37 @@ function Dashboard() {
       </div>
 
       {/* Main Chat Area */}
-      <div className="flex-1 flex flex-col">
+      <div
+        className={`flex-1 flex flex-col relative ${isDragging ? 'ring-4 ring-inset ring-purple-400' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
+        <DeletionBanner />
+        <VerifyEmailBanner />
+
         {/* Header */}
         <div className="bg-white shadow-sm p-4 border-b border-gray-200">
           <div className="flex items-center justify-between">
             <h1 className="text-2xl font-bold text-gray-800">Gemini ChatBot</h1>
             <div className="flex items-center space-x-4">
+              {models.length > 0 && (
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm text-gray-600">Model:</span>
+                  <select
+                    value={selectedModel}
+                    onChange={(e) => setSelectedModel(e.target.value)}
+                    disabled={isLoading}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  >
+                    {models.map((model) => (
+                      <option key={model.id} value={model.id}>
+                        {model.id} ({model.provider})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div className="flex items-center space-x-2">
                 <span className="text-sm text-gray-600">Mode:</span>
                 <div className="flex bg-gray-100 rounded-lg p-1">
@@ -260,11 +803,38 @@ function Dashboard() {
                   </button>
                 </div>
               </div>
+              {chatType === 'text' && (
+                <>
+                  <PersonaSwitcher
+                    value={selectedPersonaId}
+                    onChange={setSelectedPersonaId}
+                    disabled={isLoading}
+                    generationPolicy={generationPolicy}
+                  />
+                  <GenerationSettings
+                    settings={generationSettings}
+                    onChange={setGenerationSettings}
+                    policy={generationPolicy}
+                    disabled={isLoading}
+                  />
+                </>
+              )}
+              <ExportMenu
+                conversationId={activeConversationId}
+                onImported={fetchChatHistory}
+              />
+              <button
+                onClick={() => setShowGallery(true)}
+                className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors flex items-center space-x-1"
+              >
+                <Images className="w-4 h-4" />
+                <span>Gallery</span>
+              </button>
               <button
                 onClick={clearChat}
                 className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
               >
-                Clear Chat
+                New Chat
               </button>
             </div>
           </div>
@@ -282,10 +852,13 @@ function Dashboard() {
             messages.map((message) => (
               <div
                 key={message.id}
+                id={`message-${message.id}`}
                 className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}
               >
                 <div
                   className={`max-w-3xl px-4 py-2 rounded-lg ${
+                    message.id === focusedMessageId ? 'ring-4 ring-yellow-300' : ''
+                  } ${
                     message.type === 'user'
                       ? 'bg-purple-600 text-white'
                       : 'bg-white text-gray-800 shadow-sm border border-gray-200'
@@ -294,33 +867,137 @@ function Dashboard() {
                   {message.type === 'bot' && (
                     <div className="flex items-center space-x-2 mb-2">
                       <Bot className="w-5 h-5 text-purple-600" />
-                      <span className="text-sm font-medium text-purple-600">Gemini</span>
+                      <span
+                        className="text-sm font-medium text-purple-600"
+                        title={message.requestedModel ? `Answered instead of ${message.requestedModel}, which was unavailable` : undefined}
+                      >
+                        {message.model || 'Gemini'}
+                      </span>
+                      {message.personaName && (
+                        <span className="text-xs px-2 py-0.5 bg-purple-50 text-purple-700 rounded-full">
+                          {message.personaName}
+                        </span>
+                      )}
+                      {message.cached && (
+                        <span
+                          className="text-xs px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full"
+                          title="Served from the response cache"
+                        >
+                          Cached
+                        </span>
+                      )}
                     </div>
                   )}
                   
-                  <div className="whitespace-pre-wrap">{message.content}</div>
+                  <AttachmentPreview attachments={message.attachments} className="mb-2" />
+
+                  {message.type === 'user' && message.chatId === editingChatId ? (
+                    <div className="space-y-2 min-w-[20rem]">
+                      <textarea
+                        value={editText}
+                        onChange={(e) => setEditText(e.target.value)}
+                        rows="3"
+                        maxLength={2000}
+                        autoFocus
+                        className="w-full px-3 py-2 text-gray-800 rounded-lg focus:ring-2 focus:ring-purple-300 resize-none"
+                      />
+                      <div className="flex justify-end space-x-2 text-sm">
+                        <button
+                          onClick={() => setEditingChatId(null)}
+                          className="px-3 py-1 rounded-lg bg-purple-500 hover:bg-purple-400 transition-colors"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={() => submitEdit(message)}
+                          disabled={!editText.trim()}
+                          className="px-3 py-1 rounded-lg bg-white text-purple-700 hover:bg-purple-50 disabled:opacity-50 transition-colors"
+                        >
+                          Send
+                        </button>
+                      </div>
+                    </div>
+                  ) : message.streaming && !message.content ? (
+                    <div className="flex items-center space-x-2">
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-purple-600"></div>
+                      <span className="text-gray-600">Thinking...</span>
+                    </div>
+                  ) : (
+                    message.type === 'bot' ? (
+                      <div>
+                        <MarkdownMessage content={message.content} streaming={message.streaming} />
+                        {message.streaming && (
+                          <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-purple-600 animate-pulse"></span>
+                        )}
+                      </div>
+                    ) : (
+                      <div className="whitespace-pre-wrap">{message.content}</div>
+                    )
+                  )}
                   
                   {message.imageUrl && (
                     <div className="mt-2">
-                      <img 
-                        src={message.imageUrl} 
-                        alt="Generated" 
+                      <AuthImage
+                        src={message.imageUrl}
+                        alt="Generated"
                         className="max-w-full rounded-lg shadow-md"
                       />
                     </div>
                   )}
                   
-                  <div className={`text-xs mt-1 ${
+                  <div className={`flex items-center justify-between space-x-3 text-xs mt-1 ${
                     message.type === 'user' ? 'text-purple-200' : 'text-gray-500'
                   }`}>
-                    {formatTimestamp(message.timestamp)}
+                    <span>{formatTimestamp(message.timestamp)}</span>
+                    {message.chatId && activeConversationId && !isLoading && message.chatId !== editingChatId && (
+                      <div className="flex items-center space-x-1">
+                        {message.type === 'bot' && message.siblingIds?.length > 1 && (
+                          <>
+                            <button
+                              onClick={() => switchVersion(message.siblingIds[message.siblingIds.indexOf(message.chatId) - 1])}
+                              disabled={message.siblingIds.indexOf(message.chatId) === 0}
+                              title="Previous version"
+                              className="hover:text-purple-600 disabled:opacity-40"
+                            >
+                              <ChevronLeft className="w-4 h-4" />
+                            </button>
+                            <span>{message.siblingIds.indexOf(message.chatId) + 1} / {message.siblingIds.length}</span>
+                            <button
+                              onClick={() => switchVersion(message.siblingIds[message.siblingIds.indexOf(message.chatId) + 1])}
+                              disabled={message.siblingIds.indexOf(message.chatId) === message.siblingIds.length - 1}
+                              title="Next version"
+                              className="hover:text-purple-600 disabled:opacity-40"
+                            >
+                              <ChevronRight className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                        {message.type === 'bot' ? (
+                          <button
+                            onClick={() => regenerate(message)}
+                            title="Regenerate"
+                            className="p-0.5 hover:text-purple-600"
+                          >
+                            <RefreshCw className="w-4 h-4" />
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => startEditing(message)}
+                            title="Edit and resend"
+                            className="p-0.5 hover:text-white"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
             ))
           )}
           
-          {isLoading && (
+          {isLoading && !streamingMessageId && (
             <div className="flex justify-start">
               <div className="max-w-3xl px-4 py-2 bg-white rounded-lg shadow-sm border border-gray-200">
                 <div className="flex items-center space-x-2 mb-2">
@@ -330,7 +1007,7 @@ function Dashboard() {
                 <div className="flex items-center space-x-2">
                   <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-purple-600"></div>
                   <span className="text-gray-600">
-                    {chatType === 'text' ? 'Thinking...' : 'Generating image description...'}
+                    {chatType === 'text' ? 'Thinking...' : 'Generating image...'}
                   </span>
                 </div>
               </div>
@@ -344,10 +1021,12 @@ function Dashboard() {
         <div className="bg-white border-t border-gray-200 p-4">
           <div className="flex items-end space-x-2">
             <div className="flex-1">
+              <AttachmentPreview attachments={attachments} onRemove={removeAttachment} className="mb-2" />
               <textarea
                 value={inputMessage}
                 onChange={(e) => setInputMessage(e.target.value)}
                 onKeyPress={handleKeyPress}
+                onPaste={handlePaste}
                 placeholder={
                   chatType === 'text' 
                     ? 'Ask Gemini anything...' 
@@ -359,21 +1038,79 @@ function Dashboard() {
               />
             </div>
             <button
-              onClick={handleSendMessage}
-              disabled={isLoading || !inputMessage.trim()}
-              className="px-6 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-2"
+              onClick={() => setShowTemplates(true)}
+              disabled={isLoading}
+              title="Prompt templates"
+              className="px-3 py-2 text-gray-600 border border-gray-300 rounded-lg hover:text-purple-600 hover:border-purple-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
-              <Send className="w-5 h-5" />
-              <span>Send</span>
+              <BookOpen className="w-5 h-5" />
             </button>
+            {chatType === 'text' && (
+              <>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  accept={Object.keys(ATTACHMENT_LIMITS).join(',')}
+                  className="hidden"
+                  onChange={(e) => {
+                    addAttachments(e.target.files);
+                    e.target.value = '';
+                  }}
+                />
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={isLoading}
+                  title="Attach files"
+                  className="px-3 py-2 text-gray-600 border border-gray-300 rounded-lg hover:text-purple-600 hover:border-purple-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <Paperclip className="w-5 h-5" />
+                </button>
+              </>
+            )}
+            {streamingMessageId ? (
+              <button
+                onClick={stopGeneration}
+                className="px-6 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 transition-colors flex items-center space-x-2"
+              >
+                <Square className="w-5 h-5" />
+                <span>Stop</span>
+              </button>
+            ) : (
+              <button
+                onClick={handleSendMessage}
+                disabled={isLoading || !inputMessage.trim()}
+                className="px-6 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-2"
+              >
+                <Send className="w-5 h-5" />
+                <span>Send</span>
+              </button>
+            )}
           </div>
           
           <div className="mt-2 text-xs text-gray-500 text-center">
-            {chatType === 'text' ? 'Text chat mode' : 'Image description mode'} • 
-            Press Enter to send, Shift+Enter for new line
+            {chatType === 'text' ? 'Text chat mode' : 'Image generation mode'} • 
+            Press Enter to send, Shift+Enter for new line{chatType === 'text' && ', drop or paste files to attach'}
           </div>
         </div>
       </div>
+
+      {showGallery && <ImageGallery onClose={() => setShowGallery(false)} />}
+      {showTemplates && (
+        <TemplateLibrary
+          onUse={(prompt) => {
+            setInputMessage(prompt);
+            setShowTemplates(false);
+          }}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+      {sharingConversation && (
+        <ShareDialog
+          conversation={sharingConversation}
+          onClose={() => setSharingConversation(null)}
+        />
+      )}
     </div>
   );
 }
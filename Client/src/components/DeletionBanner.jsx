@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { accountApi } from '../api';
+import { AlertTriangle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { describeError } from '../utils/errorMessages';
+
+// Shown while the account is waiting to be purged, with a way to undo it
+function DeletionBanner() {
+  const { user, updateUser } = useAuth();
+  const [restoring, setRestoring] = useState(false);
+
+  if (!user?.deletionScheduledAt) return null;
+
+  const restore = async () => {
+    setRestoring(true);
+    try {
+      const { data } = await accountApi.restore();
+      updateUser(data.user);
+      toast.success('Your account has been restored');
+    } catch (error) {
+      console.error('Restore account error:', error);
+      toast.error(describeError(error, 'Failed to restore account'));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="bg-red-50 border-b border-red-200 px-4 py-2 flex items-center justify-between text-sm text-red-800">
+      <div className="flex items-center space-x-2">
+        <AlertTriangle className="w-4 h-4" />
+        <span>
+          Your account and all its data will be deleted on {new Date(user.deletionScheduledAt).toLocaleString()}.
+        </span>
+      </div>
+      <button
+        onClick={restore}
+        disabled={restoring}
+        className="font-medium hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {restoring ? 'Restoring...' : 'Keep my account'}
+      </button>
+    </div>
+  );
+}
+
+export default DeletionBanner;
@@ -0,0 +1,127 @@
+import React, { useState, useRef } from 'react';
+import { exportApi } from '../api';
+import { toast } from 'react-hot-toast';
+import { Download, Upload, ChevronDown } from 'lucide-react';
+import { describeError } from '../utils/errorMessages';
+
+const FORMATS = [
+  { id: 'markdown', label: 'Markdown' },
+  { id: 'json', label: 'JSON' },
+  { id: 'pdf', label: 'PDF' }
+];
+
+// Export the open conversation or the whole history, and import JSON exports
+function ExportMenu({ conversationId, onImported }) {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const exportChats = async (format, scope) => {
+    setOpen(false);
+    setBusy(true);
+
+    try {
+      const params = { format, ...(scope === 'conversation' && { conversationId }) };
+      const { blob, filename } = await exportApi.download(params);
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export error:', error);
+      toast.error(describeError(error, 'Failed to export chats'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importChats = async (file) => {
+    setOpen(false);
+    setBusy(true);
+
+    try {
+      const data = JSON.parse(await file.text());
+      const { data: result } = await exportApi.import(data);
+      const { imported, skipped } = result;
+
+      toast.success(`Imported ${imported} chat${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped}` : ''}`);
+      onImported();
+    } catch (error) {
+      console.error('Import error:', error);
+      const message = error instanceof SyntaxError
+        ? 'That file is not valid JSON'
+        : describeError(error, 'Failed to import chats');
+      toast.error(message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        disabled={busy}
+        className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 disabled:opacity-50 transition-colors flex items-center space-x-1"
+      >
+        <Download className="w-4 h-4" />
+        <span>{busy ? 'Working...' : 'Export'}</span>
+        <ChevronDown className="w-4 h-4" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-56 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+          {conversationId && (
+            <>
+              <p className="px-3 py-1 text-xs font-semibold text-gray-500 uppercase">This conversation</p>
+              {FORMATS.map((format) => (
+                <button
+                  key={`conversation-${format.id}`}
+                  onClick={() => exportChats(format.id, 'conversation')}
+                  className="w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100"
+                >
+                  {format.label}
+                </button>
+              ))}
+            </>
+          )}
+          <p className="px-3 py-1 text-xs font-semibold text-gray-500 uppercase">All history</p>
+          {FORMATS.map((format) => (
+            <button
+              key={`all-${format.id}`}
+              onClick={() => exportChats(format.id, 'all')}
+              className="w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100"
+            >
+              {format.label}
+            </button>
+          ))}
+          <div className="border-t border-gray-200 mt-1 pt-1">
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100 flex items-center space-x-2"
+            >
+              <Upload className="w-4 h-4" />
+              <span>Import JSON export...</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files[0]) importChats(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+}
+
+export default ExportMenu;
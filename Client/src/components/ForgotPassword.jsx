@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { authApi } from '../api';
+import { Mail, KeyRound } from 'lucide-react';
+import { describeError } from '../utils/errorMessages';
+
+function ForgotPassword() {
+  const [loading, setLoading] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+  const { register, handleSubmit, formState: { errors } } = useForm();
+
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      await authApi.forgotPassword(data.email);
+      setSentTo(data.email);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      toast.error(describeError(error, 'Could not send reset link'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 via-blue-600 to-indigo-700 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-2xl p-8">
+        <div className="text-center mb-8">
+          <div className="mx-auto w-16 h-16 bg-gradient-to-r from-purple-500 to-blue-500 rounded-full flex items-center justify-center mb-4">
+            <KeyRound className="w-8 h-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-gray-800">Forgot Password</h2>
+          <p className="text-gray-600 mt-2">We'll email you a link to choose a new one</p>
+        </div>
+
+        {sentTo ? (
+          <div className="text-center space-y-4">
+            <p className="text-gray-700">
+              If an account exists for <span className="font-medium">{sentTo}</span>, a reset link is on its way.
+              Check your inbox; the link can only be used once.
+            </p>
+            <button
+              onClick={() => setSentTo(null)}
+              className="text-purple-600 hover:text-purple-700 font-medium"
+            >
+              Use a different email
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Email Address
+              </label>
+              <div className="relative">
+                <Mail className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  {...register('email', {
+                    required: 'Email is required',
+                    pattern: {
+                      value: /^\S+@\S+$/i,
+                      message: 'Invalid email address'
+                    }
+                  })}
+                  type="email"
+                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  placeholder="Enter your email"
+                />
+              </div>
+              {errors.email && (
+                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 px-4 rounded-lg font-medium hover:from-purple-600 hover:to-blue-600 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <p className="text-gray-600">
+            Remembered it?{' '}
+            <Link to="/login" className="text-purple-600 hover:text-purple-700 font-medium">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { adminApi } from '../api';
+import { toast } from 'react-hot-toast';
+import { GENERATION_SETTINGS } from '../utils/generation';
+import { describeError } from '../utils/errorMessages';
+
+const RANGE_KEYS = ['min', 'max', 'default'];
+
+// Form state from the stored limits; blank keeps the built-in value
+const toForm = (limits) => ({
+  ...Object.fromEntries(GENERATION_SETTINGS.map(({ key }) => [
+    key,
+    Object.fromEntries(RANGE_KEYS.map((rangeKey) => [rangeKey, limits?.[key]?.[rangeKey] ?? '']))
+  ])),
+  maxStopSequences: limits?.maxStopSequences ?? '',
+  allowJsonMode: limits?.allowJsonMode ?? true
+});
+
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+// Deployment-wide ranges and defaults for user generation settings
+function GenerationLimitsEditor() {
+  const [form, setForm] = useState(null);
+  const [bounds, setBounds] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    adminApi.generationLimits()
+      .then(({ data }) => {
+        setForm(toForm(data.limits));
+        setBounds(data);
+      })
+      .catch((error) => {
+        console.error('Error fetching generation limits:', error);
+        toast.error(describeError(error, 'Failed to load generation limits'));
+      });
+  }, []);
+
+  const setRange = (key, rangeKey, value) => {
+    setForm((prev) => ({ ...prev, [key]: { ...prev[key], [rangeKey]: value } }));
+  };
+
+  const saveLimits = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const payload = {
+      ...Object.fromEntries(GENERATION_SETTINGS.map(({ key }) => [
+        key,
+        Object.fromEntries(RANGE_KEYS.map((rangeKey) => [rangeKey, toNumber(form[key][rangeKey])]))
+      ])),
+      maxStopSequences: toNumber(form.maxStopSequences),
+      allowJsonMode: form.allowJsonMode
+    };
+
+    try {
+      const { data } = await adminApi.updateGenerationLimits(payload);
+      setForm(toForm(data.limits));
+      toast.success('Generation limits saved');
+    } catch (error) {
+      console.error('Error saving generation limits:', error);
+      toast.error(describeError(error, 'Failed to save generation limits'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!form) return null;
+
+  return (
+    <form onSubmit={saveLimits} className="bg-white rounded-xl shadow-lg p-4 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-800">Generation limits</h2>
+        <p className="text-sm text-gray-600">Ranges users and personas may pick from. Blank fields keep the built-in value.</p>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="font-medium pb-2">Setting</th>
+            <th className="font-medium pb-2">Minimum</th>
+            <th className="font-medium pb-2">Maximum</th>
+            <th className="font-medium pb-2">Default</th>
+          </tr>
+        </thead>
+        <tbody>
+          {GENERATION_SETTINGS.map((setting) => {
+            const bound = bounds?.bounds?.[setting.key] || setting;
+            const builtInDefaults = bounds?.defaults;
+
+            return (
+              <tr key={setting.key}>
+                <td className="py-1 pr-2 text-gray-800">{setting.label}</td>
+                {RANGE_KEYS.map((rangeKey) => (
+                  <td key={rangeKey} className="py-1 pr-2">
+                    <input
+                      type="number"
+                      value={form[setting.key][rangeKey]}
+                      onChange={(e) => setRange(setting.key, rangeKey, e.target.value)}
+                      min={bound.min}
+                      max={bound.max}
+                      step={setting.step}
+                      placeholder={String(rangeKey === 'default' ? builtInDefaults?.[setting.key] ?? '' : bound[rangeKey])}
+                      className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    />
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="flex flex-wrap items-center gap-6 text-sm">
+        <label className="flex items-center space-x-2 text-gray-700">
+          <span>Max stop sequences</span>
+          <input
+            type="number"
+            value={form.maxStopSequences}
+            onChange={(e) => setForm((prev) => ({ ...prev, maxStopSequences: e.target.value }))}
+            min={0}
+            max={bounds?.maxStopSequences}
+            placeholder={String(bounds?.maxStopSequences ?? '')}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+        </label>
+        <label className="flex items-center space-x-2 text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.allowJsonMode}
+            onChange={(e) => setForm((prev) => ({ ...prev, allowJsonMode: e.target.checked }))}
+            className="rounded text-purple-600 focus:ring-purple-500"
+          />
+          <span>Allow JSON mode</span>
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          className="ml-auto px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save limits'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default GenerationLimitsEditor;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, X } from 'lucide-react';
+import {
+  GENERATION_SETTINGS,
+  GENERATION_PRESETS,
+  EMPTY_GENERATION_SETTINGS,
+  settingRange,
+  applyPreset,
+  generationFields
+} from '../utils/generation';
+
+// Advanced sampling, stop sequence and JSON mode settings for text prompts
+function GenerationSettings({ settings, onChange, policy, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [stopSequence, setStopSequence] = useState('');
+
+  const maxStopSequences = policy?.maxStopSequences ?? 5;
+  const customized = Object.keys(generationFields(settings)).length > 0;
+
+  const setValue = (key, value) => onChange({ ...settings, [key]: value });
+
+  const addStopSequence = (e) => {
+    e.preventDefault();
+    if (!stopSequence.trim() || settings.stopSequences.includes(stopSequence)
+      || settings.stopSequences.length >= maxStopSequences) return;
+
+    setValue('stopSequences', [...settings.stopSequences, stopSequence]);
+    setStopSequence('');
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        disabled={disabled}
+        title="Generation settings"
+        className={`p-2 rounded-lg transition-colors disabled:opacity-50 ${
+          customized ? 'bg-purple-100 text-purple-700' : 'text-gray-600 hover:text-purple-600'
+        }`}
+      >
+        <SlidersHorizontal className="w-5 h-5" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-lg z-20 p-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-gray-800">Generation settings</h3>
+            <button
+              onClick={() => onChange(EMPTY_GENERATION_SETTINGS)}
+              className="text-xs text-purple-600 hover:text-purple-700"
+            >
+              Reset
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {GENERATION_PRESETS.map((preset) => (
+              <button
+                key={preset.id}
+                onClick={() => onChange(applyPreset(preset, policy))}
+                className="px-2 py-1 text-xs border border-gray-300 rounded-full text-gray-700 hover:bg-purple-50 hover:border-purple-300 transition-colors"
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            {GENERATION_SETTINGS.map((setting) => {
+              const { min, max } = settingRange(setting, policy);
+
+              return (
+                <div key={setting.key}>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    {setting.label} <span className="text-gray-400">({min}-{max})</span>
+                  </label>
+                  <input
+                    type="number"
+                    value={settings[setting.key]}
+                    onChange={(e) => setValue(setting.key, e.target.value)}
+                    min={min}
+                    max={max}
+                    step={setting.step}
+                    placeholder={policy?.defaults ? String(policy.defaults[setting.key]) : 'Default'}
+                    className="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          {maxStopSequences > 0 && (
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                Stop sequences <span className="text-gray-400">(up to {maxStopSequences})</span>
+              </label>
+              <form onSubmit={addStopSequence} className="flex space-x-2">
+                <input
+                  value={stopSequence}
+                  onChange={(e) => setStopSequence(e.target.value)}
+                  maxLength={100}
+                  disabled={settings.stopSequences.length >= maxStopSequences}
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  placeholder="Press Enter to add"
+                />
+              </form>
+              {settings.stopSequences.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {settings.stopSequences.map((sequence) => (
+                    <span
+                      key={sequence}
+                      className="inline-flex items-center space-x-1 px-2 py-0.5 text-xs bg-gray-100 text-gray-700 rounded-full"
+                    >
+                      <code>{JSON.stringify(sequence)}</code>
+                      <button
+                        onClick={() => setValue('stopSequences', settings.stopSequences.filter((item) => item !== sequence))}
+                        className="text-gray-500 hover:text-red-600"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <label className={`flex items-center space-x-2 text-sm ${policy?.allowJsonMode === false ? 'text-gray-400' : 'text-gray-700'}`}>
+            <input
+              type="checkbox"
+              checked={settings.jsonMode}
+              onChange={(e) => setValue('jsonMode', e.target.checked)}
+              disabled={policy?.allowJsonMode === false}
+              className="rounded text-purple-600 focus:ring-purple-500"
+            />
+            <span>JSON mode</span>
+          </label>
+
+          <p className="text-xs text-gray-500">Blank fields use the persona or server default.</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GenerationSettings;
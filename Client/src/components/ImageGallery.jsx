@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { assetsApi } from '../api';
+import { X, Images } from 'lucide-react';
+import AuthImage from './AuthImage';
+
+function ImageGallery({ onClose }) {
+  const [images, setImages] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchImages = async () => {
+      try {
+        const { data } = await assetsApi.list({ kind: 'generated', limit: 60 });
+        setImages(data.assets);
+      } catch (error) {
+        console.error('Error fetching gallery:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchImages();
+  }, []);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div className="flex items-center space-x-2">
+            <Images className="w-5 h-5 text-purple-600" />
+            <h2 className="text-lg font-semibold text-gray-800">Your Images</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-600 hover:text-gray-800 transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {loading ? (
+            <p className="text-gray-500 text-center py-8">Loading images...</p>
+          ) : images.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No images generated yet</p>
+          ) : (
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+              {images.map((image) => (
+                <div key={image._id} className="bg-gray-50 rounded-lg overflow-hidden border border-gray-200">
+                  <AuthImage
+                    src={image.url}
+                    alt={image.prompt}
+                    className="w-full aspect-square object-cover"
+                  />
+                  <div className="p-2">
+                    <p className="text-sm text-gray-800 truncate" title={image.prompt}>{image.prompt}</p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(image.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImageGallery;
@@ -1,13 +1,18 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
-import { Mail, Lock, LogIn } from 'lucide-react';
+import OidcButtons from './OidcButtons';
+import { Mail, Lock, LogIn, ShieldCheck } from 'lucide-react';
 
 function Login() {
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const location = useLocation();
+  // An identity provider sign-in can also end in the two-factor step
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [code, setCode] = useState('');
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
   const { register, handleSubmit, formState: { errors } } = useForm();
 
@@ -19,6 +24,8 @@ const onSubmit = async (data) => {
     if (result.success) {
       toast.success('Login successful!');
       navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
     } else {
       toast.error(result.message || 'Invalid credentials');
     }
@@ -29,6 +36,76 @@ const onSubmit = async (data) => {
   }
 };
 
+  const onSubmitCode = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    setLoading(true);
+    const result = await completeTwoFactorLogin(challengeToken, code.trim());
+    setLoading(false);
+
+    if (result.success) {
+      if (result.recoveryCodesLeft !== undefined) {
+        toast(`Recovery code used. ${result.recoveryCodesLeft} left.`);
+      }
+      toast.success('Login successful!');
+      navigate('/dashboard');
+    } else if (result.expired) {
+      toast.error(result.message);
+      setChallengeToken(null);
+      setCode('');
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-600 via-blue-600 to-indigo-700 flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-xl shadow-2xl p-8">
+          <div className="text-center mb-8">
+            <div className="mx-auto w-16 h-16 bg-gradient-to-r from-purple-500 to-blue-500 rounded-full flex items-center justify-center mb-4">
+              <ShieldCheck className="w-8 h-8 text-white" />
+            </div>
+            <h2 className="text-3xl font-bold text-gray-800">Two-Step Verification</h2>
+            <p className="text-gray-600 mt-2">Enter the 6-digit code from your authenticator app, or one of your recovery codes</p>
+          </div>
+
+          <form onSubmit={onSubmitCode} className="space-y-6">
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoFocus
+              autoComplete="one-time-code"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg text-center text-lg tracking-widest focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              placeholder="123456"
+            />
+
+            <button
+              type="submit"
+              disabled={loading || !code.trim()}
+              className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 px-4 rounded-lg font-medium hover:from-purple-600 hover:to-blue-600 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <button
+              onClick={() => {
+                setChallengeToken(null);
+                setCode('');
+              }}
+              className="text-purple-600 hover:text-purple-700 font-medium"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-600 via-blue-600 to-indigo-700 flex items-center justify-center p-4">
       <div className="max-w-md w-full bg-white rounded-xl shadow-2xl p-8">
@@ -66,9 +143,14 @@ const onSubmit = async (data) => {
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Password
-            </label>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <Link to="/forgot-password" className="text-sm text-purple-600 hover:text-purple-700">
+                Forgot password?
+              </Link>
+            </div>
             <div className="relative">
               <Lock className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
               <input
@@ -98,6 +180,8 @@ const onSubmit = async (data) => {
           </button>
         </form>
 
+        <OidcButtons />
+
         <div className="mt-6 text-center">
           <p className="text-gray-600">
             Don't have an account?{' '}
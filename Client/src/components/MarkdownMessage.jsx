@@ -0,0 +1,148 @@
+import React, { memo, useEffect, useId, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import { toast } from 'react-hot-toast';
+import { Copy, Check } from 'lucide-react';
+import { completePartialMarkdown, nodeText } from '../utils/markdown';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github.css';
+
+// Raw HTML in replies is never parsed (there is no rehype-raw), so model
+// output can only produce the elements markdown itself describes
+const remarkPlugins = [remarkGfm, remarkMath];
+const rehypePlugins = [
+  [rehypeKatex, { throwOnError: false, strict: false }],
+  [rehypeHighlight, { detect: false, plainText: ['mermaid'] }]
+];
+
+// Rendered diagrams keyed by their source, so re-renders and remounts reuse them
+const diagramCache = new Map();
+let mermaidLoader = null;
+
+function loadMermaid() {
+  if (!mermaidLoader) {
+    mermaidLoader = import('mermaid').then(({ default: mermaid }) => {
+      mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'default' });
+      return mermaid;
+    });
+  }
+  return mermaidLoader;
+}
+
+function MermaidDiagram({ code, fallback }) {
+  const id = `mermaid-${useId().replace(/[^a-zA-Z0-9-]/g, '')}`;
+  const [svg, setSvg] = useState(() => diagramCache.get(code) || null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (diagramCache.has(code)) {
+      setSvg(diagramCache.get(code));
+      return;
+    }
+
+    let cancelled = false;
+    loadMermaid()
+      .then((mermaid) => mermaid.render(id, code))
+      .then(({ svg: rendered }) => {
+        diagramCache.set(code, rendered);
+        if (!cancelled) setSvg(rendered);
+      })
+      .catch((error) => {
+        console.error('Error rendering diagram:', error);
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code, id]);
+
+  if (failed || !svg) return fallback;
+
+  // Mermaid's strict security level sanitizes the SVG it generates
+  return <div className="my-2 overflow-x-auto" dangerouslySetInnerHTML={{ __html: svg }} />;
+}
+
+function CodeBlock({ node, children, streaming }) {
+  const [copied, setCopied] = useState(false);
+  const codeNode = node?.children?.find((child) => child.tagName === 'code');
+  const classNames = [].concat(codeNode?.properties?.className || []);
+  const language = classNames.find((name) => String(name).startsWith('language-'))?.slice(9);
+  const code = nodeText(codeNode).replace(/\n$/, '');
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Copy error:', error);
+      toast.error('Failed to copy code');
+    }
+  };
+
+  const block = (
+    <div className="relative group my-2 rounded-lg border border-gray-200 bg-gray-50">
+      <div className="flex items-center justify-between px-3 py-1 text-xs text-gray-500 border-b border-gray-200">
+        <span>{language || 'text'}</span>
+        <button
+          onClick={copyCode}
+          className="flex items-center space-x-1 hover:text-purple-600 transition-colors"
+          title="Copy code"
+        >
+          {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+          <span>{copied ? 'Copied' : 'Copy'}</span>
+        </button>
+      </div>
+      <pre className="overflow-x-auto p-3 text-sm">{children}</pre>
+    </div>
+  );
+
+  // Diagrams are drawn once the block is complete; until then the source shows
+  if (language === 'mermaid' && !streaming) {
+    return <MermaidDiagram code={code} fallback={block} />;
+  }
+
+  return block;
+}
+
+function MarkdownLink({ href, title, children }) {
+  return (
+    <a href={href} title={title} target="_blank" rel="noopener noreferrer">
+      {children}
+    </a>
+  );
+}
+
+// Component maps are built once so block elements keep their identity
+// between renders of a streaming message
+const finalComponents = {
+  pre: (props) => <CodeBlock {...props} streaming={false} />,
+  a: MarkdownLink
+};
+const streamingComponents = {
+  pre: (props) => <CodeBlock {...props} streaming />,
+  a: MarkdownLink
+};
+
+// Render a bot reply as sanitized markdown with code, math and diagrams
+function MarkdownMessage({ content, streaming = false }) {
+  const source = streaming ? completePartialMarkdown(content) : content;
+
+  return (
+    <div className="markdown">
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={rehypePlugins}
+        components={streaming ? streamingComponents : finalComponents}
+      >
+        {source}
+      </ReactMarkdown>
+    </div>
+  );
+}
+
+export default memo(MarkdownMessage);
@@ -0,0 +1,59 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { LogIn } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+// Where the API sends the browser after an identity provider sign-in
+function OAuthCallback() {
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState(searchParams.get('error'));
+  const { loginWithOidc } = useAuth();
+  const navigate = useNavigate();
+  const submittedRef = useRef(false);
+  const code = searchParams.get('code');
+
+  useEffect(() => {
+    // The code is single-use, so never submit it twice
+    if (submittedRef.current || !code) return;
+    submittedRef.current = true;
+
+    loginWithOidc(code).then((result) => {
+      if (result.success) {
+        toast.success('Login successful!');
+        navigate('/dashboard', { replace: true });
+      } else if (result.twoFactorRequired) {
+        navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+      } else {
+        setError(result.message);
+      }
+    });
+  }, [code, loginWithOidc, navigate]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 via-blue-600 to-indigo-700 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-2xl p-8 text-center">
+        <div className="mx-auto w-16 h-16 bg-gradient-to-r from-purple-500 to-blue-500 rounded-full flex items-center justify-center mb-4">
+          <LogIn className="w-8 h-8 text-white" />
+        </div>
+
+        {error || !code ? (
+          <>
+            <h2 className="text-3xl font-bold text-gray-800">Sign-in Failed</h2>
+            <p className="text-gray-600 mt-2">{error || 'Missing sign-in code'}</p>
+            <Link
+              to="/login"
+              className="inline-block mt-6 bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 px-6 rounded-lg font-medium hover:from-purple-600 hover:to-blue-600 transition-all duration-200"
+            >
+              Back to sign in
+            </Link>
+          </>
+        ) : (
+          <h2 className="text-2xl font-bold text-gray-800">Signing you in...</h2>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OAuthCallback;
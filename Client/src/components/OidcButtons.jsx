@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+import { authApi } from '../api';
+import { KeyRound } from 'lucide-react';
+
+// "Sign in with ..." buttons for the identity providers the server offers.
+// Each one is a full-page redirect through the provider and back to
+// /oauth/callback.
+function OidcButtons({ label = 'Sign in with' }) {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    authApi.oidcProviders()
+      .then((data) => setProviders(data.providers))
+      .catch((error) => console.error('Error fetching sign-in providers:', error));
+  }, []);
+
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center mb-4">
+        <div className="flex-1 border-t border-gray-200"></div>
+        <span className="px-3 text-sm text-gray-500">or</span>
+        <div className="flex-1 border-t border-gray-200"></div>
+      </div>
+      <div className="space-y-2">
+        {providers.map((provider) => (
+          <a
+            key={provider.id}
+            href={authApi.oidcStartUrl(provider.id)}
+            className="w-full flex items-center justify-center space-x-2 py-3 px-4 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+          >
+            <KeyRound className="w-5 h-5 text-purple-600" />
+            <span>{label} {provider.name}</span>
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default OidcButtons;
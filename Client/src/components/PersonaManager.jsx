@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { personasApi } from '../api';
+import { toast } from 'react-hot-toast';
+import { X, UserCog, Plus, Trash2 } from 'lucide-react';
+import { GENERATION_SETTINGS, settingRange } from '../utils/generation';
+import { describeError } from '../utils/errorMessages';
+
+const emptyForm = {
+  name: '',
+  systemInstruction: '',
+  generationConfig: Object.fromEntries(GENERATION_SETTINGS.map(({ key }) => [key, '']))
+};
+
+const toForm = (persona) => ({
+  name: persona.name,
+  systemInstruction: persona.systemInstruction,
+  generationConfig: Object.fromEntries(GENERATION_SETTINGS.map(({ key }) => [key, persona.generationConfig[key] ?? '']))
+});
+
+// Create, edit and delete the user's personas
+function PersonaManager({ personas, generationPolicy, onChange, onClose }) {
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const startEditing = (persona) => {
+    setEditingId(persona?.id || null);
+    setForm(persona ? toForm(persona) : emptyForm);
+  };
+
+  const setSetting = (key, value) => {
+    setForm((prev) => ({ ...prev, generationConfig: { ...prev.generationConfig, [key]: value } }));
+  };
+
+  const savePersona = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const payload = {
+      name: form.name,
+      systemInstruction: form.systemInstruction,
+      generationConfig: Object.fromEntries(Object.entries(form.generationConfig)
+        .map(([key, value]) => [key, value === '' ? null : Number(value)]))
+    };
+
+    try {
+      if (editingId) {
+        const { data } = await personasApi.update(editingId, payload);
+        const { persona } = data;
+        onChange(personas.map((item) => (item.id === persona.id ? persona : item)));
+        toast.success('Persona updated');
+      } else {
+        const { data } = await personasApi.create(payload);
+        const { persona } = data;
+        onChange([...personas, persona].sort((a, b) => a.name.localeCompare(b.name)));
+        setEditingId(persona.id);
+        toast.success('Persona created');
+      }
+    } catch (error) {
+      console.error('Error saving persona:', error);
+      toast.error(describeError(error, 'Failed to save persona'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deletePersona = async (id) => {
+    if (!window.confirm('Delete this persona? Past chats keep its name.')) return;
+
+    try {
+      await personasApi.remove(id);
+      onChange(personas.filter((persona) => persona.id !== id));
+      if (editingId === id) startEditing(null);
+      toast.success('Persona deleted');
+    } catch (error) {
+      console.error('Error deleting persona:', error);
+      toast.error(describeError(error, 'Failed to delete persona'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div className="flex items-center space-x-2">
+            <UserCog className="w-5 h-5 text-purple-600" />
+            <h2 className="text-lg font-semibold text-gray-800">Personas</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-600 hover:text-gray-800 transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          <div className="w-56 border-r border-gray-200 p-3 space-y-1 overflow-y-auto">
+            <button
+              onClick={() => startEditing(null)}
+              className={`w-full flex items-center space-x-2 px-3 py-2 rounded-lg text-sm transition-colors ${
+                editingId === null ? 'bg-purple-100 text-purple-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <Plus className="w-4 h-4" />
+              <span>New persona</span>
+            </button>
+            {personas.map((persona) => (
+              <div
+                key={persona.id}
+                className={`group flex items-center justify-between px-3 py-2 rounded-lg text-sm cursor-pointer transition-colors ${
+                  editingId === persona.id ? 'bg-purple-100 text-purple-700' : 'text-gray-700 hover:bg-gray-100'
+                }`}
+                onClick={() => startEditing(persona)}
+              >
+                <span className="truncate">{persona.name}</span>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    deletePersona(persona.id);
+                  }}
+                  className="opacity-0 group-hover:opacity-100 p-1 text-gray-500 hover:text-red-600 transition-all"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <form onSubmit={savePersona} className="flex-1 p-4 space-y-4 overflow-y-auto">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                maxLength={50}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="e.g. Code reviewer"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">System instructions</label>
+              <textarea
+                value={form.systemInstruction}
+                onChange={(e) => setForm((prev) => ({ ...prev, systemInstruction: e.target.value }))}
+                maxLength={4000}
+                rows={6}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="How the model should behave when this persona is selected"
+              />
+              <p className="text-xs text-gray-500 text-right">{form.systemInstruction.length}/4000</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              {GENERATION_SETTINGS.map((setting) => {
+                const { key, label, step } = setting;
+                const { min, max } = settingRange(setting, generationPolicy);
+
+                return (
+                  <div key={key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                    <input
+                      type="number"
+                      value={form.generationConfig[key]}
+                      onChange={(e) => setSetting(key, e.target.value)}
+                      min={min}
+                      max={max}
+                      step={step}
+                      placeholder="Default"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {saving ? 'Saving...' : editingId ? 'Save changes' : 'Create persona'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PersonaManager;
@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { personasApi } from '../api';
+import { UserCog } from 'lucide-react';
+import PersonaManager from './PersonaManager';
+
+// Pick the persona applied to text prompts, or open the manager to edit them
+function PersonaSwitcher({ value, onChange, disabled, generationPolicy }) {
+  const [personas, setPersonas] = useState([]);
+  const [showManager, setShowManager] = useState(false);
+
+  useEffect(() => {
+    const fetchPersonas = async () => {
+      try {
+        const { data } = await personasApi.list();
+        setPersonas(data.personas);
+      } catch (error) {
+        console.error('Error fetching personas:', error);
+      }
+    };
+
+    fetchPersonas();
+  }, []);
+
+  // Drop a remembered selection once its persona is gone
+  const handleChange = (updated) => {
+    setPersonas(updated);
+    if (value && !updated.some((persona) => persona.id === value)) {
+      onChange('');
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2">
+      <span className="text-sm text-gray-600">Persona:</span>
+      <select
+        value={personas.some((persona) => persona.id === value) ? value : ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="px-2 py-1 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-purple-500 focus:border-transparent max-w-[10rem]"
+      >
+        <option value="">No persona</option>
+        {personas.map((persona) => (
+          <option key={persona.id} value={persona.id}>{persona.name}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => setShowManager(true)}
+        title="Manage personas"
+        className="p-1 text-gray-600 hover:text-purple-600 transition-colors"
+      >
+        <UserCog className="w-5 h-5" />
+      </button>
+
+      {showManager && (
+        <PersonaManager
+          personas={personas}
+          generationPolicy={generationPolicy}
+          onChange={handleChange}
+          onClose={() => setShowManager(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default PersonaSwitcher;
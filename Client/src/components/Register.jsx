@@ -3,11 +3,14 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
-import { Mail, Lock, User, UserPlus } from 'lucide-react';
+import OidcButtons from './OidcButtons';
+import { Mail, Lock, User, UserPlus, MailCheck } from 'lucide-react';
 
 function Register() {
   const [loading, setLoading] = useState(false);
-  const { register: authRegister } = useAuth();
+  const [verification, setVerification] = useState(null);
+  const [resending, setResending] = useState(false);
+  const { register: authRegister, resendVerification } = useAuth();
   const navigate = useNavigate();
   const { register, handleSubmit, formState: { errors }, watch } = useForm();
 
@@ -17,7 +20,9 @@ function Register() {
     setLoading(true);
     const result = await authRegister(data.username, data.email, data.password);
     
-    if (result.success) {
+    if (result.success && !result.user.emailVerified) {
+      setVerification({ email: result.user.email, access: result.unverifiedAccess });
+    } else if (result.success) {
       toast.success('Registration successful!');
       navigate('/dashboard');
     } else {
@@ -27,6 +32,57 @@ function Register() {
     setLoading(false);
   };
 
+  const handleResend = async () => {
+    setResending(true);
+    const result = await resendVerification();
+    if (result.success) {
+      toast.success(result.message);
+    } else {
+      toast.error(result.message);
+    }
+    setResending(false);
+  };
+
+  if (verification) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-600 via-blue-600 to-indigo-700 flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-xl shadow-2xl p-8 text-center">
+          <div className="mx-auto w-16 h-16 bg-gradient-to-r from-purple-500 to-blue-500 rounded-full flex items-center justify-center mb-4">
+            <MailCheck className="w-8 h-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-gray-800">Check Your Inbox</h2>
+          <p className="text-gray-600 mt-4">
+            We sent a verification link to <span className="font-medium">{verification.email}</span>.
+            Open it to confirm your address.
+          </p>
+          {verification.access === 'read-only' && (
+            <p className="text-sm text-gray-500 mt-2">
+              Until then you can look around, but you won't be able to send messages.
+            </p>
+          )}
+
+          <div className="mt-6 space-y-3">
+            {verification.access !== 'none' && (
+              <button
+                onClick={() => navigate('/dashboard')}
+                className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 px-4 rounded-lg font-medium hover:from-purple-600 hover:to-blue-600 transition-all duration-200"
+              >
+                Continue to Dashboard
+              </button>
+            )}
+            <button
+              onClick={handleResend}
+              disabled={resending}
+              className="w-full py-3 px-4 rounded-lg font-medium text-purple-600 border border-purple-200 hover:bg-purple-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {resending ? 'Sending...' : 'Resend Email'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-600 via-blue-600 to-indigo-700 flex items-center justify-center p-4">
       <div className="max-w-md w-full bg-white rounded-xl shadow-2xl p-8">
@@ -145,6 +201,8 @@ function Register() {
           </button>
         </form>
 
+        <OidcButtons label="Sign up with" />
+
         <div className="mt-6 text-center">
           <p className="text-gray-600">
             Already have an account?{' '}
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { authApi } from '../api';
+import { Lock, KeyRound } from 'lucide-react';
+import { describeError } from '../utils/errorMessages';
+
+function ResetPassword() {
+  const [loading, setLoading] = useState(false);
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { register, handleSubmit, formState: { errors }, watch } = useForm();
+  const token = searchParams.get('token');
+  const password = watch('password');
+
+  const onSubmit = async (data) => {
+    try {
+      setLoading(true);
+      await authApi.resetPassword(token, data.password);
+      toast.success('Password updated. Please sign in again.');
+      navigate('/login');
+    } catch (error) {
+      console.error('Reset password error:', error);
+      toast.error(describeError(error, 'Could not reset password'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 via-blue-600 to-indigo-700 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-2xl p-8">
+        <div className="text-center mb-8">
+          <div className="mx-auto w-16 h-16 bg-gradient-to-r from-purple-500 to-blue-500 rounded-full flex items-center justify-center mb-4">
+            <KeyRound className="w-8 h-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-gray-800">Choose a New Password</h2>
+          <p className="text-gray-600 mt-2">You'll be signed out on every device</p>
+        </div>
+
+        {!token ? (
+          <p className="text-center text-gray-700">
+            This reset link is incomplete. Request a new one from the{' '}
+            <Link to="/forgot-password" className="text-purple-600 hover:text-purple-700 font-medium">
+              forgot password
+            </Link>{' '}
+            page.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                New Password
+              </label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  {...register('password', {
+                    required: 'Password is required',
+                    minLength: {
+                      value: 6,
+                      message: 'Password must be at least 6 characters'
+                    }
+                  })}
+                  type="password"
+                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  placeholder="Enter a new password"
+                />
+              </div>
+              {errors.password && (
+                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Confirm Password
+              </label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  {...register('confirmPassword', {
+                    required: 'Please confirm your password',
+                    validate: value => value === password || 'Passwords do not match'
+                  })}
+                  type="password"
+                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  placeholder="Confirm your new password"
+                />
+              </div>
+              {errors.confirmPassword && (
+                <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 px-4 rounded-lg font-medium hover:from-purple-600 hover:to-blue-600 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <Link to="/login" className="text-purple-600 hover:text-purple-700 font-medium">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
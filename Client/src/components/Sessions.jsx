@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { authApi } from '../api';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorSettings from './TwoFactorSettings';
+import { ArrowLeft, Monitor, Smartphone, LogOut } from 'lucide-react';
+import { describeError } from '../utils/errorMessages';
+
+// Rough "Browser on OS" label from a user agent string
+function describeDevice(userAgent = '') {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token))?.[1] || 'Unknown browser';
+
+  const os = [
+    ['Windows', 'Windows'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token))?.[1] || 'unknown OS';
+
+  return `${browser} on ${os}`;
+}
+
+function Sessions() {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSessions = async () => {
+    try {
+      const data = await authApi.sessions();
+      setSessions(data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error(describeError(error, 'Failed to load sessions'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const revokeSession = async (session) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+
+    try {
+      await authApi.revokeSession(session.id);
+      setSessions(prev => prev.filter((item) => item.id !== session.id));
+      toast.success('Session revoked');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error(describeError(error, 'Failed to revoke session'));
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4">
+      <div className="max-w-3xl mx-auto">
+        <Link
+          to="/dashboard"
+          className="inline-flex items-center space-x-1 text-gray-600 hover:text-purple-600 transition-colors mb-4"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          <span>Back to chat</span>
+        </Link>
+
+        <TwoFactorSettings />
+
+        <div className="bg-white rounded-xl shadow-lg">
+          <div className="p-4 border-b border-gray-200">
+            <h1 className="text-2xl font-bold text-gray-800">Active Sessions</h1>
+            <p className="text-sm text-gray-600 mt-1">
+              Devices signed in to your account. Revoke any you don't recognize.
+            </p>
+          </div>
+
+          <div className="divide-y divide-gray-200">
+            {loading ? (
+              <p className="text-gray-500 text-center py-8">Loading sessions...</p>
+            ) : sessions.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">No active sessions</p>
+            ) : (
+              sessions.map((session) => {
+                const DeviceIcon = /Android|iPhone|iPad/.test(session.userAgent || '') ? Smartphone : Monitor;
+
+                return (
+                  <div key={session.id} className="p-4 flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                      <DeviceIcon className="w-8 h-8 text-purple-600" />
+                      <div>
+                        <p className="font-medium text-gray-800">
+                          {describeDevice(session.userAgent)}
+                          {session.current && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">
+                              This device
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-sm text-gray-600">
+                          {session.ip || 'Unknown IP'} • Last active {new Date(session.lastUsedAt).toLocaleString()}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          Signed in {new Date(session.createdAt).toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => revokeSession(session)}
+                      className="px-3 py-1 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors flex items-center space-x-1"
+                    >
+                      <LogOut className="w-4 h-4" />
+                      <span>{session.current ? 'Log out' : 'Revoke'}</span>
+                    </button>
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Sessions;
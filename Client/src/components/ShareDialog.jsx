@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { sharesApi } from '../api';
+import { toast } from 'react-hot-toast';
+import { X, Share2, Copy, Link2Off } from 'lucide-react';
+import { describeError } from '../utils/errorMessages';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: 'Expires in 1 day' },
+  { value: '7', label: 'Expires in 7 days' },
+  { value: '30', label: 'Expires in 30 days' }
+];
+
+const shareUrl = (token) => `${window.location.origin}/share/${token}`;
+
+// Create, copy and revoke public read-only links for a conversation
+function ShareDialog({ conversation, onClose }) {
+  const [shares, setShares] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    const fetchShares = async () => {
+      try {
+        const { data } = await sharesApi.list(conversation._id);
+        setShares(data.shares);
+      } catch (error) {
+        console.error('Error fetching share links:', error);
+        toast.error(describeError(error, 'Failed to load share links'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchShares();
+  }, [conversation._id]);
+
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(token));
+      toast.success('Link copied');
+    } catch {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const createShare = async () => {
+    setCreating(true);
+    try {
+      const { data } = await sharesApi.create({
+        conversationId: conversation._id,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null
+      });
+      const { share } = data;
+      setShares((prev) => [share, ...prev]);
+      copyLink(share.token);
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      toast.error(describeError(error, 'Failed to create share link'));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revokeShare = async (id) => {
+    try {
+      await sharesApi.revoke(id);
+      setShares((prev) => prev.filter((share) => share.id !== id));
+      toast.success('Link revoked');
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      toast.error(describeError(error, 'Failed to revoke link'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-2xl w-full max-w-lg"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div className="flex items-center space-x-2 min-w-0">
+            <Share2 className="w-5 h-5 text-purple-600" />
+            <h2 className="text-lg font-semibold text-gray-800 truncate">Share "{conversation.title}"</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-600 hover:text-gray-800 transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Anyone with the link can read this conversation. Your name and email are not shown.
+          </p>
+
+          <div className="flex space-x-2">
+            <select
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={createShare}
+              disabled={creating}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {creating ? 'Creating...' : 'Create link'}
+            </button>
+          </div>
+
+          <div className="space-y-2 max-h-64 overflow-y-auto">
+            {loading ? (
+              <p className="text-gray-500 text-center py-4">Loading links...</p>
+            ) : shares.length === 0 ? (
+              <p className="text-gray-500 text-center py-4">No active links</p>
+            ) : (
+              shares.map((share) => (
+                <div key={share.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm text-gray-800 truncate">{shareUrl(share.token)}</p>
+                    <p className="text-xs text-gray-500">
+                      {share.expiresAt
+                        ? `Expires ${new Date(share.expiresAt).toLocaleDateString()}`
+                        : 'Never expires'}
+                      {' · '}
+                      {share.views} {share.views === 1 ? 'view' : 'views'}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-1 ml-2">
+                    <button
+                      onClick={() => copyLink(share.token)}
+                      title="Copy link"
+                      className="p-1 text-gray-600 hover:text-gray-800 transition-colors"
+                    >
+                      <Copy className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => revokeShare(share.id)}
+                      title="Revoke link"
+                      className="p-1 text-red-600 hover:text-red-800 transition-colors"
+                    >
+                      <Link2Off className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShareDialog;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { sharesApi, isCancelled } from '../api';
+import { Bot, User } from 'lucide-react';
+import AuthImage from './AuthImage';
+import AttachmentPreview from './AttachmentPreview';
+import MarkdownMessage from './MarkdownMessage';
+import { describeError } from '../utils/errorMessages';
+
+// Public read-only view of a shared conversation; no login required
+function SharedConversation() {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchShared = async () => {
+      try {
+        const { data } = await sharesApi.getPublic(token, { signal: controller.signal });
+        setShared(data);
+      } catch (error) {
+        if (isCancelled(error)) return;
+        console.error('Error loading shared conversation:', error);
+        setError(describeError(error, 'Failed to load shared conversation'));
+      }
+    };
+
+    fetchShared();
+    return () => controller.abort();
+  }, [token]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
+        <div className="text-center text-gray-600">
+          <Bot className="w-16 h-16 mx-auto mb-4 text-gray-400" />
+          <p className="text-lg">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!shared) {
+    return <div className="min-h-screen flex items-center justify-center">Loading...</div>;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="bg-white shadow-sm border-b border-gray-200 p-4">
+        <div className="max-w-4xl mx-auto flex items-center justify-between">
+          <div className="min-w-0">
+            <h1 className="text-xl font-semibold text-gray-800 truncate">{shared.title}</h1>
+            <p className="text-sm text-gray-500">
+              Shared conversation · {new Date(shared.sharedAt).toLocaleDateString()}
+            </p>
+          </div>
+          <Link
+            to="/login"
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+          >
+            Try Gemini ChatBot
+          </Link>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto p-4 space-y-4">
+        {shared.chats.map((chat) => (
+          <React.Fragment key={chat.id}>
+            <div className="flex justify-end">
+              <div className="max-w-3xl px-4 py-2 rounded-lg bg-purple-600 text-white">
+                <div className="flex items-center space-x-2 mb-1">
+                  <User className="w-4 h-4" />
+                  <span className="text-xs opacity-75">{new Date(chat.createdAt).toLocaleString()}</span>
+                </div>
+                <AttachmentPreview
+                  attachments={chat.attachments.map((attachment, index) => ({
+                    id: index,
+                    name: attachment.filename,
+                    mimeType: attachment.mimeType,
+                    url: attachment.url
+                  }))}
+                  className="mb-2"
+                />
+                <div className="whitespace-pre-wrap">{chat.prompt}</div>
+              </div>
+            </div>
+            <div className="flex justify-start">
+              <div className="max-w-3xl px-4 py-2 rounded-lg bg-white text-gray-800 shadow-sm border border-gray-200">
+                <div className="flex items-center space-x-2 mb-2">
+                  <Bot className="w-5 h-5 text-purple-600" />
+                  <span className="text-sm font-medium text-purple-600">{chat.model || 'Gemini'}</span>
+                </div>
+                <MarkdownMessage content={chat.response} />
+                {chat.imageUrl && (
+                  <div className="mt-2">
+                    <AuthImage
+                      src={chat.imageUrl}
+                      alt="Generated"
+                      className="max-w-full h-auto rounded-lg"
+                    />
+                  </div>
+                )}
+              </div>
+            </div>
+          </React.Fragment>
+        ))}
+        {shared.chats.length === 0 && (
+          <p className="text-gray-500 text-center py-8">This conversation is empty</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SharedConversation;
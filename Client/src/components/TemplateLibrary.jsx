@@ -0,0 +1,484 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { templatesApi } from '../api';
+import { toast } from 'react-hot-toast';
+import { X, BookOpen, Plus, Search, Pencil, Trash2, Download, Upload, Users, ArrowLeft } from 'lucide-react';
+import { templateVariables, fillTemplate, variableLabel } from '../utils/templates';
+import { describeError } from '../utils/errorMessages';
+
+const SCOPES = [
+  { id: 'all', label: 'All' },
+  { id: 'personal', label: 'Mine' },
+  { id: 'shared', label: 'Shared' }
+];
+
+const emptyTemplate = {
+  title: '',
+  description: '',
+  category: 'General',
+  visibility: 'personal',
+  body: '',
+  variables: []
+};
+
+// Create or edit a template; variables follow the placeholders in the body
+function TemplateEditor({ template, categories, onSaved, onCancel }) {
+  const [form, setForm] = useState(template || emptyTemplate);
+  const [saving, setSaving] = useState(false);
+
+  const defaults = Object.fromEntries(form.variables.map((variable) => [variable.name, variable.defaultValue]));
+  const names = templateVariables(form.body);
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const setDefault = (name, value) => {
+    setField('variables', names.map((item) => ({
+      name: item,
+      defaultValue: item === name ? value : defaults[item] || ''
+    })));
+  };
+
+  const saveTemplate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const payload = {
+      title: form.title,
+      description: form.description,
+      category: form.category.trim() || 'General',
+      visibility: form.visibility,
+      body: form.body,
+      variables: names.map((name) => ({ name, defaultValue: defaults[name] || '' }))
+    };
+
+    try {
+      const { data } = template?.id
+        ? await templatesApi.update(template.id, payload)
+        : await templatesApi.create(payload);
+      toast.success(template?.id ? 'Template updated' : 'Template created');
+      onSaved(data.template);
+    } catch (error) {
+      console.error('Error saving template:', error);
+      toast.error(describeError(error, 'Failed to save template'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={saveTemplate} className="p-4 space-y-3 overflow-y-auto">
+      <div className="grid grid-cols-2 gap-3">
+        <input
+          value={form.title}
+          onChange={(e) => setField('title', e.target.value)}
+          maxLength={100}
+          required
+          placeholder="Title"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        <input
+          value={form.category}
+          onChange={(e) => setField('category', e.target.value)}
+          maxLength={50}
+          list="template-categories"
+          placeholder="Category"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        <datalist id="template-categories">
+          {categories.map((category) => <option key={category} value={category} />)}
+        </datalist>
+      </div>
+      <input
+        value={form.description}
+        onChange={(e) => setField('description', e.target.value)}
+        maxLength={300}
+        placeholder="Short description (optional)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+      />
+      <textarea
+        value={form.body}
+        onChange={(e) => setField('body', e.target.value)}
+        maxLength={2000}
+        required
+        rows={8}
+        placeholder={'Review this {{language}} code for bugs:\n\n{{code}}'}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+      />
+
+      {names.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-gray-700">Default values</p>
+          {names.map((name) => (
+            <div key={name} className="flex items-center space-x-2">
+              <code className="w-40 text-xs text-purple-700 truncate">{`{{${name}}}`}</code>
+              <input
+                value={defaults[name] || ''}
+                onChange={(e) => setDefault(name, e.target.value)}
+                maxLength={500}
+                placeholder="No default"
+                className="flex-1 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.visibility === 'shared'}
+            onChange={(e) => setField('visibility', e.target.checked ? 'shared' : 'personal')}
+            className="rounded text-purple-600 focus:ring-purple-500"
+          />
+          <span>Share with everyone</span>
+        </label>
+        <div className="space-x-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {saving ? 'Saving...' : 'Save template'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+// Fill a template's variables and preview the prompt before using it
+function TemplateFillForm({ template, onUse, onCancel }) {
+  const [values, setValues] = useState(() => Object.fromEntries(
+    template.variables.map((variable) => [variable.name, variable.defaultValue])
+  ));
+
+  const prompt = fillTemplate(template.body, values);
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onUse(prompt);
+      }}
+      className="p-4 space-y-3 overflow-y-auto"
+    >
+      <div>
+        <h3 className="font-semibold text-gray-800">{template.title}</h3>
+        {template.description && <p className="text-sm text-gray-600">{template.description}</p>}
+      </div>
+
+      {template.variables.map((variable) => (
+        <div key={variable.name}>
+          <label className="block text-sm font-medium text-gray-700 mb-1">{variableLabel(variable.name)}</label>
+          <textarea
+            value={values[variable.name]}
+            onChange={(e) => setValues((prev) => ({ ...prev, [variable.name]: e.target.value }))}
+            rows={2}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+        </div>
+      ))}
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-1">Preview</p>
+        <div className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-lg text-sm whitespace-pre-wrap max-h-48 overflow-y-auto">
+          {prompt}
+        </div>
+        {prompt.length > 2000 && (
+          <p className="text-xs text-red-600 mt-1">The filled prompt is longer than 2000 characters</p>
+        )}
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          Back
+        </button>
+        <button
+          type="submit"
+          disabled={!prompt.trim() || prompt.length > 2000}
+          className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Use prompt
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Browse, manage and fill prompt templates; onUse receives the filled prompt
+function TemplateLibrary({ onUse, onClose }) {
+  const [templates, setTemplates] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [scope, setScope] = useState('all');
+  const [category, setCategory] = useState('');
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [filling, setFilling] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const params = { scope };
+      if (category) params.category = category;
+      if (search.trim()) params.q = search.trim();
+
+      const { data } = await templatesApi.list(params);
+      setTemplates(data.templates);
+      setCategories(data.categories);
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      toast.error(describeError(error, 'Failed to load templates'));
+    }
+  }, [scope, category, search]);
+
+  // Debounce typing in the search box
+  useEffect(() => {
+    const timer = setTimeout(fetchTemplates, 300);
+    return () => clearTimeout(timer);
+  }, [fetchTemplates]);
+
+  const applyTemplate = (template, prompt) => {
+    // Counting a use shouldn't hold up the prompt
+    templatesApi.recordUse(template.id)
+      .catch((error) => console.error('Error recording template use:', error));
+    onUse(prompt);
+  };
+
+  const pickTemplate = (template) => {
+    if (template.variables.length === 0) {
+      applyTemplate(template, template.body);
+    } else {
+      setFilling(template);
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete "${template.title}"?`)) return;
+
+    try {
+      await templatesApi.remove(template.id);
+      setTemplates((prev) => prev.filter((item) => item.id !== template.id));
+      toast.success('Template deleted');
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      toast.error(describeError(error, 'Failed to delete template'));
+    }
+  };
+
+  const exportTemplates = async () => {
+    try {
+      const { blob, filename } = await templatesApi.export();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting templates:', error);
+      toast.error(describeError(error, 'Failed to export templates'));
+    }
+  };
+
+  const importTemplates = async (file) => {
+    try {
+      const data = JSON.parse(await file.text());
+      const { data: result } = await templatesApi.import(data);
+      const { imported, skipped } = result;
+
+      toast.success(`Imported ${imported} template${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped}` : ''}`);
+      fetchTemplates();
+    } catch (error) {
+      console.error('Error importing templates:', error);
+      toast.error(error instanceof SyntaxError ? 'That file is not valid JSON' : describeError(error, 'Failed to import templates'));
+    }
+  };
+
+  const view = editing ? 'edit' : filling ? 'fill' : 'list';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div className="flex items-center space-x-2">
+            {view !== 'list' && (
+              <button
+                onClick={() => {
+                  setEditing(null);
+                  setFilling(null);
+                }}
+                className="p-1 text-gray-600 hover:text-gray-800 transition-colors"
+              >
+                <ArrowLeft className="w-5 h-5" />
+              </button>
+            )}
+            <BookOpen className="w-5 h-5 text-purple-600" />
+            <h2 className="text-lg font-semibold text-gray-800">Prompt templates</h2>
+          </div>
+          <div className="flex items-center space-x-1">
+            {view === 'list' && (
+              <>
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  title="Import templates"
+                  className="p-1.5 text-gray-600 hover:text-purple-600 transition-colors"
+                >
+                  <Upload className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={exportTemplates}
+                  title="Export my templates"
+                  className="p-1.5 text-gray-600 hover:text-purple-600 transition-colors"
+                >
+                  <Download className="w-5 h-5" />
+                </button>
+              </>
+            )}
+            <button
+              onClick={onClose}
+              className="p-1.5 text-gray-600 hover:text-gray-800 transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {view === 'edit' && (
+          <TemplateEditor
+            template={editing.id ? editing : null}
+            categories={categories}
+            onSaved={() => {
+              setEditing(null);
+              fetchTemplates();
+            }}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        {view === 'fill' && (
+          <TemplateFillForm
+            template={filling}
+            onUse={(prompt) => applyTemplate(filling, prompt)}
+            onCancel={() => setFilling(null)}
+          />
+        )}
+
+        {view === 'list' && (
+          <>
+            <div className="p-4 border-b border-gray-200 space-y-2">
+              <div className="flex items-center space-x-2">
+                <div className="relative flex-1">
+                  <Search className="absolute left-3 top-2.5 w-4 h-4 text-gray-400" />
+                  <input
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    placeholder="Search templates"
+                  />
+                </div>
+                <select
+                  value={category}
+                  onChange={(e) => setCategory(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                >
+                  <option value="">All categories</option>
+                  {categories.map((item) => <option key={item} value={item}>{item}</option>)}
+                </select>
+                <button
+                  onClick={() => setEditing({})}
+                  className="px-3 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors flex items-center space-x-1 text-sm"
+                >
+                  <Plus className="w-4 h-4" />
+                  <span>New</span>
+                </button>
+              </div>
+              <div className="flex bg-gray-100 rounded-lg p-1 w-fit">
+                {SCOPES.map((item) => (
+                  <button
+                    key={item.id}
+                    onClick={() => setScope(item.id)}
+                    className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                      scope === item.id ? 'bg-purple-600 text-white' : 'text-gray-600 hover:text-gray-800'
+                    }`}
+                  >
+                    {item.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto divide-y divide-gray-200">
+              {templates.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">No templates yet</p>
+              ) : (
+                templates.map((template) => (
+                  <div key={template.id} className="group p-4 hover:bg-gray-50 flex items-start justify-between">
+                    <button onClick={() => pickTemplate(template)} className="text-left min-w-0 flex-1">
+                      <p className="font-medium text-gray-800 truncate">
+                        {template.title}
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">{template.category}</span>
+                        {template.visibility === 'shared' && (
+                          <Users className="w-4 h-4 inline ml-2 text-purple-500" />
+                        )}
+                      </p>
+                      {template.description && (
+                        <p className="text-sm text-gray-600 truncate">{template.description}</p>
+                      )}
+                      <p className="text-xs text-gray-500 mt-1">
+                        Used {template.usageCount} time{template.usageCount === 1 ? '' : 's'}
+                        {!template.isOwner && template.author && ` • by ${template.author}`}
+                      </p>
+                    </button>
+                    {template.isOwner && (
+                      <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                        <button
+                          onClick={() => setEditing(template)}
+                          className="p-1 text-gray-500 hover:text-purple-600"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => deleteTemplate(template)}
+                          className="p-1 text-gray-500 hover:text-red-600"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+          </>
+        )}
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0]) importTemplates(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default TemplateLibrary;
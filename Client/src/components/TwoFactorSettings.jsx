@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { authApi } from '../api';
+import { ShieldCheck, ShieldOff, Copy } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { describeError } from '../utils/errorMessages';
+
+// Enroll in, or turn off, authenticator-app two-factor authentication
+function TwoFactorSettings() {
+  const { user, updateUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disabling, setDisabling] = useState(false);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const resetForm = () => {
+    setSetup(null);
+    setDisabling(false);
+    setCode('');
+    setPassword('');
+  };
+
+  const startSetup = async () => {
+    setBusy(true);
+    try {
+      const { data } = await authApi.setupTwoFactor();
+      setSetup(data);
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      toast.error(describeError(error, 'Failed to start setup'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const { data } = await authApi.enableTwoFactor(code.trim());
+      setRecoveryCodes(data.recoveryCodes);
+      resetForm();
+      updateUser({ twoFactorEnabled: true });
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      console.error('Two-factor enable error:', error);
+      toast.error(describeError(error, 'Failed to enable two-factor authentication'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const disable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await authApi.disableTwoFactor({ password, code: code.trim() });
+      resetForm();
+      updateUser({ twoFactorEnabled: false });
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      toast.error(describeError(error, 'Failed to disable two-factor authentication'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy the codes');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg mb-4">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Two-Factor Authentication</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Ask for a code from an authenticator app whenever you sign in.
+          </p>
+        </div>
+        {user?.twoFactorEnabled ? (
+          <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">On</span>
+        ) : (
+          <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">Off</span>
+        )}
+      </div>
+
+      <div className="p-4 space-y-4">
+        {recoveryCodes && (
+          <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+            <p className="text-sm text-yellow-800 font-medium">
+              Save these recovery codes somewhere safe. Each one works once if you lose your device, and they won't be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 mt-3 font-mono text-sm text-gray-800">
+              {recoveryCodes.map((recoveryCode) => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </div>
+            <div className="flex space-x-2 mt-3">
+              <button
+                onClick={copyRecoveryCodes}
+                className="px-3 py-1 text-sm border border-yellow-300 rounded-lg hover:bg-yellow-100 transition-colors flex items-center space-x-1"
+              >
+                <Copy className="w-4 h-4" />
+                <span>Copy</span>
+              </button>
+              <button
+                onClick={() => setRecoveryCodes(null)}
+                className="px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+              >
+                I've saved them
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!user?.twoFactorEnabled && !setup && (
+          <button
+            onClick={startSetup}
+            disabled={busy}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-1"
+          >
+            <ShieldCheck className="w-4 h-4" />
+            <span>Set up two-factor authentication</span>
+          </button>
+        )}
+
+        {setup && (
+          <form onSubmit={confirmSetup} className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Scan this QR code with your authenticator app, or enter the key manually, then type the code it shows.
+            </p>
+            <div className="flex items-center space-x-4">
+              <img src={setup.qrCode} alt="Two-factor QR code" className="w-40 h-40 border border-gray-200 rounded-lg" />
+              <code className="text-sm text-gray-800 break-all">{setup.secret}</code>
+            </div>
+            <div className="flex space-x-2">
+              <input
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="6-digit code"
+              />
+              <button
+                type="submit"
+                disabled={busy || !code.trim()}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Confirm
+              </button>
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {user?.twoFactorEnabled && !disabling && (
+          <button
+            onClick={() => setDisabling(true)}
+            className="px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors flex items-center space-x-1"
+          >
+            <ShieldOff className="w-4 h-4" />
+            <span>Turn off</span>
+          </button>
+        )}
+
+        {disabling && (
+          <form onSubmit={disable} className="space-y-3">
+            <p className="text-sm text-gray-700">Confirm it's you to turn off two-factor authentication.</p>
+            {user.hasPassword && (
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="Current password"
+              />
+            )}
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              placeholder="Authenticator or recovery code"
+            />
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={busy || (user.hasPassword && !password) || !code.trim()}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Turn off
+              </button>
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
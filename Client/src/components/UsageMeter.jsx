@@ -0,0 +1,51 @@
+import React from 'react';
+
+function formatTokens(value) {
+  return value >= 1000 ? `${(value / 1000).toFixed(1)}k` : String(value);
+}
+
+function UsageBar({ label, period }) {
+  const percent = period.limit ? Math.min((period.used / period.limit) * 100, 100) : 0;
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>{label}</span>
+        <span>
+          {period.limit === null
+            ? `${formatTokens(period.used)} tokens`
+            : `${formatTokens(period.remaining)} of ${formatTokens(period.limit)} left`}
+        </span>
+      </div>
+      {period.limit !== null && (
+        <div className="h-1.5 bg-gray-200 rounded-full mt-1 overflow-hidden">
+          <div
+            className={`h-full rounded-full ${percent >= 90 ? 'bg-red-500' : 'bg-purple-600'}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Remaining token quota as reported by GET /api/usage
+function UsageMeter({ usage }) {
+  if (!usage) return null;
+
+  return (
+    <div className="space-y-2">
+      <UsageBar label="Today" period={usage.daily} />
+      <UsageBar label="This month" period={usage.monthly} />
+      {usage.exceeded && (
+        <p className="text-xs text-red-600">
+          {usage.action === 'degrade' && usage.degradeModel
+            ? `Quota reached, answers now use ${usage.degradeModel}`
+            : 'Quota reached, new requests are blocked'}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default UsageMeter;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authApi } from '../api';
+import { MailCheck } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { describeError } from '../utils/errorMessages';
+
+// Landing page for the link in the verification email
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const { user, updateUser } = useAuth();
+  const submittedRef = useRef(false);
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    // Tokens are single-use, so never submit one twice
+    if (submittedRef.current) return;
+    submittedRef.current = true;
+
+    if (!token) {
+      setStatus('failed');
+      setMessage('This verification link is incomplete.');
+      return;
+    }
+
+    authApi.verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        updateUser({ emailVerified: true });
+      })
+      .catch((error) => {
+        console.error('Verify email error:', error);
+        setStatus('failed');
+        setMessage(describeError(error, 'Could not verify your email'));
+      });
+  }, [token, updateUser]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 via-blue-600 to-indigo-700 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-2xl p-8 text-center">
+        <div className="mx-auto w-16 h-16 bg-gradient-to-r from-purple-500 to-blue-500 rounded-full flex items-center justify-center mb-4">
+          <MailCheck className="w-8 h-8 text-white" />
+        </div>
+
+        {status === 'verifying' && (
+          <h2 className="text-2xl font-bold text-gray-800">Verifying your email...</h2>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <h2 className="text-3xl font-bold text-gray-800">Email Verified</h2>
+            <p className="text-gray-600 mt-2">Thanks! Your account is ready to use.</p>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <h2 className="text-3xl font-bold text-gray-800">Verification Failed</h2>
+            <p className="text-gray-600 mt-2">{message}</p>
+            {user && (
+              <p className="text-sm text-gray-500 mt-2">
+                You can request a new link from the dashboard.
+              </p>
+            )}
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={user ? '/dashboard' : '/login'}
+            className="inline-block mt-6 bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 px-6 rounded-lg font-medium hover:from-purple-600 hover:to-blue-600 transition-all duration-200"
+          >
+            {user ? 'Go to Dashboard' : 'Sign In'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { MailWarning } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+// Reminder shown until the user confirms their email address
+function VerifyEmailBanner() {
+  const { user, resendVerification } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    const result = await resendVerification();
+    if (result.success) {
+      toast.success(result.message);
+    } else {
+      toast.error(result.message);
+    }
+    setSending(false);
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 px-4 py-2 flex items-center justify-between text-sm text-yellow-800">
+      <div className="flex items-center space-x-2">
+        <MailWarning className="w-4 h-4" />
+        <span>Please verify {user.email} to start chatting. Check your inbox for the link.</span>
+      </div>
+      <button
+        onClick={handleResend}
+        disabled={sending}
+        className="font-medium hover:text-yellow-900 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+}
+
+export default VerifyEmailBanner;
@@ -1,8 +1,11 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import axios from 'axios';
-
-// Set default axios config
-axios.defaults.baseURL = 'https://fiit-intern5.vercel.app';
+import {
+  authApi,
+  storeTokens,
+  clearTokens,
+  onUnauthorized
+} from '../api';
+import { describeError } from '../utils/errorMessages';
 
 const AuthContext = createContext();
 
@@ -39,6 +42,11 @@ function authReducer(state, action) {
         loading: false,
         error: null
       };
+    case 'UPDATE_USER':
+      return {
+        ...state,
+        user: state.user && { ...state.user, ...action.payload }
+      };
     case 'SET_LOADING':
       return {
         ...state,
@@ -61,7 +69,6 @@ export function AuthProvider({ children }) {
         if (tokenParts.length !== 3) {
           throw new Error('Invalid token format');
         }
-        axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
         fetchUser();
       } catch (error) {
         console.error('Token validation failed:', error);
@@ -72,32 +79,21 @@ export function AuthProvider({ children }) {
     }
   }, []);
 
-  // Add axios interceptor for 401 responses
-  useEffect(() => {
-    const interceptor = axios.interceptors.response.use(
-      response => response,
-      error => {
-        if (error.response?.status === 401) {
-          handleLogout();
-        }
-        return Promise.reject(error);
-      }
-    );
-
-    return () => axios.interceptors.response.eject(interceptor);
-  }, []);
+  // The API client refreshes expired tokens itself; this only runs once the
+  // session is gone for good
+  useEffect(() => onUnauthorized(handleLogout), []);
 
   const fetchUser = async () => {
     try {
-      const response = await axios.get('https://fiit-intern5.vercel.app/api/auth/me');
-      if (!response.data || !response.data.user) {
+      const data = await authApi.me();
+      if (!data || !data.user) {
         throw new Error('Invalid user data received');
       }
       
       dispatch({
         type: 'LOGIN_SUCCESS',
         payload: {
-          user: response.data.user,
+          user: data.user,
           token: localStorage.getItem('token')
         }
       });
@@ -114,24 +110,38 @@ export function AuthProvider({ children }) {
   };
 
   const handleLogout = () => {
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+    clearTokens();
     dispatch({ type: 'LOGOUT' });
   };
 
+  // Revoke the session on the server before clearing local state
+  const logout = async () => {
+    try {
+      await authApi.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    handleLogout();
+  };
+
   const login = async (email, password) => {
     try {
-      const response = await axios.post('https://fiit-intern5.vercel.app/api/auth/login', { email, password });
+      const data = await authApi.login(email, password);
+
+      // The password was right, but the account wants a second factor
+      if (data?.twoFactorRequired) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
       
-      if (!response.data || !response.data.token || !response.data.user) {
+      if (!data || !data.token || !data.user) {
         throw new Error('Invalid response format from server');
       }
 
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = data;
       validateToken(token);
       
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      storeTokens(token, refreshToken);
       
       dispatch({
         type: 'LOGIN_SUCCESS',
@@ -142,53 +152,114 @@ export function AuthProvider({ children }) {
     } catch (error) {
       console.error('Login error:', {
         message: error.message,
-        response: error.response?.data,
-        status: error.response?.status
+        response: error.data,
+        status: error.status
       });
 
-      const message = error.response?.data?.message || error.message || 'Login failed';
+      const message = describeError(error, 'Login failed');
       dispatch({ type: 'LOGIN_ERROR', payload: message });
       return { success: false, message };
     }
   };
 
-  const register = async (username, email, password) => {
+  // Finish a two-factor login with an authenticator or recovery code
+  const completeTwoFactorLogin = async (challengeToken, code) => {
     try {
-      const response = await axios.post('https://fiit-intern5.vercel.app/api/auth/register', {
-        username,
-        email,
-        password
+      const { token, refreshToken, user, recoveryCodesLeft } = await authApi.loginTwoFactor(challengeToken, code);
+      validateToken(token);
+
+      storeTokens(token, refreshToken);
+
+      dispatch({
+        type: 'LOGIN_SUCCESS',
+        payload: { user, token }
       });
+
+      return { success: true, recoveryCodesLeft };
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return {
+        success: false,
+        expired: error.code === 'AUTH_CHALLENGE_EXPIRED',
+        message: describeError(error, 'Verification failed')
+      };
+    }
+  };
+
+  // Finish an identity provider sign-in with the one-time code the API put
+  // in the callback URL
+  const loginWithOidc = async (code) => {
+    try {
+      const data = await authApi.exchangeOidc(code);
+
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      const { token, refreshToken, user } = data;
+      validateToken(token);
+
+      storeTokens(token, refreshToken);
+
+      dispatch({
+        type: 'LOGIN_SUCCESS',
+        payload: { user, token }
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('OIDC login error:', error);
+      return { success: false, message: describeError(error, 'Sign-in failed') };
+    }
+  };
+
+  const register = async (username, email, password) => {
+    try {
+      const data = await authApi.register({ username, email, password });
       
-      if (!response.data || !response.data.token || !response.data.user) {
+      if (!data || !data.token || !data.user) {
         throw new Error('Invalid response format from server');
       }
 
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = data;
       validateToken(token);
       
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      storeTokens(token, refreshToken);
       
       dispatch({
         type: 'LOGIN_SUCCESS',
         payload: { user, token }
       });
       
-      return { success: true };
+      return { success: true, user, unverifiedAccess: data.unverifiedAccess };
     } catch (error) {
       console.error('Registration error:', {
         message: error.message,
-        response: error.response?.data,
-        status: error.response?.status
+        response: error.data,
+        status: error.status
       });
 
-      const message = error.response?.data?.message || error.message || 'Registration failed';
+      const message = describeError(error, 'Registration failed');
       dispatch({ type: 'LOGIN_ERROR', payload: message });
       return { success: false, message };
     }
   };
 
+  // Ask for another verification email; the server throttles resends
+  const resendVerification = async () => {
+    try {
+      const data = await authApi.resendVerification();
+      return { success: true, message: data.message };
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      return { success: false, message: describeError(error, 'Could not send verification email') };
+    }
+  };
+
+  const updateUser = (fields) => {
+    dispatch({ type: 'UPDATE_USER', payload: fields });
+  };
+
   return (
     <AuthContext.Provider value={{
       user: state.user,
@@ -196,8 +267,12 @@ export function AuthProvider({ children }) {
       loading: state.loading,
       error: state.error,
       login,
+      completeTwoFactorLogin,
+      loginWithOidc,
       register,
-      logout: handleLogout
+      logout,
+      resendVerification,
+      updateUser
     }}>
       {children}
     </AuthContext.Provider>
@@ -0,0 +1,41 @@
+// What to tell the user for each API error code (see Backend/utils/errors.js
+// and ApiError). Codes not listed here show the server's own message, which
+// is already written for users.
+const SESSION_ENDED = 'Your session has ended. Please log in again.';
+
+const MESSAGES = {
+  QUOTA_EXCEEDED: (error) => `${error.message}. Try again once your quota resets.`,
+  RATE_LIMITED: (error) => (error.data?.retryAfter
+    ? `Too many requests. Please wait ${error.data.retryAfter} seconds and try again.`
+    : 'Too many requests. Please wait a moment and try again.'),
+  AUTH_REQUIRED: SESSION_ENDED,
+  AUTH_INVALID_TOKEN: SESSION_ENDED,
+  AUTH_TOKEN_EXPIRED: SESSION_ENDED,
+  AUTH_SESSION_REVOKED: SESSION_ENDED,
+  AUTH_TOO_MANY_ATTEMPTS: (error) => (error.data?.retryAfter
+    ? `Too many incorrect codes. Please try again in ${Math.ceil(error.data.retryAfter / 60)} minutes.`
+    : 'Too many incorrect codes. Please try again later.'),
+  EMAIL_NOT_VERIFIED: 'Please verify your email address first.',
+  PROVIDER_UNAVAILABLE: 'The model is temporarily unavailable. Please try again shortly.',
+  PROVIDER_TIMEOUT: 'The model took too long to respond. Please try again.',
+  PROVIDER_RATE_LIMITED: 'The model is busy right now. Please try again in a moment.',
+  PROVIDER_REJECTED: 'The model could not handle this request. Try rephrasing it or removing attachments.',
+  PROVIDER_MISCONFIGURED: 'The model is not set up correctly. Please contact an administrator.',
+  STREAM_INTERRUPTED: 'The response was cut off. Please try again.',
+  EMPTY_RESPONSE: 'The model returned an empty response. Please try again.',
+  TIMEOUT: 'The server took too long to respond. Please try again.',
+  NETWORK_ERROR: 'Could not reach the server. Check your connection.',
+  INTERNAL_ERROR: 'Something went wrong on our side. Please try again later.'
+};
+
+// A user-facing message for a failed request. Server faults add a short
+// reference to the request id so a report can be found in the logs.
+export function describeError(error, fallback = 'Something went wrong') {
+  const entry = MESSAGES[error?.code];
+  const message = typeof entry === 'function' ? entry(error) : entry || error?.message || fallback;
+
+  if (error?.status >= 500 && error.requestId) {
+    return `${message} (ref ${error.requestId.slice(0, 8)})`;
+  }
+  return message;
+}
@@ -0,0 +1,62 @@
+// Sampling settings the backend accepts, with fallback bounds used until the
+// deployment's own limits have loaded
+export const GENERATION_SETTINGS = [
+  { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.1 },
+  { key: 'topP', label: 'Top P', min: 0, max: 1, step: 0.05 },
+  { key: 'topK', label: 'Top K', min: 1, max: 100, step: 1 },
+  { key: 'maxOutputTokens', label: 'Max output tokens', min: 1, max: 8192, step: 1 }
+];
+
+// Blank values fall back to the persona or server default
+export const EMPTY_GENERATION_SETTINGS = {
+  temperature: '',
+  topP: '',
+  topK: '',
+  maxOutputTokens: '',
+  stopSequences: [],
+  jsonMode: false
+};
+
+export const GENERATION_PRESETS = [
+  { id: 'precise', label: 'Precise', values: { temperature: 0.2, topP: 0.8, topK: 20 } },
+  { id: 'balanced', label: 'Balanced', values: {} },
+  { id: 'creative', label: 'Creative', values: { temperature: 1.2, topP: 0.98, topK: 64 } },
+  { id: 'long', label: 'Long answers', values: { maxOutputTokens: 4096 } }
+];
+
+// The min/max for a setting under the deployment's limits
+export function settingRange(setting, policy) {
+  return policy?.ranges?.[setting.key] || setting;
+}
+
+// Apply a preset, pulling its values inside the deployment's limits
+export function applyPreset(preset, policy) {
+  const settings = { ...EMPTY_GENERATION_SETTINGS };
+
+  GENERATION_SETTINGS.forEach((setting) => {
+    const value = preset.values[setting.key];
+    if (value !== undefined) {
+      const { min, max } = settingRange(setting, policy);
+      settings[setting.key] = Math.min(Math.max(value, min), max);
+    }
+  });
+  return settings;
+}
+
+// Request body fields for the settings that differ from the defaults
+export function generationFields(settings) {
+  const fields = {};
+
+  GENERATION_SETTINGS.forEach(({ key }) => {
+    if (settings[key] !== '' && settings[key] !== undefined) {
+      fields[key] = Number(settings[key]);
+    }
+  });
+  if (settings.stopSequences?.length) {
+    fields.stopSequences = settings.stopSequences;
+  }
+  if (settings.jsonMode) {
+    fields.responseMimeType = 'application/json';
+  }
+  return fields;
+}
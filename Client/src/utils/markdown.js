@@ -0,0 +1,31 @@
+// Close constructs that are still open in a partially streamed reply, so the
+// renderer does not flip the rest of the message into a code or math block
+// and back again as each chunk arrives.
+export function completePartialMarkdown(text) {
+  if (!text) return '';
+
+  let result = text;
+  const fences = result.match(/^ {0,3}(`{3,}|~{3,})/gm) || [];
+  if (fences.length % 2 === 1) {
+    const fence = fences[fences.length - 1].trim();
+    result += `${result.endsWith('\n') ? '' : '\n'}${fence}`;
+    return result;
+  }
+
+  // An unterminated display-math block is shown as plain text until the
+  // closing $$ arrives, rather than as a half-parsed formula
+  const mathDelimiters = result.match(/\$\$/g) || [];
+  if (mathDelimiters.length % 2 === 1) {
+    const index = result.lastIndexOf('$$');
+    result = `${result.slice(0, index)}\\$\\$${result.slice(index + 2)}`;
+  }
+
+  return result;
+}
+
+// Plain text of a hast node, used for copying highlighted code blocks
+export function nodeText(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(nodeText).join('');
+}
@@ -0,0 +1,33 @@
+// Read a Server-Sent Events body from a fetch() response, calling onEvent
+// with the event name and parsed JSON data for each complete event.
+export async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      let event = 'message';
+      let data = '';
+
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data += line.slice(5).trim();
+        }
+      }
+
+      if (data) {
+        onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+}
@@ -0,0 +1,18 @@
+// {{name}}, with optional spaces inside the braces; mirrors the backend
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+// Placeholder names in order of first appearance
+export function templateVariables(body) {
+  return [...new Set([...body.matchAll(PLACEHOLDER)].map((match) => match[1]))];
+}
+
+// Replace each placeholder with its filled-in value
+export function fillTemplate(body, values) {
+  return body.replace(PLACEHOLDER, (match, name) => values[name] ?? '');
+}
+
+// "meeting_notes" -> "Meeting notes"
+export function variableLabel(name) {
+  const words = name.replace(/_/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}